@@ -0,0 +1,25 @@
+-- =====================================================
+-- TixPort API Cache Migration
+-- =====================================================
+-- This migration adds the shared response cache used when CACHE_STORE=postgres,
+-- so every backend instance (including serverless ones) reuses cached TEvo
+-- responses. Entries are disposable, so the table is unlogged.
+-- Run this after database-migration-price-history.sql
+
+CREATE UNLOGGED TABLE IF NOT EXISTS api_cache (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Expired entries are pruned by expires_at
+CREATE INDEX IF NOT EXISTS idx_api_cache_expires_at ON api_cache(expires_at);
+
+-- Enable RLS (the backend uses the service role)
+ALTER TABLE api_cache ENABLE ROW LEVEL SECURITY;
+
+-- Verify the new table
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename = 'api_cache';
@@ -0,0 +1,42 @@
+-- =====================================================
+-- TixPort Checkout Idempotency Migration
+-- =====================================================
+-- This migration adds the idempotency_keys table used by the Idempotency-Key
+-- header on POST /api/checkout/process. Each key stores the request fingerprint
+-- and the original response so repeat submissions are replayed, not re-charged.
+-- Run this after the main database schema is created
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_path TEXT NOT NULL,
+  request_fingerprint TEXT NOT NULL, -- SHA-256 of the normalized request body
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+
+  -- Keys are scoped per user
+  UNIQUE(user_id, idempotency_key)
+);
+
+-- Enable RLS (no policies: only the service role reads and writes keys)
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Trigger for updated_at
+DROP TRIGGER IF EXISTS update_idempotency_keys_updated_at ON idempotency_keys;
+CREATE TRIGGER update_idempotency_keys_updated_at
+    BEFORE UPDATE ON idempotency_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Verify the table was created
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'idempotency_keys'
+ORDER BY ordinal_position;
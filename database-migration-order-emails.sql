@@ -0,0 +1,46 @@
+-- =====================================================
+-- TixPort Order Emails Migration
+-- =====================================================
+-- This migration adds the email log written for every customer email and the
+-- order columns used to send each delivery update only once.
+-- Run this after database-migration-order-persistence.sql
+
+-- Delivery details reported by TEvo
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_number TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS etickets_available_at TIMESTAMP WITH TIME ZONE;
+
+-- Every email we send (or fail to send)
+CREATE TABLE IF NOT EXISTS email_log (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  email_type TEXT NOT NULL CHECK (email_type IN ('order_confirmation', 'etickets_available', 'tracking_assigned')),
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+  message_id TEXT,
+  error_message TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Enable RLS (the backend uses the service role)
+ALTER TABLE email_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view email log" ON email_log;
+CREATE POLICY "Admins can view email log" ON email_log
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM user_roles ur
+      WHERE ur.id = auth.uid()
+      AND ur.role IN ('owner', 'admin')
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_email_log_order_id ON email_log(order_id);
+CREATE INDEX IF NOT EXISTS idx_email_log_created_at ON email_log(created_at DESC);
+
+-- Verify the new table
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename = 'email_log';
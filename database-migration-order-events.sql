@@ -0,0 +1,141 @@
+-- =====================================================
+-- TixPort Order Events Migration
+-- =====================================================
+-- This migration adds the order_events history table, which records every
+-- TEvo state change of an order, and the function the order sync job uses to
+-- apply a new state together with its history entry in one transaction.
+-- Run this after database-migration-order-persistence.sql
+
+-- When the order was last refreshed from TEvo (open orders are synced oldest first)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP WITH TIME ZONE;
+
+-- Order state history
+CREATE TABLE IF NOT EXISTS order_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+  from_state TEXT, -- TEvo state before the change (NULL for the first event)
+  to_state TEXT,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  payment_status TEXT,
+  source TEXT NOT NULL DEFAULT 'sync' CHECK (source IN ('checkout', 'sync', 'admin')),
+  details JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Enable RLS (the backend uses the service role)
+ALTER TABLE order_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own order events" ON order_events;
+CREATE POLICY "Users can view their own order events" ON order_events
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM orders o
+      WHERE o.id = order_events.order_id
+      AND o.user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view all order events" ON order_events;
+CREATE POLICY "Admins can view all order events" ON order_events
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM user_roles ur
+      WHERE ur.id = auth.uid()
+      AND ur.role IN ('owner', 'admin')
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order_id ON order_events(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_orders_open_sync ON orders(status, last_synced_at);
+
+-- Trigger: Every new order starts its history with the state it was placed in
+CREATE OR REPLACE FUNCTION record_order_created_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO order_events (order_id, from_state, to_state, from_status, to_status, payment_status, source, details)
+  VALUES (
+    NEW.id, NULL, NEW.tevo_state, NULL, NEW.status, NEW.payment_status, 'checkout',
+    jsonb_build_object('tevo_order_id', NEW.tevo_order_id)
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_order_created_event ON orders;
+CREATE TRIGGER record_order_created_event
+  AFTER INSERT ON orders
+  FOR EACH ROW EXECUTE FUNCTION record_order_created_event();
+
+-- Backfill the first event for orders placed before this migration
+INSERT INTO order_events (order_id, from_state, to_state, from_status, to_status, payment_status, source, details, created_at)
+SELECT o.id, NULL, o.tevo_state, NULL, o.status, o.payment_status, 'checkout',
+  jsonb_build_object('tevo_order_id', o.tevo_order_id), o.created_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_events e WHERE e.order_id = o.id);
+
+-- Function: Apply a new TEvo state to an order and record the transition
+-- Returns the new event, or NULL when the order is already in that state.
+DROP FUNCTION IF EXISTS record_order_transition(uuid, text, text, text, text, jsonb);
+CREATE OR REPLACE FUNCTION record_order_transition(
+  order_uuid uuid,
+  new_state text,
+  new_status text,
+  new_payment_status text,
+  event_source text DEFAULT 'sync',
+  event_details jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  current_order orders%ROWTYPE;
+  new_event order_events%ROWTYPE;
+BEGIN
+  -- Lock the order so concurrent syncs record each transition once
+  SELECT * INTO current_order FROM orders WHERE id = order_uuid FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'ORDER_NOT_FOUND';
+  END IF;
+
+  IF current_order.tevo_state IS NOT DISTINCT FROM new_state THEN
+    UPDATE orders SET last_synced_at = timezone('utc'::text, now()) WHERE id = order_uuid;
+    RETURN NULL;
+  END IF;
+
+  UPDATE orders
+  SET tevo_state = new_state,
+      status = new_status,
+      payment_status = new_payment_status,
+      last_synced_at = timezone('utc'::text, now()),
+      updated_at = timezone('utc'::text, now())
+  WHERE id = order_uuid;
+
+  UPDATE order_items SET status = new_status WHERE order_id = order_uuid;
+
+  INSERT INTO order_events (order_id, from_state, to_state, from_status, to_status, payment_status, source, details)
+  VALUES (
+    order_uuid, current_order.tevo_state, new_state, current_order.status, new_status,
+    new_payment_status, event_source, COALESCE(event_details, '{}'::jsonb)
+  )
+  RETURNING * INTO new_event;
+
+  RETURN to_jsonb(new_event);
+END;
+$$;
+
+-- Order states are written by the backend sync and admin actions only
+REVOKE EXECUTE ON FUNCTION record_order_transition(uuid, text, text, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_order_transition(uuid, text, text, text, text, jsonb) TO service_role;
+
+-- Verify the new table
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename = 'order_events';
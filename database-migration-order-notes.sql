@@ -0,0 +1,38 @@
+-- =====================================================
+-- TixPort Order Notes Migration
+-- =====================================================
+-- This migration adds internal notes that support staff attach to orders from
+-- the admin order console. Notes are never shown to customers.
+-- Run this after database-migration-order-persistence.sql
+
+CREATE TABLE IF NOT EXISTS order_notes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+  author_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  note TEXT NOT NULL CHECK (char_length(note) BETWEEN 1 AND 2000),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Enable RLS (the backend uses the service role)
+ALTER TABLE order_notes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view order notes" ON order_notes;
+CREATE POLICY "Admins can view order notes" ON order_notes
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM user_roles ur
+      WHERE ur.id = auth.uid()
+      AND ur.role IN ('owner', 'admin')
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_order_notes_order_id ON order_notes(order_id, created_at);
+
+-- Filters used by the admin order console
+CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_event_id ON orders(event_id);
+
+-- Verify the new table
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename = 'order_notes';
@@ -0,0 +1,123 @@
+-- =====================================================
+-- TixPort Order Persistence Migration
+-- =====================================================
+-- This migration extends the orders and order_items tables so every completed
+-- TEvo v9 checkout can be stored locally, and adds a function that writes an
+-- order together with its items in a single transaction.
+-- Run this after the main database schema is created
+
+-- Add TEvo references and the totals breakdown to orders
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tevo_order_id TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tevo_client_id TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tevo_state TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_type TEXT; -- Eticket, TMMobile, FedEx
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS session_id TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS service_fee_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+COMMENT ON COLUMN orders.order_number IS 'TEvo order oid (falls back to TEVO-<id> when no oid is returned)';
+COMMENT ON COLUMN orders.tevo_order_id IS 'TEvo v9 order id used for /orders/:id lookups';
+
+-- Ticket groups are sold by quantity, so each item row records one ticket group
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS event_id TEXT;
+
+COMMENT ON COLUMN order_items.ticket_id IS 'TEvo ticket group id';
+COMMENT ON COLUMN order_items.price IS 'Retail price per ticket';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_tevo_order_id ON orders(tevo_order_id);
+
+-- Function: Insert an order and its items atomically
+DROP FUNCTION IF EXISTS create_order_with_items(jsonb, jsonb);
+CREATE OR REPLACE FUNCTION create_order_with_items(
+  order_data jsonb,
+  items_data jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  new_order orders%ROWTYPE;
+BEGIN
+  INSERT INTO orders (
+    user_id, order_number, status, total_amount, currency,
+    event_id, event_name, event_date, venue_name,
+    billing_first_name, billing_last_name, billing_email, billing_phone,
+    billing_address, billing_city, billing_state, billing_zip, billing_country,
+    payment_method, payment_status, transaction_id,
+    tevo_order_id, tevo_client_id, tevo_state, delivery_type, session_id,
+    subtotal_amount, service_fee_amount, shipping_amount, tax_amount, discount_amount
+  ) VALUES (
+    (order_data->>'user_id')::uuid,
+    order_data->>'order_number',
+    COALESCE(order_data->>'status', 'pending'),
+    COALESCE((order_data->>'total_amount')::decimal, 0),
+    COALESCE(order_data->>'currency', 'USD'),
+    order_data->>'event_id',
+    order_data->>'event_name',
+    (order_data->>'event_date')::timestamptz,
+    order_data->>'venue_name',
+    order_data->>'billing_first_name',
+    order_data->>'billing_last_name',
+    order_data->>'billing_email',
+    order_data->>'billing_phone',
+    order_data->>'billing_address',
+    order_data->>'billing_city',
+    order_data->>'billing_state',
+    order_data->>'billing_zip',
+    COALESCE(order_data->>'billing_country', 'US'),
+    order_data->>'payment_method',
+    COALESCE(order_data->>'payment_status', 'pending'),
+    order_data->>'transaction_id',
+    order_data->>'tevo_order_id',
+    order_data->>'tevo_client_id',
+    order_data->>'tevo_state',
+    order_data->>'delivery_type',
+    order_data->>'session_id',
+    COALESCE((order_data->>'subtotal_amount')::decimal, 0),
+    COALESCE((order_data->>'service_fee_amount')::decimal, 0),
+    COALESCE((order_data->>'shipping_amount')::decimal, 0),
+    COALESCE((order_data->>'tax_amount')::decimal, 0),
+    COALESCE((order_data->>'discount_amount')::decimal, 0)
+  )
+  RETURNING * INTO new_order;
+
+  INSERT INTO order_items (
+    order_id, ticket_id, event_id, section, row_name, seat_number, ticket_type,
+    quantity, price, fees, taxes, total_price, status
+  )
+  SELECT
+    new_order.id,
+    item->>'ticket_id',
+    item->>'event_id',
+    item->>'section',
+    item->>'row_name',
+    item->>'seat_number',
+    item->>'ticket_type',
+    COALESCE((item->>'quantity')::integer, 1),
+    (item->>'price')::decimal,
+    COALESCE((item->>'fees')::decimal, 0),
+    COALESCE((item->>'taxes')::decimal, 0),
+    (item->>'total_price')::decimal,
+    COALESCE(item->>'status', 'pending')
+  FROM jsonb_array_elements(COALESCE(items_data, '[]'::jsonb)) AS item;
+
+  RETURN to_jsonb(new_order);
+END;
+$$;
+
+-- Takes any user_id, so only the backend (service role) may call it
+REVOKE EXECUTE ON FUNCTION create_order_with_items(jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_order_with_items(jsonb, jsonb) TO service_role;
+
+-- Verify the new columns
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name IN ('orders', 'order_items')
+  AND column_name IN ('tevo_order_id', 'tevo_client_id', 'tevo_state', 'delivery_type', 'quantity', 'event_id')
+ORDER BY table_name, column_name;
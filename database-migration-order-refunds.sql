@@ -0,0 +1,272 @@
+-- =====================================================
+-- TixPort Order Refunds Migration
+-- =====================================================
+-- This migration adds the audit trail for admin cancellations and refunds,
+-- functions that reserve and complete an adjustment atomically, and the
+-- customer emails sent when an order is cancelled or refunded.
+-- Run this after database-migration-order-events.sql and
+-- database-migration-order-emails.sql
+
+-- Running total refunded to the customer
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+COMMENT ON COLUMN orders.payment_status IS 'pending, paid, failed, partially_refunded or refunded';
+
+-- Audit trail: one row per cancellation or refund request
+CREATE TABLE IF NOT EXISTS order_adjustments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('cancel', 'refund')),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+  is_full BOOLEAN NOT NULL DEFAULT false,
+  reason TEXT NOT NULL CHECK (char_length(reason) BETWEEN 1 AND 1000),
+  status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'completed', 'failed')),
+  requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  tevo_response JSONB,
+  error_message TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Enable RLS (the backend uses the service role)
+ALTER TABLE order_adjustments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view order adjustments" ON order_adjustments;
+CREATE POLICY "Admins can view order adjustments" ON order_adjustments
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM user_roles ur
+      WHERE ur.id = auth.uid()
+      AND ur.role IN ('owner', 'admin')
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_order_adjustments_order_id ON order_adjustments(order_id, created_at);
+
+DROP TRIGGER IF EXISTS update_order_adjustments_updated_at ON order_adjustments;
+CREATE TRIGGER update_order_adjustments_updated_at
+  BEFORE UPDATE ON order_adjustments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Customer emails for cancellations and refunds
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_email_type_check;
+ALTER TABLE email_log ADD CONSTRAINT email_log_email_type_check
+  CHECK (email_type IN ('order_confirmation', 'etickets_available', 'tracking_assigned', 'order_cancelled', 'order_refunded'));
+
+-- Function: Reserve a cancellation or refund before calling TEvo
+-- Locks the order so two admins cannot refund the same balance twice.
+-- A NULL amount means the full remaining balance. Cancelling an order whose
+-- payment was never captured refunds nothing.
+DROP FUNCTION IF EXISTS request_order_adjustment(uuid, text, decimal, text, uuid);
+CREATE OR REPLACE FUNCTION request_order_adjustment(
+  order_uuid uuid,
+  adjustment_action text,
+  adjustment_amount decimal,
+  adjustment_reason text,
+  requesting_user_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  current_order orders%ROWTYPE;
+  remaining decimal;
+  adjustment order_adjustments%ROWTYPE;
+BEGIN
+  SELECT * INTO current_order FROM orders WHERE id = order_uuid FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'ORDER_NOT_FOUND';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM order_adjustments WHERE order_id = order_uuid AND status = 'requested') THEN
+    RAISE EXCEPTION 'ADJUSTMENT_IN_PROGRESS';
+  END IF;
+
+  IF current_order.status = 'cancelled' THEN
+    RAISE EXCEPTION 'ORDER_ALREADY_CANCELLED';
+  END IF;
+
+  IF adjustment_action = 'cancel' AND current_order.status = 'completed' THEN
+    RAISE EXCEPTION 'ORDER_NOT_CANCELLABLE';
+  END IF;
+
+  IF adjustment_action = 'refund' AND current_order.payment_status NOT IN ('paid', 'partially_refunded') THEN
+    RAISE EXCEPTION 'ORDER_NOT_REFUNDABLE';
+  END IF;
+
+  remaining := CASE
+    WHEN current_order.payment_status IN ('paid', 'partially_refunded')
+      THEN current_order.total_amount - current_order.refunded_amount
+    ELSE 0
+  END;
+
+  IF adjustment_action = 'refund' AND remaining <= 0 THEN
+    RAISE EXCEPTION 'ORDER_NOT_REFUNDABLE';
+  END IF;
+
+  IF adjustment_amount IS NOT NULL AND adjustment_amount > remaining THEN
+    RAISE EXCEPTION 'REFUND_EXCEEDS_BALANCE';
+  END IF;
+
+  INSERT INTO order_adjustments (order_id, action, amount, is_full, reason, requested_by)
+  VALUES (
+    order_uuid,
+    adjustment_action,
+    COALESCE(adjustment_amount, remaining),
+    remaining > 0 AND (adjustment_amount IS NULL OR adjustment_amount = remaining),
+    adjustment_reason,
+    requesting_user_id
+  )
+  RETURNING * INTO adjustment;
+
+  RETURN to_jsonb(adjustment);
+END;
+$$;
+
+-- Refunds and cancellations are requested by admins through the backend only
+REVOKE EXECUTE ON FUNCTION request_order_adjustment(uuid, text, decimal, text, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION request_order_adjustment(uuid, text, decimal, text, uuid) TO service_role;
+
+-- Function: Apply a cancellation or refund TEvo accepted
+-- Updates the order totals and statuses and records the change in order_events.
+DROP FUNCTION IF EXISTS complete_order_adjustment(uuid, jsonb);
+CREATE OR REPLACE FUNCTION complete_order_adjustment(
+  adjustment_id uuid,
+  response jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  adjustment order_adjustments%ROWTYPE;
+  current_order orders%ROWTYPE;
+  new_refunded decimal;
+  new_status text;
+  new_state text;
+  new_payment_status text;
+BEGIN
+  SELECT * INTO adjustment FROM order_adjustments WHERE id = adjustment_id AND status = 'requested' FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'ADJUSTMENT_NOT_FOUND';
+  END IF;
+
+  SELECT * INTO current_order FROM orders WHERE id = adjustment.order_id FOR UPDATE;
+
+  new_refunded := LEAST(current_order.total_amount, current_order.refunded_amount + adjustment.amount);
+  new_status := CASE WHEN adjustment.action = 'cancel' THEN 'cancelled' ELSE current_order.status END;
+  new_state := CASE WHEN adjustment.action = 'cancel' THEN 'cancelled' ELSE current_order.tevo_state END;
+  new_payment_status := CASE
+    WHEN adjustment.amount = 0 THEN current_order.payment_status
+    WHEN new_refunded >= current_order.total_amount THEN 'refunded'
+    ELSE 'partially_refunded'
+  END;
+
+  UPDATE order_adjustments
+  SET status = 'completed', tevo_response = response
+  WHERE id = adjustment_id
+  RETURNING * INTO adjustment;
+
+  UPDATE orders
+  SET refunded_amount = new_refunded,
+      status = new_status,
+      tevo_state = new_state,
+      payment_status = new_payment_status,
+      updated_at = timezone('utc'::text, now())
+  WHERE id = current_order.id;
+
+  IF adjustment.action = 'cancel' THEN
+    UPDATE order_items SET status = 'cancelled' WHERE order_id = current_order.id;
+  END IF;
+
+  INSERT INTO order_events (order_id, from_state, to_state, from_status, to_status, payment_status, source, details)
+  VALUES (
+    current_order.id, current_order.tevo_state, new_state, current_order.status, new_status,
+    new_payment_status, 'admin',
+    jsonb_build_object(
+      'adjustment_id', adjustment.id,
+      'action', adjustment.action,
+      'amount', adjustment.amount,
+      'reason', adjustment.reason
+    )
+  );
+
+  RETURN to_jsonb(adjustment);
+END;
+$$;
+
+-- Only the backend completes adjustments, after TEvo accepted them
+REVOKE EXECUTE ON FUNCTION complete_order_adjustment(uuid, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION complete_order_adjustment(uuid, jsonb) TO service_role;
+
+-- Function: Keep refund payment statuses when the order sync applies a new TEvo state
+-- (replaces the version in database-migration-order-events.sql)
+CREATE OR REPLACE FUNCTION record_order_transition(
+  order_uuid uuid,
+  new_state text,
+  new_status text,
+  new_payment_status text,
+  event_source text DEFAULT 'sync',
+  event_details jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  current_order orders%ROWTYPE;
+  new_event order_events%ROWTYPE;
+BEGIN
+  -- Lock the order so concurrent syncs record each transition once
+  SELECT * INTO current_order FROM orders WHERE id = order_uuid FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'ORDER_NOT_FOUND';
+  END IF;
+
+  IF current_order.tevo_state IS NOT DISTINCT FROM new_state THEN
+    UPDATE orders SET last_synced_at = timezone('utc'::text, now()) WHERE id = order_uuid;
+    RETURN NULL;
+  END IF;
+
+  -- A refunded order stays refunded even if TEvo still reports it as paid
+  IF new_payment_status = 'paid' AND current_order.refunded_amount > 0 THEN
+    new_payment_status := current_order.payment_status;
+  END IF;
+
+  UPDATE orders
+  SET tevo_state = new_state,
+      status = new_status,
+      payment_status = new_payment_status,
+      last_synced_at = timezone('utc'::text, now()),
+      updated_at = timezone('utc'::text, now())
+  WHERE id = order_uuid;
+
+  UPDATE order_items SET status = new_status WHERE order_id = order_uuid;
+
+  INSERT INTO order_events (order_id, from_state, to_state, from_status, to_status, payment_status, source, details)
+  VALUES (
+    order_uuid, current_order.tevo_state, new_state, current_order.status, new_status,
+    new_payment_status, event_source, COALESCE(event_details, '{}'::jsonb)
+  )
+  RETURNING * INTO new_event;
+
+  RETURN to_jsonb(new_event);
+END;
+$$;
+
+-- CREATE OR REPLACE keeps the grants from database-migration-order-events.sql; repeated here so this file stands alone
+REVOKE EXECUTE ON FUNCTION record_order_transition(uuid, text, text, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_order_transition(uuid, text, text, text, text, jsonb) TO service_role;
+
+-- Verify the new table
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename = 'order_adjustments';
@@ -0,0 +1,88 @@
+-- =====================================================
+-- TixPort Price Alerts Migration
+-- =====================================================
+-- This migration adds price alerts (notify a user when an event's tickets drop
+-- below a target price or a section gets new inventory), the in-app
+-- notifications they create, and the price alert email type.
+-- Run this after database-migration-order-refunds.sql
+
+CREATE TABLE IF NOT EXISTS price_alerts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  event_id TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  event_date TIMESTAMP WITH TIME ZONE,
+  venue_name TEXT,
+  -- Optional filters: NULL section means any section, NULL max_price means new inventory at any price
+  section TEXT CHECK (section IS NULL OR char_length(section) BETWEEN 1 AND 100),
+  max_price DECIMAL(10,2) CHECK (max_price IS NULL OR max_price > 0),
+  channels TEXT[] NOT NULL DEFAULT ARRAY['email', 'in_app']
+    CHECK (cardinality(channels) > 0 AND channels <@ ARRAY['email', 'in_app']),
+  notify_email TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  -- Snapshot from the last check
+  last_checked_at TIMESTAMP WITH TIME ZONE,
+  last_lowest_price DECIMAL(10,2),
+  last_ticket_count INTEGER,
+  -- Last notification (cooldown and "price dropped again" detection)
+  last_notified_at TIMESTAMP WITH TIME ZONE,
+  last_notified_price DECIMAL(10,2),
+  notification_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- One alert per user, event and section
+CREATE UNIQUE INDEX IF NOT EXISTS idx_price_alerts_user_event_section
+  ON price_alerts(user_id, event_id, COALESCE(lower(section), ''));
+
+-- The checker takes the least recently checked active alerts first
+CREATE INDEX IF NOT EXISTS idx_price_alerts_active_checked
+  ON price_alerts(last_checked_at NULLS FIRST) WHERE is_active;
+
+-- Enable RLS (the backend uses the service role)
+ALTER TABLE price_alerts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own price alerts" ON price_alerts;
+CREATE POLICY "Users can view own price alerts" ON price_alerts
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_price_alerts_updated_at ON price_alerts;
+CREATE TRIGGER update_price_alerts_updated_at
+  BEFORE UPDATE ON price_alerts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- In-app notifications
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('price_alert')),
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  data JSONB DEFAULT '{}'::jsonb,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created_at ON notifications(user_id, created_at DESC);
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own notifications" ON notifications;
+CREATE POLICY "Users can view own notifications" ON notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own notifications" ON notifications;
+CREATE POLICY "Users can update own notifications" ON notifications
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Price alert emails
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_email_type_check;
+ALTER TABLE email_log ADD CONSTRAINT email_log_email_type_check
+  CHECK (email_type IN ('order_confirmation', 'etickets_available', 'tracking_assigned', 'order_cancelled', 'order_refunded', 'price_alert'));
+
+-- Verify the new tables
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename IN ('price_alerts', 'notifications');
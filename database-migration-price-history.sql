@@ -0,0 +1,49 @@
+-- =====================================================
+-- TixPort Price History Migration
+-- =====================================================
+-- This migration adds periodic price snapshots per ticket group and per
+-- section. They feed the deal score on ticket group listings and the price
+-- history charts.
+-- Run this after database-migration-price-alerts.sql
+
+-- One row per available ticket group per snapshot
+CREATE TABLE IF NOT EXISTS ticket_group_price_snapshots (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  event_id TEXT NOT NULL,
+  ticket_group_id TEXT NOT NULL,
+  -- Normalized seatmap section key
+  section TEXT,
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+  quantity INTEGER NOT NULL CHECK (quantity >= 0),
+  captured_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_group_price_snapshots_group
+  ON ticket_group_price_snapshots(event_id, ticket_group_id, captured_at DESC);
+
+-- One row per section per snapshot
+CREATE TABLE IF NOT EXISTS section_price_snapshots (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  event_id TEXT NOT NULL,
+  section TEXT NOT NULL,
+  section_name TEXT NOT NULL,
+  min_price DECIMAL(10,2),
+  median_price DECIMAL(10,2),
+  max_price DECIMAL(10,2),
+  listings INTEGER NOT NULL DEFAULT 0,
+  total_quantity INTEGER NOT NULL DEFAULT 0,
+  captured_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- The latest snapshot of an event is read on every ticket group listing
+CREATE INDEX IF NOT EXISTS idx_section_price_snapshots_event_captured_at
+  ON section_price_snapshots(event_id, captured_at DESC);
+
+-- Enable RLS (the backend uses the service role; history is served through the API)
+ALTER TABLE ticket_group_price_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE section_price_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- Verify the new tables
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename IN ('ticket_group_price_snapshots', 'section_price_snapshots');
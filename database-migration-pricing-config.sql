@@ -0,0 +1,31 @@
+-- =====================================================
+-- TixPort Checkout Pricing Configuration Migration
+-- =====================================================
+-- This script adds the service fee and markup settings used by checkout
+-- Run this after the main database schema is created
+
+-- Update project_config table constraint to include 'pricing' type FIRST
+ALTER TABLE project_config DROP CONSTRAINT IF EXISTS project_config_config_type_check;
+ALTER TABLE project_config ADD CONSTRAINT project_config_config_type_check
+  CHECK (config_type IN ('general', 'location', 'contact', 'api', 'ui', 'stats', 'pricing'));
+
+-- Insert default pricing configuration (all zero = no service fee)
+-- Markups are extra fee percentages keyed by TEvo category or event ID,
+-- e.g. {"68": 5} adds 5% of the ticket subtotal for category 68.
+INSERT INTO project_config (config_key, config_value, description, config_type, is_public) VALUES
+('pricing_service_fee_percent', '0', 'Service fee as a percentage of the ticket subtotal', 'pricing', false),
+('pricing_service_fee_per_ticket', '0', 'Flat service fee per ticket (in dollars)', 'pricing', false),
+('pricing_service_fee_per_order', '0', 'Flat service fee per order (in dollars)', 'pricing', false),
+('pricing_service_fee_min', 'null', 'Minimum service fee per ticket group (in dollars, null for none)', 'pricing', false),
+('pricing_service_fee_max', 'null', 'Maximum service fee per ticket group (in dollars, null for none)', 'pricing', false),
+('pricing_category_markups', '{}', 'Extra fee percentage by TEvo category ID', 'pricing', false),
+('pricing_event_markups', '{}', 'Extra fee percentage by TEvo event ID (overrides category markups)', 'pricing', false)
+ON CONFLICT (config_key) DO UPDATE SET
+  description = EXCLUDED.description,
+  config_type = EXCLUDED.config_type;
+
+-- Check the inserted values
+SELECT config_key, config_value, description, config_type, is_public
+FROM project_config
+WHERE config_type = 'pricing'
+ORDER BY config_key;
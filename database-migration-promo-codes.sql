@@ -0,0 +1,166 @@
+-- =====================================================
+-- TixPort Promo Codes Migration
+-- =====================================================
+-- This migration adds admin-managed promo codes and a redemption ledger, plus
+-- functions that redeem and release a code atomically during checkout.
+-- Run this after the main database schema is created
+
+-- Promo codes managed from the admin panel
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code TEXT UNIQUE NOT NULL, -- Stored uppercase
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0), -- NULL = unlimited
+  max_uses_per_user INTEGER CHECK (max_uses_per_user IS NULL OR max_uses_per_user > 0), -- NULL = unlimited
+  uses_count INTEGER NOT NULL DEFAULT 0,
+  category_ids TEXT[] NOT NULL DEFAULT '{}', -- TEvo category IDs (empty = any category)
+  event_ids TEXT[] NOT NULL DEFAULT '{}', -- TEvo event IDs (empty = any event)
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  CHECK (discount_type <> 'percent' OR discount_value <= 100),
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+-- One row per checkout that used a promo code
+CREATE TABLE IF NOT EXISTS promo_code_redemptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  promo_code_id UUID REFERENCES promo_codes(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  order_ids UUID[] NOT NULL DEFAULT '{}', -- Local orders (a cart checkout can place several)
+  tevo_order_ids TEXT[] NOT NULL DEFAULT '{}',
+  discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  redeemed_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Enable RLS (the backend uses the service role; admins may manage codes directly)
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_code_redemptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can manage promo codes" ON promo_codes;
+CREATE POLICY "Admins can manage promo codes" ON promo_codes
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM user_roles ur
+      WHERE ur.id = auth.uid()
+      AND ur.role IN ('owner', 'admin')
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view promo redemptions" ON promo_code_redemptions;
+CREATE POLICY "Admins can view promo redemptions" ON promo_code_redemptions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM user_roles ur
+      WHERE ur.id = auth.uid()
+      AND ur.role IN ('owner', 'admin')
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_promo_codes_active ON promo_codes(is_active);
+CREATE INDEX IF NOT EXISTS idx_promo_code_redemptions_code_user ON promo_code_redemptions(promo_code_id, user_id);
+
+DROP TRIGGER IF EXISTS update_promo_codes_updated_at ON promo_codes;
+CREATE TRIGGER update_promo_codes_updated_at
+    BEFORE UPDATE ON promo_codes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Function: Redeem a promo code for a user, enforcing window and usage limits
+-- The code row is locked so concurrent checkouts cannot exceed max_uses.
+-- Raises PROMO_NOT_FOUND, PROMO_INACTIVE, PROMO_NOT_STARTED, PROMO_EXPIRED,
+-- PROMO_USAGE_LIMIT_REACHED or PROMO_USER_LIMIT_REACHED.
+DROP FUNCTION IF EXISTS redeem_promo_code(text, uuid, decimal);
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+  promo_code text,
+  redeeming_user_id uuid,
+  discount decimal
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  promo promo_codes%ROWTYPE;
+  user_uses integer;
+  redemption promo_code_redemptions%ROWTYPE;
+BEGIN
+  SELECT * INTO promo FROM promo_codes WHERE code = upper(promo_code) FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PROMO_NOT_FOUND';
+  END IF;
+  IF NOT promo.is_active THEN
+    RAISE EXCEPTION 'PROMO_INACTIVE';
+  END IF;
+  IF promo.starts_at IS NOT NULL AND promo.starts_at > now() THEN
+    RAISE EXCEPTION 'PROMO_NOT_STARTED';
+  END IF;
+  IF promo.ends_at IS NOT NULL AND promo.ends_at <= now() THEN
+    RAISE EXCEPTION 'PROMO_EXPIRED';
+  END IF;
+  IF promo.max_uses IS NOT NULL AND promo.uses_count >= promo.max_uses THEN
+    RAISE EXCEPTION 'PROMO_USAGE_LIMIT_REACHED';
+  END IF;
+
+  IF promo.max_uses_per_user IS NOT NULL THEN
+    SELECT count(*) INTO user_uses
+    FROM promo_code_redemptions
+    WHERE promo_code_id = promo.id AND user_id = redeeming_user_id;
+
+    IF user_uses >= promo.max_uses_per_user THEN
+      RAISE EXCEPTION 'PROMO_USER_LIMIT_REACHED';
+    END IF;
+  END IF;
+
+  INSERT INTO promo_code_redemptions (promo_code_id, user_id, discount_amount)
+  VALUES (promo.id, redeeming_user_id, discount)
+  RETURNING * INTO redemption;
+
+  UPDATE promo_codes SET uses_count = uses_count + 1 WHERE id = promo.id;
+
+  RETURN to_jsonb(redemption);
+END;
+$$;
+
+-- Redemptions are recorded for any user_id, so only the backend may redeem
+REVOKE EXECUTE ON FUNCTION redeem_promo_code(text, uuid, decimal) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION redeem_promo_code(text, uuid, decimal) TO service_role;
+
+-- Function: Release a redemption whose order could not be placed
+DROP FUNCTION IF EXISTS release_promo_redemption(uuid);
+CREATE OR REPLACE FUNCTION release_promo_redemption(redemption_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  released_code_id uuid;
+BEGIN
+  DELETE FROM promo_code_redemptions
+  WHERE id = redemption_id
+  RETURNING promo_code_id INTO released_code_id;
+
+  IF released_code_id IS NULL THEN
+    RETURN false;
+  END IF;
+
+  UPDATE promo_codes SET uses_count = GREATEST(uses_count - 1, 0) WHERE id = released_code_id;
+  RETURN true;
+END;
+$$;
+
+-- Releasing gives a use back, which only the checkout backend does
+REVOKE EXECUTE ON FUNCTION release_promo_redemption(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION release_promo_redemption(uuid) TO service_role;
+
+-- Verify the new tables
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename IN ('promo_codes', 'promo_code_redemptions');
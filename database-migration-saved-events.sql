@@ -0,0 +1,24 @@
+-- =====================================================
+-- TixPort Saved Events Migration
+-- =====================================================
+-- This migration extends saved_events with the venue location and a price
+-- snapshot (lowest price and tickets available) that the saved events list
+-- can refresh from TEvo.
+-- Run this after the main database schema is created
+
+ALTER TABLE saved_events ADD COLUMN IF NOT EXISTS venue_location TEXT;
+ALTER TABLE saved_events ADD COLUMN IF NOT EXISTS lowest_price DECIMAL(10,2);
+ALTER TABLE saved_events ADD COLUMN IF NOT EXISTS tickets_available INTEGER;
+ALTER TABLE saved_events ADD COLUMN IF NOT EXISTS price_checked_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN saved_events.lowest_price IS 'Lowest retail price per ticket when price_checked_at was taken (NULL if sold out)';
+
+-- Policy: Users can update their own saved events (refreshing the snapshot)
+DROP POLICY IF EXISTS "Users can update own saved events" ON saved_events;
+CREATE POLICY "Users can update own saved events" ON saved_events
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Verify the new columns
+SELECT column_name FROM information_schema.columns
+WHERE table_name = 'saved_events'
+AND column_name IN ('venue_location', 'lowest_price', 'tickets_available', 'price_checked_at');
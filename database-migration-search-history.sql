@@ -0,0 +1,19 @@
+-- =====================================================
+-- TixPort Search History Migration
+-- =====================================================
+-- This migration lets users clear their own search history and adds the
+-- index used to list a user's most recent searches.
+-- Run this after the main database schema is created
+
+COMMENT ON COLUMN search_history.search_type IS 'general (all results), event, artist (performers) or venue';
+
+-- Policy: Users can delete their own search history
+DROP POLICY IF EXISTS "Users can delete own search history" ON search_history;
+CREATE POLICY "Users can delete own search history" ON search_history
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_search_history_user_searched_at ON search_history(user_id, searched_at DESC);
+
+-- Verify the new policy
+SELECT policyname FROM pg_policies
+WHERE tablename = 'search_history';
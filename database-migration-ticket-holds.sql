@@ -0,0 +1,115 @@
+-- =====================================================
+-- TixPort Ticket Holds Migration
+-- =====================================================
+-- This migration adds the hold ledger used to reserve ticket group quantities
+-- while a customer completes checkout. Holds placed at TEvo are recorded here
+-- too; 'local' holds are enforced only by this ledger.
+-- Run this after the main database schema is created
+
+CREATE TABLE IF NOT EXISTS ticket_holds (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  ticket_group_id TEXT NOT NULL,
+  event_id TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  retail_price DECIMAL(10,2),
+  source TEXT NOT NULL CHECK (source IN ('tevo', 'local')),
+  tevo_hold_id TEXT,
+  status TEXT DEFAULT 'active' CHECK (status IN ('active', 'consumed', 'released')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  consumed_at TIMESTAMP WITH TIME ZONE,
+  tevo_order_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Enable RLS (the backend uses the service role)
+ALTER TABLE ticket_holds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own ticket holds" ON ticket_holds;
+CREATE POLICY "Users can view own ticket holds" ON ticket_holds
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_holds_group_active ON ticket_holds(ticket_group_id, expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_ticket_holds_user_id ON ticket_holds(user_id);
+
+DROP TRIGGER IF EXISTS update_ticket_holds_updated_at ON ticket_holds;
+CREATE TRIGGER update_ticket_holds_updated_at
+    BEFORE UPDATE ON ticket_holds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Function: Record a hold, replacing the user's active hold on the same group
+-- Local holds are checked against the TEvo available quantity minus the other
+-- active local holds; a transaction-level lock on the ticket group serializes
+-- concurrent reservations. Raises NOT_ENOUGH_TICKETS when the quantity is taken.
+-- Returns the new hold plus replaced_tevo_hold_ids, the TEvo holds of the
+-- replaced rows, which the backend releases at TEvo.
+DROP FUNCTION IF EXISTS create_ticket_hold(jsonb);
+CREATE OR REPLACE FUNCTION create_ticket_hold(hold_data jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  hold_user_id uuid := (hold_data->>'user_id')::uuid;
+  group_id text := hold_data->>'ticket_group_id';
+  hold_quantity integer := (hold_data->>'quantity')::integer;
+  held_quantity integer;
+  replaced_tevo_hold_ids text[];
+  new_hold ticket_holds%ROWTYPE;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('ticket_hold:' || group_id));
+
+  WITH replaced AS (
+    UPDATE ticket_holds
+    SET status = 'released'
+    WHERE user_id = hold_user_id
+      AND ticket_group_id = group_id
+      AND status = 'active'
+    RETURNING tevo_hold_id
+  )
+  SELECT COALESCE(array_agg(tevo_hold_id) FILTER (WHERE tevo_hold_id IS NOT NULL), '{}')
+  INTO replaced_tevo_hold_ids
+  FROM replaced;
+
+  IF hold_data->>'source' = 'local' THEN
+    SELECT COALESCE(SUM(quantity), 0) INTO held_quantity
+    FROM ticket_holds
+    WHERE ticket_group_id = group_id
+      AND source = 'local'
+      AND status = 'active'
+      AND expires_at > now();
+
+    IF held_quantity + hold_quantity > (hold_data->>'available_quantity')::integer THEN
+      RAISE EXCEPTION 'NOT_ENOUGH_TICKETS';
+    END IF;
+  END IF;
+
+  INSERT INTO ticket_holds (
+    user_id, ticket_group_id, event_id, quantity, retail_price,
+    source, tevo_hold_id, expires_at
+  ) VALUES (
+    hold_user_id,
+    group_id,
+    hold_data->>'event_id',
+    hold_quantity,
+    (hold_data->>'retail_price')::decimal,
+    hold_data->>'source',
+    hold_data->>'tevo_hold_id',
+    (hold_data->>'expires_at')::timestamptz
+  )
+  RETURNING * INTO new_hold;
+
+  RETURN to_jsonb(new_hold) || jsonb_build_object('replaced_tevo_hold_ids', to_jsonb(replaced_tevo_hold_ids));
+END;
+$$;
+
+-- Holds are created for the user_id in hold_data, so only the backend may call this
+REVOKE EXECUTE ON FUNCTION create_ticket_hold(jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_ticket_hold(jsonb) TO service_role;
+
+-- Verify the new table
+SELECT tablename FROM pg_tables
+WHERE schemaname = 'public'
+AND tablename = 'ticket_holds';
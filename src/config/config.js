@@ -48,10 +48,69 @@ module.exports = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || (process.env.NODE_ENV === 'development' ? 500 : 100), // 500 in dev, 100 in prod
   },
   
+  // Checkout
+  checkout: {
+    holdMinutes: parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 10, // How long a ticket hold lasts
+    useTevoHolds: process.env.TEVO_TICKET_HOLDS !== 'false', // Fall back to the local hold ledger when disabled
+  },
+
+  // Order sync - refreshes open orders from TEvo /orders/:id
+  orderSync: {
+    enabled: process.env.ORDER_SYNC_ENABLED !== 'false', // Background poller (long-running servers only)
+    intervalMinutes: parseInt(process.env.ORDER_SYNC_INTERVAL_MINUTES) || 15,
+    batchSize: parseInt(process.env.ORDER_SYNC_BATCH_SIZE) || 50, // Orders refreshed per run
+  },
+
+  // Price alerts - re-checks ticket groups of events users are watching
+  priceAlerts: {
+    enabled: process.env.PRICE_ALERTS_ENABLED !== 'false', // Background checker (long-running servers only)
+    intervalMinutes: parseInt(process.env.PRICE_ALERTS_INTERVAL_MINUTES) || 30,
+    batchSize: parseInt(process.env.PRICE_ALERTS_BATCH_SIZE) || 100, // Alerts checked per run
+    cooldownHours: parseInt(process.env.PRICE_ALERTS_COOLDOWN_HOURS) || 24, // Minimum time between alerts
+  },
+
+  // Response cache for TEvo API calls
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    store: process.env.CACHE_STORE || 'memory', // memory (per instance) or postgres (shared, with a memory tier in front)
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000, // LRU size of the memory store
+    // Time to live per endpoint, in seconds
+    ttlSeconds: {
+      categories: parseInt(process.env.CACHE_TTL_CATEGORIES) || 3600,
+      seatmap: parseInt(process.env.CACHE_TTL_SEATMAP) || 3600,
+      events: parseInt(process.env.CACHE_TTL_EVENTS) || 300,
+      search: parseInt(process.env.CACHE_TTL_SEARCH) || 300,
+      'ticket-groups': parseInt(process.env.CACHE_TTL_TICKET_GROUPS) || 30,
+      'ticket-group': parseInt(process.env.CACHE_TTL_TICKET_GROUP) || 15,
+      'event-detail': parseInt(process.env.CACHE_TTL_EVENT_DETAIL) || 60, // Event pages with their price summary
+      autocomplete: parseInt(process.env.CACHE_TTL_AUTOCOMPLETE) || 60,
+    },
+    defaultTtlSeconds: 60,
+  },
+
+  // Price history - snapshots behind deal scores and price charts
+  priceHistory: {
+    snapshotIntervalMinutes: parseInt(process.env.PRICE_HISTORY_SNAPSHOT_INTERVAL_MINUTES) || 60, // Minimum time between snapshots of an event
+    defaultDays: 30, // History returned when the request doesn't say
+    maxDays: parseInt(process.env.PRICE_HISTORY_MAX_DAYS) || 90,
+  },
+
+  // Email (SMTP) - emails are logged as skipped when SMTP_HOST is not set
+  email: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || 'TixPort <orders@tixport.com>',
+  },
+
   // Pagination
   pagination: {
     defaultLimit: 20,
     maxLimit: 100,
+    // Events and tickets can merge several TEvo pages into one response
+    maxMergedLimit: 500,
   },
 };
 
@@ -0,0 +1,208 @@
+// Mock external services so cart checkouts can be tested without credentials
+jest.mock('../../services/tevoSignatureService', () => ({
+  validateConfig: jest.fn(() => ({ isValid: true, errors: [] }))
+}));
+jest.mock('../../services/ticketEvolutionService', () => ({
+  getTicketGroup: jest.fn(),
+  mapDeliveryTypeFromFormat: jest.fn((format) => (format === 'Physical' ? 'FedEx' : 'Eticket')),
+  createTaxQuote: jest.fn(),
+  createOrderV9: jest.fn()
+}));
+jest.mock('../../services/orderService', () => ({
+  createOrder: jest.fn()
+}));
+jest.mock('../../services/pricingService', () => ({
+  getPricingConfig: jest.fn(),
+  calculateServiceFee: jest.fn()
+}));
+jest.mock('../../services/promoService', () => ({
+  validatePromo: jest.fn(),
+  redeem: jest.fn(),
+  releaseRedemption: jest.fn(),
+  recordRedemptionOrders: jest.fn()
+}));
+jest.mock('../../services/holdService', () => ({
+  getSelectionHolds: jest.fn(),
+  consumeHold: jest.fn(),
+  restoreHold: jest.fn(),
+  recordHoldOrder: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendOrderConfirmation: jest.fn()
+}));
+jest.mock('../../services/orderSyncService', () => ({}));
+
+const ticketEvolutionService = require('../../services/ticketEvolutionService');
+const orderService = require('../../services/orderService');
+const pricingService = require('../../services/pricingService');
+const promoService = require('../../services/promoService');
+const holdService = require('../../services/holdService');
+const emailService = require('../../services/emailService');
+const checkoutController = require('../checkoutController');
+
+describe('CheckoutController cart checkout', () => {
+  const ticketGroups = {
+    101: { id: 101, retail_price: 50, available_quantity: 4, format: 'Eticket', event: { id: 1 } },
+    202: { id: 202, retail_price: 80, available_quantity: 2, format: 'Physical', event: { id: 2 } },
+    303: { id: 303, retail_price: 30, available_quantity: 6, format: 'Eticket', event: { id: 3 } }
+  };
+
+  const buildRes = () => {
+    const res = { locals: {}, status: jest.fn(() => res), json: jest.fn() };
+    return res;
+  };
+
+  const buildReq = (body) => ({
+    userId: 'user-1',
+    ip: '10.0.0.1',
+    body: {
+      tevoClientId: 555,
+      braintreeNonce: 'nonce-1',
+      email: 'buyer@example.com',
+      phone: '(555) 123-4567',
+      name: 'Jamie Smith',
+      shippingAddress: { line1: '1 Main St', city: 'Austin', state: 'TX', postal_code: '78701' },
+      isCartCheckout: true,
+      ...body
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(checkoutController, '_getShippingCostInternal').mockResolvedValue(15);
+    jest.spyOn(checkoutController, '_recordSalesStats').mockResolvedValue();
+
+    ticketEvolutionService.getTicketGroup.mockImplementation(async (id) => ticketGroups[id]);
+    ticketEvolutionService.createTaxQuote.mockResolvedValue({ retail: { tax: 12 }, tax_signature: 'sig-cart' });
+    ticketEvolutionService.createOrderV9.mockResolvedValue({ orders: [{ id: 9001, oid: 'R9001', state: 'pending' }] });
+    holdService.getSelectionHolds.mockResolvedValue({ heldQuantity: 0, ownHeldQuantity: 0 });
+    holdService.consumeHold.mockImplementation(async (holdId) => ({ valid: true, hold: { id: holdId } }));
+    pricingService.getPricingConfig.mockResolvedValue({});
+    // $2 per ticket plus a $5 flat fee on the first item of the order
+    pricingService.calculateServiceFee.mockImplementation((pricingConfig, { quantity, includeOrderFee }) => quantity * 2 + (includeOrderFee ? 5 : 0));
+    orderService.createOrder.mockResolvedValue({ id: 'local-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should place one order with a shipment per delivery type and a single payment', async () => {
+    const res = buildRes();
+
+    await checkoutController.processCheckout(buildReq({
+      cartItems: [
+        { ticketGroupId: 101, quantity: 2, retailUnitPrice: 50, holdId: 'hold-1' },
+        { ticketGroupId: 202, quantity: 2, retailUnitPrice: 80 },
+        { ticketGroupId: 303, quantity: 1, retailUnitPrice: 30 }
+      ]
+    }), res);
+
+    expect(ticketEvolutionService.createTaxQuote).toHaveBeenCalledTimes(1);
+    expect(ticketEvolutionService.createTaxQuote).toHaveBeenCalledWith({
+      items: [
+        { ticket_group_id: 101, quantity: 2, price: 50 },
+        { ticket_group_id: 202, quantity: 2, price: 80 },
+        { ticket_group_id: 303, quantity: 1, price: 30 }
+      ],
+      retail: { shipping: 15, service_fee: 15 }
+    });
+
+    expect(ticketEvolutionService.createOrderV9).toHaveBeenCalledTimes(1);
+    const orderRequest = ticketEvolutionService.createOrderV9.mock.calls[0][0];
+    expect(orderRequest.payment).toEqual({ payment_method_nonce: 'nonce-1' });
+    expect(orderRequest.totals).toEqual({ service_fee: 15, shipping: 15, discount: 0, tax: 12, tax_signature: 'sig-cart' });
+    expect(orderRequest.shipments.map((shipment) => [shipment.type, shipment.items.map((item) => item.ticket_group_id)])).toEqual([
+      ['Eticket', [101, 303]],
+      ['FedEx', [202]]
+    ]);
+    expect(orderRequest.shipments[1].address_attributes.locality).toBe('Austin');
+
+    expect(holdService.recordHoldOrder).toHaveBeenCalledWith('hold-1', 9001);
+    expect(orderService.createOrder).toHaveBeenCalledTimes(1);
+    expect(orderService.createOrder.mock.calls[0][0]).toMatchObject({
+      deliveryType: 'Eticket, FedEx',
+      totals: { service_fee: 15, shipping: 15, discount: 0, tax: 12 }
+    });
+    expect(emailService.sendOrderConfirmation).toHaveBeenCalledWith('local-1');
+
+    expect(res.status).not.toHaveBeenCalled();
+    const body = res.json.mock.calls[0][0];
+    expect(body.success).toBe(true);
+    expect(body.data.orders).toHaveLength(1);
+    expect(body.data.items.every((item) => item.success && item.orderId === 9001)).toBe(true);
+    expect(body.data.total).toEqual({ subtotal: 290, serviceFee: 15, shipping: 15, tax: 12, discount: 0, total: 332 });
+  });
+
+  test('should let the buyer order the tickets their TEvo hold took out of availability', async () => {
+    // TEvo counts its own holds as sold, so the held group shows no tickets left
+    ticketEvolutionService.getTicketGroup.mockImplementation(async (id) => ({ ...ticketGroups[id], available_quantity: 0 }));
+    holdService.getSelectionHolds.mockResolvedValue({ heldQuantity: 0, ownHeldQuantity: 2 });
+    const res = buildRes();
+
+    await checkoutController.processCheckout(buildReq({
+      cartItems: [{ ticketGroupId: 101, quantity: 2, retailUnitPrice: 50, holdId: 'hold-1' }]
+    }), res);
+
+    expect(holdService.getSelectionHolds).toHaveBeenCalledWith(101, { holdId: 'hold-1', userId: 'user-1' });
+    expect(holdService.consumeHold).toHaveBeenCalledWith('hold-1', 'user-1', expect.objectContaining({ ticketGroupId: 101, quantity: 2 }));
+    expect(ticketEvolutionService.createOrderV9).toHaveBeenCalledTimes(1);
+    expect(res.json.mock.calls[0][0].data.items.map((item) => item.success)).toEqual([true]);
+  });
+
+  test('should report failed items and order the rest together', async () => {
+    holdService.consumeHold.mockResolvedValue({ valid: false, code: 'HOLD_EXPIRED', message: 'Your hold has expired' });
+    const res = buildRes();
+
+    await checkoutController.processCheckout(buildReq({
+      cartItems: [
+        { ticketGroupId: 101, quantity: 2, retailUnitPrice: 50, holdId: 'hold-1' },
+        { ticketGroupId: 202, quantity: 2, retailUnitPrice: 95 },
+        { ticketGroupId: 303, quantity: 1, retailUnitPrice: 30 }
+      ]
+    }), res);
+
+    expect(ticketEvolutionService.createOrderV9).toHaveBeenCalledTimes(1);
+    const orderRequest = ticketEvolutionService.createOrderV9.mock.calls[0][0];
+    expect(orderRequest.shipments).toEqual([expect.objectContaining({ type: 'Eticket', items: [{ ticket_group_id: 303, quantity: 1, price: 30 }] })]);
+    // The flat fee moves to the only item left in the order
+    expect(orderRequest.totals).toMatchObject({ service_fee: 7, shipping: 0 });
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.success).toBe(true);
+    expect(body.message).toBe('1 of 3 cart items ordered');
+    expect(body.data.items.map((item) => [item.success, item.code])).toEqual([
+      [false, 'HOLD_EXPIRED'],
+      [false, 'PRICE_CHANGED'],
+      [true, undefined]
+    ]);
+  });
+
+  test('should restore holds, release the promo and fail every item when the order fails', async () => {
+    promoService.validatePromo.mockResolvedValue({ valid: true, promo: { id: 'promo-1' }, discount: 10, itemDiscounts: [6, 4] });
+    promoService.redeem.mockResolvedValue({ valid: true, redemption: { id: 'redemption-1' } });
+    ticketEvolutionService.createOrderV9.mockRejectedValue(new Error('No response from TicketEvolution API - check connection'));
+    const res = buildRes();
+
+    await checkoutController.processCheckout(buildReq({
+      promoCode: 'SAVE10',
+      cartItems: [
+        { ticketGroupId: 101, quantity: 2, retailUnitPrice: 50, holdId: 'hold-1' },
+        { ticketGroupId: 303, quantity: 1, retailUnitPrice: 30 }
+      ]
+    }), res);
+
+    expect(ticketEvolutionService.createOrderV9.mock.calls[0][0].totals.discount).toBe(10);
+    expect(promoService.releaseRedemption).toHaveBeenCalledWith('redemption-1');
+    expect(holdService.restoreHold).toHaveBeenCalledWith({ id: 'hold-1' });
+    expect(orderService.createOrder).not.toHaveBeenCalled();
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    const body = res.json.mock.calls[0][0];
+    expect(body.success).toBe(false);
+    expect(body.data.items.map((item) => item.success)).toEqual([false, false]);
+  });
+});
@@ -1,5 +1,16 @@
+const config = require('../config/config');
 const supabaseService = require('../services/supabaseService');
 const ticketEvolutionService = require('../services/ticketEvolutionService');
+const pricingService = require('../services/pricingService');
+const promoService = require('../services/promoService');
+const orderService = require('../services/orderService');
+const orderSyncService = require('../services/orderSyncService');
+const emailService = require('../services/emailService');
+const refundService = require('../services/refundService');
+const autocompleteService = require('../services/autocompleteService');
+const priceAlertService = require('../services/priceAlertService');
+const cacheService = require('../services/cacheService');
+const { isUuid } = require('../utils/uuid');
 
 class AdminController {
   
@@ -407,7 +418,8 @@ class AdminController {
     try {
       console.log('Starting ULTRA-FAST single-JSON category sync...');
       
-      // Fetch ALL pages of categories from TicketEvolution API
+      // Fetch ALL pages of categories from TicketEvolution API (bypassing cached pages)
+      await ticketEvolutionService.clearCache('categories:');
       const allCategories = [];
       const first = await ticketEvolutionService.getCategories(1, 100);
       allCategories.push(...(first.categories || []));
@@ -461,6 +473,9 @@ class AdminController {
       console.log(`ULTRA-FAST sync completed in ${syncDuration}ms!`);
       console.log('Sync result:', syncResult);
 
+      // Autocomplete caches the category list, so pick up the new one immediately
+      await autocompleteService.clearCache();
+
       res.json({
         success: true,
         data: {
@@ -635,6 +650,8 @@ class AdminController {
         });
       }
 
+      await autocompleteService.clearCache();
+
       res.json({
         success: true,
         data: { id: categoryIdStr, is_visible },
@@ -768,6 +785,8 @@ class AdminController {
         });
       }
 
+      await autocompleteService.clearCache();
+
       res.json({
         success: true,
         data: { id: categoryIdStr, is_visible, is_featured },
@@ -2013,6 +2032,11 @@ class AdminController {
         });
       }
 
+      // Checkout pricing rules are cached, so pick up changes immediately
+      if (config_type === 'pricing' || config_key.startsWith('pricing_')) {
+        pricingService.clearCache();
+      }
+
       res.json({
         success: true,
         data: data,
@@ -2059,6 +2083,10 @@ class AdminController {
         });
       }
 
+      if (config_key.startsWith('pricing_')) {
+        pricingService.clearCache();
+      }
+
       res.json({
         success: true,
         message: 'Config setting deleted successfully'
@@ -2072,6 +2100,746 @@ class AdminController {
       });
     }
   }
+
+  // ===========================
+  // PROMO CODES
+  // ===========================
+
+  /**
+   * Get all promo codes
+   */
+  async getPromoCodes(req, res) {
+    try {
+      const { active } = req.query;
+
+      let query = supabaseService.adminClient
+        .from('promo_codes')
+        .select('*')
+        .order('created_at', { ascending: false });
+
+      if (active !== undefined) {
+        query = query.eq('is_active', active === 'true');
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching promo codes:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch promo codes',
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        data: data
+      });
+    } catch (error) {
+      console.error('Error in getPromoCodes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch promo codes',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create promo code
+   */
+  async createPromoCode(req, res) {
+    try {
+      const { record, error: validationError } = promoService.buildPromoRecord(req.body);
+
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          code: 'INVALID_PROMO_CODE'
+        });
+      }
+
+      const { data, error } = await supabaseService.adminClient
+        .from('promo_codes')
+        .insert({
+          ...record,
+          created_by: req.userId
+        })
+        .select()
+        .single();
+
+      if (error?.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: `Promo code ${record.code} already exists`,
+          code: 'PROMO_CODE_EXISTS'
+        });
+      }
+
+      if (error) {
+        console.error('Error creating promo code:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to create promo code',
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        data: data,
+        message: 'Promo code created successfully'
+      });
+    } catch (error) {
+      console.error('Error in createPromoCode:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create promo code',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update promo code
+   */
+  async updatePromoCode(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Malformed IDs can't match a promo code, so don't send them to Postgres
+      if (!isUuid(id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promo code not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      const { record, error: validationError } = promoService.buildPromoRecord(req.body, { partial: true });
+
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          code: 'INVALID_PROMO_CODE'
+        });
+      }
+
+      const { data, error } = await supabaseService.adminClient
+        .from('promo_codes')
+        .update(record)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error?.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: `Promo code ${record.code} already exists`,
+          code: 'PROMO_CODE_EXISTS'
+        });
+      }
+
+      if (error) {
+        console.error('Error updating promo code:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update promo code',
+          error: error.message
+        });
+      }
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promo code not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: data,
+        message: 'Promo code updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in updatePromoCode:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update promo code',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete promo code (and its redemption history)
+   */
+  async deletePromoCode(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Malformed IDs can't match a promo code, so don't send them to Postgres
+      if (!isUuid(id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promo code not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const { data, error } = await supabaseService.adminClient
+        .from('promo_codes')
+        .delete()
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error deleting promo code:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to delete promo code',
+          error: error.message
+        });
+      }
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promo code not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Promo code deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deletePromoCode:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete promo code',
+        error: error.message
+      });
+    }
+  }
+
+  // ===========================
+  // ORDERS
+  // ===========================
+
+  /**
+   * Search orders with filters (date range, status, event, customer email, amount)
+   */
+  async getOrders(req, res) {
+    try {
+      const { filters, error: filterError } = orderService.parseAdminFilters(req.query);
+
+      if (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: filterError,
+          code: 'INVALID_FILTER'
+        });
+      }
+
+      const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+      const limitNum = Math.min(config.pagination.maxLimit, Math.max(1, parseInt(req.query.limit) || config.pagination.defaultLimit));
+
+      const { orders, total } = await orderService.searchOrders(filters, { page: pageNum, limit: limitNum });
+
+      res.json({
+        success: true,
+        data: {
+          orders,
+          pagination: {
+            current_page: pageNum,
+            per_page: limitNum,
+            total_entries: total,
+            total_pages: Math.ceil(total / limitNum)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error in getOrders:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch orders',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Export orders matching the same filters as CSV
+   */
+  async exportOrders(req, res) {
+    try {
+      const { filters, error: filterError } = orderService.parseAdminFilters(req.query);
+
+      if (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: filterError,
+          code: 'INVALID_FILTER'
+        });
+      }
+
+      const { orders, truncated } = await orderService.exportOrders(filters);
+      const filename = `orders-${new Date().toISOString().slice(0, 10)}.csv`;
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'X-Total-Count': String(orders.length),
+        'X-Export-Truncated': String(truncated)
+      });
+      res.send(orderService.buildOrdersCsv(orders));
+    } catch (error) {
+      console.error('Error in exportOrders:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export orders',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get order detail with items, state history, notes and emails sent
+   */
+  async getOrder(req, res) {
+    try {
+      const { id } = req.params;
+
+      const order = await orderService.getOrderWithItems(id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const [events, notes, emails, adjustments] = await Promise.all([
+        orderService.getOrderEvents(order.id),
+        orderService.getOrderNotes(order.id),
+        orderService.getOrderEmails(order.id),
+        refundService.getAdjustments(order.id)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...order,
+          events,
+          notes,
+          emails,
+          adjustments
+        }
+      });
+    } catch (error) {
+      console.error('Error in getOrder:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Resend the order confirmation email
+   */
+  async resendOrderConfirmation(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await emailService.sendOrderConfirmation(id, {
+        metadata: { resent_by: req.userId }
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      if (result.status !== 'sent') {
+        return res.status(502).json({
+          success: false,
+          message: `Confirmation email was not sent: ${result.error}`,
+          code: 'EMAIL_NOT_SENT',
+          data: result
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'Confirmation email sent'
+      });
+    } catch (error) {
+      console.error('Error in resendOrderConfirmation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend confirmation email',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add an internal note to an order
+   */
+  async addOrderNote(req, res) {
+    try {
+      const { id } = req.params;
+      const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+
+      if (!note || note.length > 2000) {
+        return res.status(400).json({
+          success: false,
+          message: 'note is required and must be at most 2000 characters',
+          code: 'INVALID_NOTE'
+        });
+      }
+
+      const order = await orderService.getOrderWithItems(id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const data = await orderService.addOrderNote(order.id, req.userId, note);
+
+      res.status(201).json({
+        success: true,
+        data,
+        message: 'Note added successfully'
+      });
+    } catch (error) {
+      console.error('Error in addOrderNote:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add note',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel or refund an order (shared by cancelOrder and refundOrder)
+   */
+  async handleOrderAdjustment(req, res, action) {
+    try {
+      const { id } = req.params;
+      const { reason, amount, error: requestError } = refundService.parseRequest({
+        reason: req.body?.reason,
+        amount: action === 'refund' ? req.body?.amount : undefined
+      });
+
+      if (requestError) {
+        return res.status(400).json({
+          success: false,
+          message: requestError.message,
+          code: requestError.code
+        });
+      }
+
+      const order = await orderService.getOrderWithItems(id);
+
+      if (!order || !order.tevo_order_id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const result = action === 'cancel'
+        ? await refundService.cancelOrder(order, { reason, userId: req.userId })
+        : await refundService.refundOrder(order, { reason, amount, userId: req.userId });
+
+      if (!result.valid) {
+        return res.status(result.code === 'TEVO_REQUEST_FAILED' ? 502 : 409).json({
+          success: false,
+          message: result.message,
+          code: result.code
+        });
+      }
+
+      if (result.needs_reconciliation) {
+        return res.json({
+          success: true,
+          data: {
+            adjustment: result.adjustment,
+            email: null,
+            needs_reconciliation: true
+          },
+          message: `${action === 'cancel' ? 'Order cancelled' : 'Refund issued'} at Ticket Evolution but not recorded; reconcile the adjustment`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          adjustment: result.adjustment,
+          email: result.email
+        },
+        message: action === 'cancel' ? 'Order cancelled successfully' : 'Refund issued successfully'
+      });
+    } catch (error) {
+      console.error(`Error in ${action}Order:`, error);
+      res.status(500).json({
+        success: false,
+        message: action === 'cancel' ? 'Failed to cancel order' : 'Failed to refund order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel an order through TEvo and refund what was paid
+   */
+  async cancelOrder(req, res) {
+    return this.handleOrderAdjustment(req, res, 'cancel');
+  }
+
+  /**
+   * Refund part (amount) or all of an order through TEvo
+   */
+  async refundOrder(req, res) {
+    return this.handleOrderAdjustment(req, res, 'refund');
+  }
+
+  /**
+   * Settle a cancellation or refund stuck in 'requested' (status: completed or failed)
+   */
+  async reconcileOrderAdjustment(req, res) {
+    try {
+      const { id, adjustmentId } = req.params;
+      const order = await orderService.getOrderWithItems(id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const result = await refundService.reconcileAdjustment(order, adjustmentId, {
+        status: req.body?.status,
+        message: typeof req.body?.message === 'string' ? req.body.message.trim() : null
+      });
+
+      if (!result.valid) {
+        return res.status(result.code === 'ADJUSTMENT_NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          message: result.message,
+          code: result.code
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          adjustment: result.adjustment,
+          email: result.email
+        },
+        message: 'Order adjustment reconciled successfully'
+      });
+    } catch (error) {
+      console.error('Error in reconcileOrderAdjustment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reconcile order adjustment',
+        error: error.message
+      });
+    }
+  }
+
+  // ===========================
+  // ORDER SYNC
+  // ===========================
+
+  /**
+   * Refresh open orders from TEvo now (also the entry point for external schedulers)
+   */
+  async syncOrders(req, res) {
+    try {
+      const limit = Math.min(config.pagination.maxLimit, parseInt(req.body?.limit) || config.orderSync.batchSize);
+
+      const summary = await orderSyncService.syncOpenOrders({ limit, source: 'admin' });
+
+      if (summary.skipped) {
+        return res.status(409).json({
+          success: false,
+          message: 'An order sync is already running',
+          code: 'SYNC_IN_PROGRESS'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: summary,
+        message: `Synced ${summary.checked} open orders (${summary.updated} updated, ${summary.failed} failed)`
+      });
+    } catch (error) {
+      console.error('Error in syncOrders:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sync orders',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Refresh a single order from TEvo
+   */
+  async syncOrder(req, res) {
+    try {
+      const { id } = req.params;
+
+      const order = await orderService.getOrderWithItems(id);
+
+      if (!order || !order.tevo_order_id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const result = await orderSyncService.syncOrder(order, { source: 'admin' });
+
+      res.json({
+        success: true,
+        data: result,
+        message: result.changed ? 'Order state updated' : 'Order state unchanged'
+      });
+    } catch (error) {
+      console.error('Error in syncOrder:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sync order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the state history of any order
+   */
+  async getOrderEvents(req, res) {
+    try {
+      const { id } = req.params;
+
+      const order = await orderService.getOrderWithItems(id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const events = await orderService.getOrderEvents(order.id);
+
+      res.json({
+        success: true,
+        data: {
+          order_id: order.id,
+          order_number: order.order_number,
+          status: order.status,
+          payment_status: order.payment_status,
+          tevo_state: order.tevo_state,
+          last_synced_at: order.last_synced_at,
+          events
+        }
+      });
+    } catch (error) {
+      console.error('Error in getOrderEvents:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch order history',
+        error: error.message
+      });
+    }
+  }
+
+  // ===========================
+  // PRICE ALERTS
+  // ===========================
+
+  /**
+   * Check price alerts now (also the entry point for external schedulers)
+   */
+  async checkPriceAlerts(req, res) {
+    try {
+      const limit = Math.min(config.pagination.maxMergedLimit, parseInt(req.body?.limit) || config.priceAlerts.batchSize);
+
+      const summary = await priceAlertService.checkAlerts({ limit });
+
+      if (summary.skipped) {
+        return res.status(409).json({
+          success: false,
+          message: 'A price alert check is already running',
+          code: 'CHECK_IN_PROGRESS'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: summary,
+        message: `Checked ${summary.checked} price alerts (${summary.triggered} triggered, ${summary.failed} failed)`
+      });
+    } catch (error) {
+      console.error('Error in checkPriceAlerts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check price alerts',
+        error: error.message
+      });
+    }
+  }
+
+  // ===========================
+  // CACHE
+  // ===========================
+
+  /**
+   * TEvo response cache hit and miss metrics
+   */
+  async getCacheMetrics(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: cacheService.getMetrics()
+      });
+    } catch (error) {
+      console.error('Error in getCacheMetrics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get cache metrics',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new AdminController();
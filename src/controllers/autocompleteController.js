@@ -0,0 +1,50 @@
+const autocompleteService = require('../services/autocompleteService');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 20;
+
+class AutocompleteController {
+  /**
+   * Typeahead suggestions for performers, events, venues and categories
+   * GET /api/autocomplete?q=&limit=
+   */
+  async getSuggestions(req, res) {
+    try {
+      const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT));
+
+      // Too short to search yet; the search box calls this on every keystroke
+      if (q.length < 2) {
+        return res.json({
+          success: true,
+          data: { query: q, suggestions: [] }
+        });
+      }
+
+      if (q.length > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'q must be at most 100 characters',
+          code: 'INVALID_SEARCH'
+        });
+      }
+
+      const { suggestions, cached } = await autocompleteService.getSuggestions(q, limit);
+
+      res.set('Cache-Control', 'public, max-age=60');
+      res.json({
+        success: true,
+        data: { query: q, suggestions, cached }
+      });
+    } catch (error) {
+      console.error('Error in getSuggestions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch suggestions',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AutocompleteController();
@@ -1,5 +1,8 @@
 const ticketEvolutionService = require('../services/ticketEvolutionService');
 const supabaseService = require('../services/supabaseService');
+const eventFilterService = require('../services/eventFilterService');
+const eventDetailService = require('../services/eventDetailService');
+const config = require('../config/config');
 
 class EventsController {
     // Get all events with optional filtering - handles all event requests in one function
@@ -17,12 +20,22 @@ class EventsController {
         ip, 
         lat, 
         lon, 
-        within,
-        only_with_available_tickets
+        within
       } = req.query;
 
+      // Validate discovery filters (dates, performer, venue, availability, price, weekends, text, sort)
+      const parsed = eventFilterService.parseFilters(req.query);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+          code: 'INVALID_FILTER',
+          requestId
+        });
+      }
+
       // Build filters object
-      const filters = {};
+      const filters = { ...parsed.filters };
       const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || req.socket?.remoteAddress;
 
       // Handle category filtering - support both ID and slug
@@ -68,28 +81,49 @@ class EventsController {
         console.log(`[REQUEST ${requestId}] Location filter provided but no radius specified - fetching all events`);
       }
 
-      // Always enforce available tickets only
-      filters.only_with_available_tickets = true;
-
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const pageNum = Math.max(1, parseInt(page) || 1);
+      const limitNum = Math.min(config.pagination.maxMergedLimit, Math.max(1, parseInt(limit) || config.pagination.defaultLimit));
 
       console.log(`[REQUEST ${requestId}] Events API called - filters:`, Object.keys(filters));
 
-      const result = await ticketEvolutionService.getEvents(filters, pageNum, limitNum, requestId);
+      let result;
+      if (parsed.local) {
+        // Price and weekend filters and price sorting are applied here, so fetch the
+        // first maxMergedLimit events and page through the filtered list
+        const maxEvents = config.pagination.maxMergedLimit;
+        const fetched = await ticketEvolutionService.getEvents(filters, 1, maxEvents, requestId);
+        const filtered = eventFilterService.applyLocalFilters(fetched.events, parsed.localFilters, parsed.sort);
+        const offset = (pageNum - 1) * limitNum;
+
+        result = {
+          events: filtered.slice(offset, offset + limitNum),
+          pagination: ticketEvolutionService.buildPagination(
+            { current_page: pageNum, per_page: limitNum, total_entries: filtered.length },
+            pageNum,
+            limitNum
+          ),
+          locationContext: fetched.locationContext,
+          complete: fetched.pagination.total_entries <= maxEvents
+        };
+      } else {
+        result = await ticketEvolutionService.getEvents(filters, pageNum, limitNum, requestId);
+      }
+      const { events } = result;
 
       res.json({
         success: true,
         data: {
-          events: result.events,
+          events,
           pagination: result.pagination,
-          filters,
+          filters: { ...filters, ...parsed.localFilters },
+          sort: parsed.sort,
           locationContext: result.locationContext,
+          ...(parsed.local && { complete: result.complete }),
           requestId
         },
       });
 
-      console.log(`[REQUEST ${requestId}] Completed in ${Date.now() - startTime}ms - ${result.events.length} events returned`);
+      console.log(`[REQUEST ${requestId}] Completed in ${Date.now() - startTime}ms - ${events.length} events returned`);
 
     } catch (error) {
       console.error(`[REQUEST ${requestId}] Error in getEvents:`, error.message);
@@ -102,7 +136,7 @@ class EventsController {
     }
   }
 
-  // Get single event by ID
+  // Get single event by ID, with its price summary and listing stats
   async getSingleEvent(req, res) {
     const requestId = Math.random().toString(36).substring(7);
     const startTime = Date.now();
@@ -120,15 +154,16 @@ class EventsController {
 
       console.log(`[REQUEST ${requestId}] Single event API called for ID: ${eventId}`);
 
-      const event = await ticketEvolutionService.getEvent(parseInt(eventId));
+      const { event, cached } = await eventDetailService.getEventDetail(parseInt(eventId));
 
+      res.set('Cache-Control', 'public, max-age=60');
       res.json({
         success: true,
         data: event,
         requestId
       });
 
-      console.log(`[REQUEST ${requestId}] Completed in ${Date.now() - startTime}ms - Event "${event.name}" returned`);
+      console.log(`[REQUEST ${requestId}] Completed in ${Date.now() - startTime}ms - Event "${event.name}" returned${cached ? ' (cached)' : ''}`);
 
     } catch (error) {
       console.error(`[REQUEST ${requestId}] Error in getSingleEvent:`, error.message);
@@ -177,7 +212,8 @@ class EventsController {
       const { pattern } = req.query;
       const ticketEvolutionService = require('../services/ticketEvolutionService');
       
-      ticketEvolutionService.clearCache(pattern);
+      await ticketEvolutionService.clearCache(pattern);
+      await eventDetailService.clearCache();
       
       res.json({
         success: true,
@@ -0,0 +1,63 @@
+const notificationService = require('../services/notificationService');
+const config = require('../config/config');
+
+class NotificationsController {
+  /**
+   * Get the signed-in user's in-app notifications
+   * GET /api/me/notifications?unread=true&limit=
+   */
+  async getNotifications(req, res) {
+    try {
+      const limit = Math.min(config.pagination.maxLimit, Math.max(1, parseInt(req.query.limit) || config.pagination.defaultLimit));
+
+      const result = await notificationService.getNotifications(req.userId, {
+        unreadOnly: req.query.unread === 'true',
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in getNotifications:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch notifications',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * POST /api/me/notifications/:id/read
+   */
+  async markNotificationRead(req, res) {
+    try {
+      const notification = await notificationService.markRead(req.userId, req.params.id);
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: notification
+      });
+    } catch (error) {
+      console.error('Error in markNotificationRead:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notification',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new NotificationsController();
@@ -0,0 +1,111 @@
+const orderService = require('../services/orderService');
+const config = require('../config/config');
+
+class OrdersController {
+  /**
+   * Get the signed-in user's order history
+   * GET /api/orders
+   */
+  async getMyOrders(req, res) {
+    try {
+      const { page = 1, limit = config.pagination.defaultLimit } = req.query;
+      const pageNum = Math.max(1, parseInt(page) || 1);
+      const limitNum = Math.min(config.pagination.maxLimit, Math.max(1, parseInt(limit) || config.pagination.defaultLimit));
+
+      const { orders, total } = await orderService.getUserOrders(req.userId, { page: pageNum, limit: limitNum });
+
+      res.json({
+        success: true,
+        data: {
+          orders,
+          pagination: {
+            current_page: pageNum,
+            per_page: limitNum,
+            total_entries: total,
+            total_pages: Math.ceil(total / limitNum)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error in getMyOrders:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch orders',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one of the signed-in user's orders with its items
+   * GET /api/orders/:id
+   */
+  async getMyOrder(req, res) {
+    try {
+      const { id } = req.params;
+
+      const order = await orderService.getUserOrder(req.userId, id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      console.error('Error in getMyOrder:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the state history of one of the signed-in user's orders
+   * GET /api/orders/:id/events
+   */
+  async getMyOrderEvents(req, res) {
+    try {
+      const { id } = req.params;
+
+      const order = await orderService.getUserOrder(req.userId, id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const events = await orderService.getOrderEvents(order.id);
+
+      res.json({
+        success: true,
+        data: {
+          order_id: order.id,
+          status: order.status,
+          payment_status: order.payment_status,
+          events
+        }
+      });
+    } catch (error) {
+      console.error('Error in getMyOrderEvents:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch order history',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new OrdersController();
@@ -0,0 +1,104 @@
+const catalogService = require('../services/catalogService');
+
+class PerformersController {
+  /**
+   * List performers
+   * GET /api/performers?page=&limit=&name=&category_id=
+   */
+  async getPerformers(req, res) {
+    try {
+      const result = await catalogService.listPerformers(req.query);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in getPerformers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch performers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single performer
+   * GET /api/performers/:performerId
+   */
+  async getPerformer(req, res) {
+    try {
+      const { performerId } = req.params;
+
+      if (!performerId || isNaN(performerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid performer ID is required'
+        });
+      }
+
+      const performer = await catalogService.getPerformer(parseInt(performerId));
+
+      res.json({
+        success: true,
+        data: performer
+      });
+    } catch (error) {
+      console.error('Error in getPerformer:', error);
+
+      if (error.message.includes('not found') || error.message.includes('404')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Performer not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch performer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Upcoming events for a performer
+   * GET /api/performers/:performerId/events?page=&limit=&only_with_available_tickets=
+   */
+  async getPerformerEvents(req, res) {
+    const requestId = Math.random().toString(36).substring(7);
+
+    try {
+      const { performerId } = req.params;
+
+      if (!performerId || isNaN(performerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid performer ID is required',
+          requestId
+        });
+      }
+
+      const result = await catalogService.getUpcomingEvents('performer', parseInt(performerId), req.query, requestId);
+
+      res.json({
+        success: true,
+        data: {
+          ...result,
+          requestId
+        }
+      });
+    } catch (error) {
+      console.error(`[REQUEST ${requestId}] Error in getPerformerEvents:`, error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch performer events',
+        error: error.message,
+        requestId
+      });
+    }
+  }
+}
+
+module.exports = new PerformersController();
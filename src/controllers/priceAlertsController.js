@@ -0,0 +1,130 @@
+const priceAlertService = require('../services/priceAlertService');
+
+// HTTP status for each price alert error code (anything else is a 400)
+const ERROR_STATUS = {
+  EVENT_NOT_FOUND: 404,
+  ALERT_NOT_FOUND: 404,
+  EVENT_PAST: 409,
+  ALERT_EXISTS: 409
+};
+
+/**
+ * Send a price alert error
+ */
+function sendAlertError(res, result) {
+  return res.status(ERROR_STATUS[result.code] || 400).json({
+    success: false,
+    message: result.message,
+    code: result.code
+  });
+}
+
+class PriceAlertsController {
+  /**
+   * Get the signed-in user's price alerts
+   * GET /api/me/price-alerts
+   */
+  async getPriceAlerts(req, res) {
+    try {
+      const alerts = await priceAlertService.getAlerts(req.userId);
+
+      res.json({
+        success: true,
+        data: alerts
+      });
+    } catch (error) {
+      console.error('Error in getPriceAlerts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch price alerts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a price alert
+   * POST /api/me/price-alerts { event_id, section?, max_price?, channels? }
+   */
+  async createPriceAlert(req, res) {
+    try {
+      const result = await priceAlertService.createAlert(req.user, req.body || {});
+
+      if (!result.valid) {
+        return sendAlertError(res, result);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result.alert,
+        message: 'Price alert created'
+      });
+    } catch (error) {
+      console.error('Error in createPriceAlert:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create price alert',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a price alert (section, max_price, channels or is_active)
+   * PATCH /api/me/price-alerts/:id
+   */
+  async updatePriceAlert(req, res) {
+    try {
+      const result = await priceAlertService.updateAlert(req.userId, req.params.id, req.body || {});
+
+      if (!result.valid) {
+        return sendAlertError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: result.alert,
+        message: 'Price alert updated'
+      });
+    } catch (error) {
+      console.error('Error in updatePriceAlert:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update price alert',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a price alert
+   * DELETE /api/me/price-alerts/:id
+   */
+  async deletePriceAlert(req, res) {
+    try {
+      const deleted = await priceAlertService.deleteAlert(req.userId, req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Price alert not found',
+          code: 'ALERT_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Price alert deleted'
+      });
+    } catch (error) {
+      console.error('Error in deletePriceAlert:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete price alert',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PriceAlertsController();
@@ -0,0 +1,103 @@
+const savedEventsService = require('../services/savedEventsService');
+
+class SavedEventsController {
+  /**
+   * Get the signed-in user's saved events
+   * GET /api/me/saved-events?refresh=true
+   */
+  async getSavedEvents(req, res) {
+    try {
+      const refresh = req.query.refresh === 'true';
+
+      const savedEvents = await savedEventsService.getSavedEvents(req.userId, { refresh });
+
+      res.json({
+        success: true,
+        data: savedEvents
+      });
+    } catch (error) {
+      console.error('Error in getSavedEvents:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch saved events',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Save an event for the signed-in user
+   * POST /api/me/saved-events { event_id }
+   */
+  async saveEvent(req, res) {
+    try {
+      const eventId = req.body?.event_id;
+
+      if (!eventId || isNaN(eventId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid event_id is required',
+          code: 'INVALID_EVENT_ID'
+        });
+      }
+
+      const savedEvent = await savedEventsService.saveEvent(req.userId, parseInt(eventId));
+
+      res.status(201).json({
+        success: true,
+        data: savedEvent,
+        message: 'Event saved'
+      });
+    } catch (error) {
+      console.error('Error in saveEvent:', error);
+
+      if (error.message.toLowerCase().includes('not found') || error.message.includes('404')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save event',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove one of the signed-in user's saved events
+   * DELETE /api/me/saved-events/:eventId
+   */
+  async removeSavedEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+
+      const removed = await savedEventsService.removeSavedEvent(req.userId, eventId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved event not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Event removed from saved events'
+      });
+    } catch (error) {
+      console.error('Error in removeSavedEvent:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove saved event',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SavedEventsController();
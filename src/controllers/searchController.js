@@ -0,0 +1,102 @@
+const searchService = require('../services/searchService');
+const config = require('../config/config');
+
+class SearchController {
+  /**
+   * Search events, performers and venues
+   * GET /api/search?q=&type=all|events|performers|venues&page=&limit=
+   */
+  async search(req, res) {
+    try {
+      const params = searchService.parseSearch(req.query, {
+        defaultLimit: 10,
+        maxLimit: config.pagination.maxLimit
+      });
+
+      if (params.error) {
+        return res.status(400).json({
+          success: false,
+          message: params.error,
+          code: 'INVALID_SEARCH'
+        });
+      }
+
+      const { results, total } = await searchService.search(params);
+
+      // Only the first page counts as a new search
+      if (req.userId && params.page === 1) {
+        await searchService.recordSearch(req.userId, {
+          q: params.q,
+          type: params.type,
+          resultsCount: total
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          query: params.q,
+          type: params.type,
+          total,
+          results
+        }
+      });
+    } catch (error) {
+      console.error('Error in search:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Search failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the signed-in user's recent searches
+   * GET /api/me/search-history
+   */
+  async getSearchHistory(req, res) {
+    try {
+      const limit = Math.min(config.pagination.maxLimit, Math.max(1, parseInt(req.query.limit) || config.pagination.defaultLimit));
+
+      const history = await searchService.getHistory(req.userId, limit);
+
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      console.error('Error in getSearchHistory:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch search history',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Clear the signed-in user's search history
+   * DELETE /api/me/search-history
+   */
+  async clearSearchHistory(req, res) {
+    try {
+      const deleted = await searchService.clearHistory(req.userId);
+
+      res.json({
+        success: true,
+        data: { deleted },
+        message: 'Search history cleared'
+      });
+    } catch (error) {
+      console.error('Error in clearSearchHistory:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear search history',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SearchController();
@@ -1,4 +1,9 @@
 const ticketEvolutionService = require('../services/ticketEvolutionService');
+const ticketGroupFilterService = require('../services/ticketGroupFilterService');
+const eventDetailService = require('../services/eventDetailService');
+const seatmapService = require('../services/seatmapService');
+const priceHistoryService = require('../services/priceHistoryService');
+const config = require('../config/config');
 
 class TicketsController {
   // Get tickets for a specific event
@@ -24,8 +29,8 @@ class TicketsController {
         });
       }
 
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const pageNum = Math.max(1, parseInt(page) || 1);
+      const limitNum = Math.min(config.pagination.maxMergedLimit, Math.max(1, parseInt(limit) || config.pagination.defaultLimit));
 
       console.log('🎫 [REQUEST]', requestId, '- Fetching tickets for event:', eventId);
       console.log('   Page:', pageNum, 'Limit:', limitNum);
@@ -98,16 +103,54 @@ class TicketsController {
         });
       }
 
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const parsed = ticketGroupFilterService.parseFilters(req.query);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+          code: 'INVALID_FILTER',
+          requestId: requestId
+        });
+      }
+
+      const pageNum = Math.max(1, parseInt(page) || 1);
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 100));
 
       console.log('🎯 [REQUEST]', requestId, '- Fetching ticket groups for event:', eventId);
-      
-      const result = await ticketEvolutionService.getEventTicketGroups(
-        parseInt(eventId),
-        pageNum,
-        limitNum
-      );
+
+      let result;
+      let allTicketGroups = null;
+      if (parsed.active) {
+        // Filters and sorting need every listing, so fetch them all and page locally
+        const { ticketGroups, configurationId, complete } = await eventDetailService.getAllTicketGroups(parseInt(eventId));
+        allTicketGroups = ticketGroups;
+        const filtered = ticketGroupFilterService.apply(ticketGroups, parsed.filters, parsed.sort);
+        const offset = (pageNum - 1) * limitNum;
+
+        result = {
+          ticketGroups: filtered.slice(offset, offset + limitNum),
+          configurationId,
+          pagination: ticketEvolutionService.buildPagination(
+            { current_page: pageNum, per_page: limitNum, total_entries: filtered.length },
+            pageNum,
+            limitNum
+          ),
+          filters: parsed.filters,
+          sort: parsed.sort,
+          complete
+        };
+      } else {
+        result = await ticketEvolutionService.getEventTicketGroups(
+          parseInt(eventId),
+          pageNum,
+          limitNum
+        );
+      }
+
+      result = {
+        ...result,
+        ticketGroups: await priceHistoryService.addDealScores(parseInt(eventId), result.ticketGroups, allTicketGroups)
+      };
 
       const processingTime = Date.now() - startTime;
       console.log('✅ [RESPONSE]', requestId, '- Event ticket groups fetched successfully');
@@ -206,6 +249,116 @@ class TicketsController {
     }
   }
 
+  // Get price range, quantity and formats per seatmap section
+  async getEventSeatmapSections(req, res) {
+    const requestId = Math.random().toString(36).substring(7);
+    const startTime = Date.now();
+
+    console.log('🗺️ [REQUEST]', requestId, '- Event seatmap sections API called');
+    console.log('   Event ID from params:', req.params.eventId);
+
+    try {
+      const { eventId } = req.params;
+
+      if (!eventId || isNaN(eventId)) {
+        console.log('❌ [VALIDATION]', requestId, '- Invalid event ID:', eventId);
+        return res.status(400).json({
+          success: false,
+          message: 'Valid event ID is required',
+          requestId: requestId
+        });
+      }
+
+      const result = await seatmapService.getEventSections(parseInt(eventId));
+
+      const processingTime = Date.now() - startTime;
+      console.log('✅ [RESPONSE]', requestId, '- Event seatmap sections fetched successfully');
+      console.log('   Sections returned:', result.sections.length);
+      console.log('   Processing time:', processingTime + 'ms');
+
+      res.set('Cache-Control', 'public, max-age=60');
+      res.json({
+        success: true,
+        data: result,
+        requestId: requestId
+      });
+
+    } catch (error) {
+      const totalTime = Date.now() - startTime;
+      console.error('❌ [ERROR]', requestId, '- Error in getEventSeatmapSections controller');
+      console.error('   Event ID:', req.params.eventId);
+      console.error('   Error message:', error.message);
+      console.error('   Processing time before error:', totalTime + 'ms');
+
+      if (error.message.includes('not found') || error.message.includes('404')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found',
+          requestId: requestId
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch seatmap sections',
+        error: error.message,
+        requestId: requestId
+      });
+    }
+  }
+
+  // Get price history of an event's sections or of one ticket group
+  async getEventPriceHistory(req, res) {
+    const requestId = Math.random().toString(36).substring(7);
+
+    console.log('📈 [REQUEST]', requestId, '- Event price history API called');
+    console.log('   Event ID from params:', req.params.eventId);
+
+    try {
+      const { eventId } = req.params;
+
+      if (!eventId || isNaN(eventId)) {
+        console.log('❌ [VALIDATION]', requestId, '- Invalid event ID:', eventId);
+        return res.status(400).json({
+          success: false,
+          message: 'Valid event ID is required',
+          requestId: requestId
+        });
+      }
+
+      const parsed = priceHistoryService.parseHistoryQuery(req.query);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+          code: 'INVALID_FILTER',
+          requestId: requestId
+        });
+      }
+
+      const result = await priceHistoryService.getPriceHistory(parseInt(eventId), parsed.options);
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json({
+        success: true,
+        data: result,
+        requestId: requestId
+      });
+
+    } catch (error) {
+      console.error('❌ [ERROR]', requestId, '- Error in getEventPriceHistory controller');
+      console.error('   Event ID:', req.params.eventId);
+      console.error('   Error message:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch price history',
+        error: error.message,
+        requestId: requestId
+      });
+    }
+  }
+
   // Get ticket details by ID
   async getTicket(req, res) {
     try {
@@ -0,0 +1,104 @@
+const catalogService = require('../services/catalogService');
+
+class VenuesController {
+  /**
+   * List venues
+   * GET /api/venues?page=&limit=&name=&city_state=
+   */
+  async getVenues(req, res) {
+    try {
+      const result = await catalogService.listVenues(req.query);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in getVenues:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch venues',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single venue
+   * GET /api/venues/:venueId
+   */
+  async getVenue(req, res) {
+    try {
+      const { venueId } = req.params;
+
+      if (!venueId || isNaN(venueId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid venue ID is required'
+        });
+      }
+
+      const venue = await catalogService.getVenue(parseInt(venueId));
+
+      res.json({
+        success: true,
+        data: venue
+      });
+    } catch (error) {
+      console.error('Error in getVenue:', error);
+
+      if (error.message.includes('not found') || error.message.includes('404')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Venue not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch venue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Upcoming events for a venue
+   * GET /api/venues/:venueId/events?page=&limit=&only_with_available_tickets=
+   */
+  async getVenueEvents(req, res) {
+    const requestId = Math.random().toString(36).substring(7);
+
+    try {
+      const { venueId } = req.params;
+
+      if (!venueId || isNaN(venueId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid venue ID is required',
+          requestId
+        });
+      }
+
+      const result = await catalogService.getUpcomingEvents('venue', parseInt(venueId), req.query, requestId);
+
+      res.json({
+        success: true,
+        data: {
+          ...result,
+          requestId
+        }
+      });
+    } catch (error) {
+      console.error(`[REQUEST ${requestId}] Error in getVenueEvents:`, error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch venue events',
+        error: error.message,
+        requestId
+      });
+    }
+  }
+}
+
+module.exports = new VenuesController();
@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+
+// Minimal in-memory stand-in for the idempotency_keys table
+const rows = [];
+jest.mock('../../services/supabaseService', () => {
+  const buildQuery = () => {
+    const query = {
+      filters: [],
+      action: 'select',
+      payload: null,
+      select: jest.fn(() => query),
+      eq: jest.fn((column, value) => {
+        query.filters.push([column, value]);
+        return query;
+      }),
+      insert: jest.fn((payload) => {
+        query.action = 'insert';
+        query.payload = payload;
+        return query;
+      }),
+      update: jest.fn((payload) => {
+        query.action = 'update';
+        query.payload = payload;
+        return query;
+      }),
+      delete: jest.fn(() => {
+        query.action = 'delete';
+        return query;
+      }),
+      matches: (row) => query.filters.every(([column, value]) => row[column] === value),
+      maybeSingle: jest.fn(async () => ({ data: rows.find(query.matches) || null, error: null })),
+      single: jest.fn(async () => {
+        const row = { id: `key-${rows.length + 1}`, created_at: new Date().toISOString(), ...query.payload };
+        rows.push(row);
+        return { data: row, error: null };
+      }),
+      then: (resolve) => {
+        rows.filter(query.matches).forEach((row) => {
+          if (query.action === 'update') Object.assign(row, query.payload);
+          if (query.action === 'delete') rows.splice(rows.indexOf(row), 1);
+        });
+        return Promise.resolve({ data: null, error: null }).then(resolve);
+      }
+    };
+    return query;
+  };
+
+  return { adminClient: { from: jest.fn(() => buildQuery()) } };
+});
+
+const { idempotencyKey, fingerprintRequest, stableStringify } = require('../idempotencyMiddleware');
+
+const buildReq = (body, key = 'key-abc') => ({
+  method: 'POST',
+  baseUrl: '/api/checkout',
+  path: '/process',
+  originalUrl: '/api/checkout/process',
+  userId: 'user-1',
+  body,
+  get: (header) => (header === 'Idempotency-Key' ? key || undefined : undefined)
+});
+
+const buildRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('idempotencyMiddleware', () => {
+  beforeEach(() => {
+    rows.length = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('stableStringify', () => {
+    test('should ignore key order', () => {
+      expect(stableStringify({ b: 1, a: { d: 2, c: [3] } })).toBe(stableStringify({ a: { c: [3], d: 2 }, b: 1 }));
+    });
+  });
+
+  describe('fingerprintRequest', () => {
+    test('should differ when the body differs', () => {
+      expect(fingerprintRequest(buildReq({ quantity: 2 }))).not.toBe(fingerprintRequest(buildReq({ quantity: 3 })));
+    });
+  });
+
+  describe('idempotencyKey', () => {
+    test('should pass through requests without a key', async () => {
+      const next = jest.fn();
+
+      await idempotencyKey(buildReq({ quantity: 2 }, null), buildRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(rows).toHaveLength(0);
+    });
+
+    test('should replay the stored response for a repeated request', async () => {
+      const next = jest.fn();
+      const firstRes = buildRes();
+
+      await idempotencyKey(buildReq({ quantity: 2 }), firstRes, next);
+      firstRes.status(200).json({ success: true, data: { orderId: 1 } });
+      firstRes.emit('finish');
+      await flush();
+
+      const replayRes = buildRes();
+      await idempotencyKey(buildReq({ quantity: 2 }), replayRes, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(replayRes.statusCode).toBe(200);
+      expect(replayRes.body).toEqual({ success: true, data: { orderId: 1 } });
+      expect(replayRes.headers['Idempotent-Replayed']).toBe('true');
+    });
+
+    test('should reject a reused key with a different body', async () => {
+      const firstRes = buildRes();
+      await idempotencyKey(buildReq({ quantity: 2 }), firstRes, jest.fn());
+      firstRes.json({ success: true });
+      firstRes.emit('finish');
+      await flush();
+
+      const res = buildRes();
+      const next = jest.fn();
+      await idempotencyKey(buildReq({ quantity: 5 }), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(422);
+      expect(res.body.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    });
+
+    test('should report a request that is still processing', async () => {
+      await idempotencyKey(buildReq({ quantity: 2 }), buildRes(), jest.fn());
+
+      const res = buildRes();
+      await idempotencyKey(buildReq({ quantity: 2 }), res, jest.fn());
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.code).toBe('IDEMPOTENCY_KEY_IN_PROGRESS');
+    });
+
+    test('should release the key after a server error', async () => {
+      const res = buildRes();
+      await idempotencyKey(buildReq({ quantity: 2 }), res, jest.fn());
+      res.status(500).json({ success: false });
+      res.emit('finish');
+      await flush();
+
+      expect(rows).toHaveLength(0);
+    });
+
+    test('should keep the key after a server error once the order was submitted', async () => {
+      const res = buildRes();
+      await idempotencyKey(buildReq({ quantity: 2 }), res, jest.fn());
+      res.locals = { orderSubmitted: true };
+      res.status(500).json({ success: false, message: 'Checkout failed' });
+      await flush();
+
+      const replayRes = buildRes();
+      const next = jest.fn();
+      await idempotencyKey(buildReq({ quantity: 2 }), replayRes, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(replayRes.statusCode).toBe(500);
+      expect(replayRes.body).toEqual({ success: false, message: 'Checkout failed' });
+    });
+
+    test('should store the response even if the client disconnected first', async () => {
+      const res = buildRes();
+      await idempotencyKey(buildReq({ quantity: 2 }), res, jest.fn());
+      res.emit('close');
+      res.status(200).json({ success: true, data: { orderId: 1 } });
+      await flush();
+
+      expect(rows[0]).toMatchObject({ status: 'completed', response_status: 200 });
+    });
+
+    test('should release a key abandoned while processing', async () => {
+      rows.push({
+        id: 'key-stale',
+        user_id: 'user-1',
+        idempotency_key: 'key-abc',
+        request_fingerprint: fingerprintRequest(buildReq({ quantity: 2 })),
+        status: 'processing',
+        created_at: new Date(Date.now() - 11 * 60 * 1000).toISOString()
+      });
+      const next = jest.fn();
+
+      await idempotencyKey(buildReq({ quantity: 2 }), buildRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(rows.map((row) => row.id)).toEqual(['key-1']);
+    });
+  });
+});
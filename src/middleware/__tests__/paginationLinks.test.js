@@ -0,0 +1,53 @@
+const { paginationLinks, buildLinkHeader } = require('../paginationLinks');
+
+describe('paginationLinks', () => {
+  const baseUrl = 'https://api.tixport.com/api/events';
+
+  test('buildLinkHeader should link first, prev, next and last pages', () => {
+    const link = buildLinkHeader(baseUrl, { category_id: '5', page: '2' }, { current_page: 2, total_pages: 4 });
+
+    expect(link).toBe([
+      `<${baseUrl}?category_id=5&page=1>; rel="first"`,
+      `<${baseUrl}?category_id=5&page=1>; rel="prev"`,
+      `<${baseUrl}?category_id=5&page=3>; rel="next"`,
+      `<${baseUrl}?category_id=5&page=4>; rel="last"`
+    ].join(', '));
+  });
+
+  test('buildLinkHeader should skip prev and next at the edges', () => {
+    expect(buildLinkHeader(baseUrl, {}, { current_page: 1, total_pages: 1 }))
+      .toBe(`<${baseUrl}?page=1>; rel="first", <${baseUrl}?page=1>; rel="last"`);
+    expect(buildLinkHeader(baseUrl, {}, { current_page: 1, total_pages: 0 })).toBeNull();
+  });
+
+  test('buildLinkHeader should repeat parameters that were repeated', () => {
+    const link = buildLinkHeader(baseUrl, { format: ['Eticket', 'Physical'] }, { current_page: 1, total_pages: 1 });
+
+    expect(link).toBe(`<${baseUrl}?format=Eticket&format=Physical&page=1>; rel="first", <${baseUrl}?format=Eticket&format=Physical&page=1>; rel="last"`);
+  });
+
+  test('should set headers on paginated JSON responses', () => {
+    const headers = {};
+    const req = {
+      protocol: 'https',
+      baseUrl: '/api/events',
+      path: '/',
+      query: { page: '1' },
+      get: () => 'api.tixport.com'
+    };
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      set: jest.fn((name, value) => { headers[name] = value; }),
+      json: jest.fn()
+    };
+    const next = jest.fn();
+
+    paginationLinks(req, res, next);
+    res.json({ success: true, data: { events: [], pagination: { current_page: 1, total_pages: 3, total_entries: 55 } } });
+
+    expect(next).toHaveBeenCalled();
+    expect(headers['X-Total-Count']).toBe('55');
+    expect(headers.Link).toContain(`<${baseUrl}?page=2>; rel="next"`);
+  });
+});
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const supabaseService = require('../services/supabaseService');
+
+// Keys older than this are forgotten and may be reused
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// A key still processing after this long belongs to a request that died
+// without responding (e.g. the instance was stopped), so it is released
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with sorted object keys so equal bodies hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint a request by method, path and normalized body
+ */
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Middleware honoring the Idempotency-Key header (must run after authenticateToken)
+ *
+ * The first request with a key is processed and its response stored. Repeats
+ * with the same body replay that response; repeats with a different body are
+ * rejected. Server errors release the key so the client can retry, unless the
+ * handler had already submitted the order (res.locals.orderSubmitted): such
+ * failures may have charged the card, so they are stored and replayed too.
+ */
+async function idempotencyKey(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const userId = req.userId;
+  const fingerprint = fingerprintRequest(req);
+
+  try {
+    let { data: existing, error: fetchError } = await supabaseService.adminClient
+      .from('idempotency_keys')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('idempotency_key', key)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    // Expired and abandoned keys are released before reuse
+    const age = existing ? Date.now() - new Date(existing.created_at).getTime() : 0;
+    if (existing && (age > KEY_TTL_MS || (existing.status === 'processing' && age > PROCESSING_TIMEOUT_MS))) {
+      await supabaseService.adminClient
+        .from('idempotency_keys')
+        .delete()
+        .eq('id', existing.id);
+      existing = null;
+    }
+
+    if (!existing) {
+      const { data: created, error: insertError } = await supabaseService.adminClient
+        .from('idempotency_keys')
+        .insert({
+          user_id: userId,
+          idempotency_key: key,
+          request_path: req.originalUrl,
+          request_fingerprint: fingerprint,
+          status: 'processing'
+        })
+        .select()
+        .single();
+
+      // A concurrent request claimed the key first
+      if (insertError?.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is already being processed',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+
+      if (insertError) {
+        throw insertError;
+      }
+
+      trackResponse(res, created.id);
+      return next();
+    }
+
+    if (existing.request_fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used with a different request',
+        code: 'IDEMPOTENCY_KEY_MISMATCH'
+      });
+    }
+
+    if (existing.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is already being processed',
+        code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+      });
+    }
+
+    console.log(`🔁 Replaying response for Idempotency-Key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response_status).json(existing.response_body);
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify Idempotency-Key',
+      code: 'IDEMPOTENCY_ERROR'
+    });
+  }
+}
+
+/**
+ * Store the response for a claimed key as soon as the handler responds
+ * Storing on res.json rather than on 'finish' keeps the result when the client
+ * disconnected while the order was being placed.
+ */
+function trackResponse(res, keyId) {
+  const originalJson = res.json.bind(res);
+  let stored = false;
+
+  res.json = (body) => {
+    const result = originalJson(body);
+    if (!stored) {
+      stored = true;
+      storeResponse(keyId, res.statusCode, body, Boolean(res.locals?.orderSubmitted));
+    }
+    return result;
+  };
+
+  // Responses sent without res.json (e.g. by the Express error handler)
+  res.on('finish', () => {
+    if (!stored) {
+      stored = true;
+      storeResponse(keyId, res.statusCode, null, Boolean(res.locals?.orderSubmitted));
+    }
+  });
+}
+
+/**
+ * Complete a key with its response, or release it after a server error that
+ * happened before the order was submitted
+ */
+async function storeResponse(keyId, status, body, orderSubmitted) {
+  try {
+    if (status >= 500 && !orderSubmitted) {
+      await supabaseService.adminClient
+        .from('idempotency_keys')
+        .delete()
+        .eq('id', keyId);
+      return;
+    }
+
+    await supabaseService.adminClient
+      .from('idempotency_keys')
+      .update({
+        status: 'completed',
+        response_status: status,
+        response_body: body
+      })
+      .eq('id', keyId);
+  } catch (error) {
+    console.error('Failed to store idempotent response:', error);
+  }
+}
+
+module.exports = {
+  idempotencyKey,
+  fingerprintRequest,
+  stableStringify
+};
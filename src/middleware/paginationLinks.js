@@ -0,0 +1,74 @@
+/**
+ * Build an RFC 8288 Link header value for a paginated response
+ * @param {string} baseUrl - Absolute URL of the endpoint without a query string
+ * @param {Object} query - Request query (page is replaced per link)
+ * @param {Object} pagination - { current_page, total_pages }
+ * @returns {string|null} Link header value, or null when there is nothing to link
+ */
+function buildLinkHeader(baseUrl, query, pagination) {
+  const currentPage = pagination.current_page;
+  const totalPages = pagination.total_pages;
+
+  if (!totalPages) {
+    return null;
+  }
+
+  const linkTo = (page, rel) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query || {})) {
+      if (key === 'page' || value === undefined) {
+        continue;
+      }
+      // Repeated parameters arrive as arrays and go back out one by one
+      for (const item of Array.isArray(value) ? value : [value]) {
+        params.append(key, item);
+      }
+    }
+    params.set('page', String(page));
+    return `<${baseUrl}?${params.toString()}>; rel="${rel}"`;
+  };
+
+  const links = [linkTo(1, 'first')];
+  if (currentPage > 1) {
+    links.push(linkTo(Math.min(currentPage - 1, totalPages), 'prev'));
+  }
+  if (currentPage < totalPages) {
+    links.push(linkTo(currentPage + 1, 'next'));
+  }
+  links.push(linkTo(totalPages, 'last'));
+
+  return links.join(', ');
+}
+
+/**
+ * Middleware adding Link and X-Total-Count headers to paginated responses
+ *
+ * Applies to successful JSON responses with a data.pagination object, so list
+ * endpoints share the same headers without building them in each controller.
+ */
+function paginationLinks(req, res, next) {
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    const pagination = body?.data?.pagination;
+
+    if (res.statusCode < 400 && pagination && !res.headersSent) {
+      const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+      const link = buildLinkHeader(baseUrl, req.query, pagination);
+
+      if (link) {
+        res.set('Link', link);
+      }
+      res.set('X-Total-Count', String(pagination.total_entries || 0));
+    }
+
+    return originalJson(body);
+  };
+
+  next();
+}
+
+module.exports = {
+  paginationLinks,
+  buildLinkHeader
+};
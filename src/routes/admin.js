@@ -104,4 +104,75 @@ router.post('/config', requireAdmin, adminController.updateConfig);
 // Delete config setting (owner only)
 router.delete('/config/:config_key', requireOwner, adminController.deleteConfig);
 
+// ===========================
+// PROMO CODE ROUTES
+// ===========================
+
+// Get all promo codes (admin/owner only)
+router.get('/promo-codes', requireAdmin, adminController.getPromoCodes);
+
+// Create promo code (admin/owner only)
+router.post('/promo-codes', requireAdmin, adminController.createPromoCode);
+
+// Update promo code (admin/owner only)
+router.patch('/promo-codes/:id', requireAdmin, adminController.updatePromoCode);
+
+// Delete promo code (owner only)
+router.delete('/promo-codes/:id', requireOwner, adminController.deletePromoCode);
+
+// ===========================
+// ORDER MANAGEMENT ROUTES
+// ===========================
+
+// Search orders (admin/owner only)
+router.get('/orders', requireAdmin, adminController.getOrders);
+
+// Export orders as CSV (admin/owner only)
+router.get('/orders/export', requireAdmin, adminController.exportOrders);
+
+// Get order detail (admin/owner only)
+router.get('/orders/:id', requireAdmin, adminController.getOrder);
+
+// Resend order confirmation email (admin/owner only)
+router.post('/orders/:id/resend-confirmation', requireAdmin, adminController.resendOrderConfirmation);
+
+// Add internal order note (admin/owner only)
+router.post('/orders/:id/notes', requireAdmin, adminController.addOrderNote);
+
+// Cancel an order and refund what was paid (admin/owner only)
+router.post('/orders/:id/cancel', requireAdmin, adminController.cancelOrder.bind(adminController));
+
+// Refund part or all of an order (admin/owner only)
+router.post('/orders/:id/refund', requireAdmin, adminController.refundOrder.bind(adminController));
+
+// Complete or fail a cancellation or refund left pending (admin/owner only)
+router.post('/orders/:id/adjustments/:adjustmentId/reconcile', requireAdmin, adminController.reconcileOrderAdjustment);
+
+// ===========================
+// ORDER SYNC ROUTES
+// ===========================
+
+// Refresh open orders from TEvo (admin/owner only)
+router.post('/orders/sync', requireAdmin, adminController.syncOrders);
+
+// Refresh a single order from TEvo (admin/owner only)
+router.post('/orders/:id/sync', requireAdmin, adminController.syncOrder);
+
+// Get order state history (admin/owner only)
+router.get('/orders/:id/events', requireAdmin, adminController.getOrderEvents);
+
+// ===========================
+// PRICE ALERT ROUTES
+// ===========================
+
+// Check price alerts now (admin/owner only)
+router.post('/price-alerts/check', requireAdmin, adminController.checkPriceAlerts);
+
+// ===========================
+// CACHE ROUTES
+// ===========================
+
+// TEvo response cache hit and miss metrics (admin/owner only)
+router.get('/cache/metrics', requireAdmin, adminController.getCacheMetrics);
+
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const autocompleteController = require('../controllers/autocompleteController');
+const { searchLimiter } = require('../middleware/rateLimiter');
+
+// GET /api/autocomplete - Typeahead suggestions for the search box
+router.get('/', searchLimiter, autocompleteController.getSuggestions);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const checkoutController = require('../controllers/checkoutController');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { getUserRole } = require('../middleware/adminMiddleware');
+const { idempotencyKey } = require('../middleware/idempotencyMiddleware');
 
 /**
  * Checkout Routes
@@ -33,10 +35,19 @@ router.post('/delivery-pricing', authenticateToken, checkoutController.getDelive
 // POST /api/checkout/tax-quote - Get tax quote for order
 router.post('/tax-quote', authenticateToken, checkoutController.getTaxQuote.bind(checkoutController));
 
-// POST /api/checkout/process - Process the complete checkout
-router.post('/process', authenticateToken, checkoutController.processCheckout.bind(checkoutController));
+// POST /api/checkout/hold - Hold tickets while the customer pays
+router.post('/hold', authenticateToken, checkoutController.createHold.bind(checkoutController));
 
-// GET /api/checkout/order/:orderId - Get order status
-router.get('/order/:orderId', authenticateToken, checkoutController.getOrderStatus.bind(checkoutController));
+// DELETE /api/checkout/hold/:holdId - Release a ticket hold
+router.delete('/hold/:holdId', authenticateToken, checkoutController.releaseHold.bind(checkoutController));
+
+// POST /api/checkout/apply-promo - Preview a promo code discount
+router.post('/apply-promo', authenticateToken, checkoutController.applyPromo.bind(checkoutController));
+
+// POST /api/checkout/process - Process the complete checkout (honors Idempotency-Key)
+router.post('/process', authenticateToken, idempotencyKey, checkoutController.processCheckout.bind(checkoutController));
+
+// GET /api/checkout/order/:orderId - Get order status (owner, or admin/owner role)
+router.get('/order/:orderId', authenticateToken, getUserRole, checkoutController.getOrderStatus.bind(checkoutController));
 
 module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const eventsController = require('../controllers/eventsController');
+const { paginationLinks } = require('../middleware/paginationLinks');
 
 // GET /api/events - Get all events with optional filtering
-router.get('/', eventsController.getEvents);
+router.get('/', paginationLinks, eventsController.getEvents);
 
 // GET /api/events/:eventId - Get single event by ID
 router.get('/:eventId', eventsController.getSingleEvent);
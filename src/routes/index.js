@@ -9,6 +9,12 @@ const authRoutes = require('./auth');
 const adminRoutes = require('./admin');
 const publicRoutes = require('./public');
 const checkoutRoutes = require('./checkout');
+const ordersRoutes = require('./orders');
+const meRoutes = require('./me');
+const searchRoutes = require('./search');
+const autocompleteRoutes = require('./autocomplete');
+const performersRoutes = require('./performers');
+const venuesRoutes = require('./venues');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -28,6 +34,12 @@ router.use('/auth', authRoutes);
 router.use('/admin', adminRoutes);
 router.use('/public', publicRoutes);
 router.use('/checkout', checkoutRoutes);
+router.use('/orders', ordersRoutes);
+router.use('/me', meRoutes);
+router.use('/search', searchRoutes);
+router.use('/autocomplete', autocompleteRoutes);
+router.use('/performers', performersRoutes);
+router.use('/venues', venuesRoutes);
 
 // 404 handler for unknown API routes
 router.use('*', (req, res) => {
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const savedEventsController = require('../controllers/savedEventsController');
+const searchController = require('../controllers/searchController');
+const priceAlertsController = require('../controllers/priceAlertsController');
+const notificationsController = require('../controllers/notificationsController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All /me routes are scoped to the signed-in user
+router.use(authenticateToken);
+
+// GET /api/me/saved-events - List the caller's saved events (?refresh=true updates prices)
+router.get('/saved-events', savedEventsController.getSavedEvents);
+
+// POST /api/me/saved-events - Save an event
+router.post('/saved-events', savedEventsController.saveEvent);
+
+// DELETE /api/me/saved-events/:eventId - Remove a saved event
+router.delete('/saved-events/:eventId', savedEventsController.removeSavedEvent);
+
+// GET /api/me/search-history - List the caller's recent searches
+router.get('/search-history', searchController.getSearchHistory);
+
+// DELETE /api/me/search-history - Clear the caller's search history
+router.delete('/search-history', searchController.clearSearchHistory);
+
+// GET /api/me/price-alerts - List the caller's price alerts
+router.get('/price-alerts', priceAlertsController.getPriceAlerts);
+
+// POST /api/me/price-alerts - Create a price alert for an event (optional section and max price)
+router.post('/price-alerts', priceAlertsController.createPriceAlert);
+
+// PATCH /api/me/price-alerts/:id - Update or pause a price alert
+router.patch('/price-alerts/:id', priceAlertsController.updatePriceAlert);
+
+// DELETE /api/me/price-alerts/:id - Delete a price alert
+router.delete('/price-alerts/:id', priceAlertsController.deletePriceAlert);
+
+// GET /api/me/notifications - List the caller's in-app notifications
+router.get('/notifications', notificationsController.getNotifications);
+
+// POST /api/me/notifications/:id/read - Mark a notification as read
+router.post('/notifications/:id/read', notificationsController.markNotificationRead);
+
+module.exports = router;
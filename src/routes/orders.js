@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const ordersController = require('../controllers/ordersController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All order routes are scoped to the signed-in user
+router.use(authenticateToken);
+
+// GET /api/orders - List the caller's orders
+router.get('/', ordersController.getMyOrders);
+
+// GET /api/orders/:id - Get one of the caller's orders with items
+router.get('/:id', ordersController.getMyOrder);
+
+// GET /api/orders/:id/events - Get the state history of one of the caller's orders
+router.get('/:id/events', ordersController.getMyOrderEvents);
+
+module.exports = router;
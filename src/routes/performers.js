@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const performersController = require('../controllers/performersController');
+const { paginationLinks } = require('../middleware/paginationLinks');
+
+// GET /api/performers - List performers with pagination
+router.get('/', paginationLinks, performersController.getPerformers);
+
+// GET /api/performers/:performerId - Get single performer by ID
+router.get('/:performerId', performersController.getPerformer);
+
+// GET /api/performers/:performerId/events - Upcoming events for a performer
+router.get('/:performerId/events', paginationLinks, performersController.getPerformerEvents);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { optionalAuth } = require('../middleware/authMiddleware');
+const { searchLimiter } = require('../middleware/rateLimiter');
+
+// GET /api/search - Search events, performers and venues (signed-in searches are saved to history)
+router.get('/', searchLimiter, optionalAuth, searchController.search);
+
+module.exports = router;
@@ -1,16 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const ticketsController = require('../controllers/ticketsController');
+const { paginationLinks } = require('../middleware/paginationLinks');
 
 // GET /api/tickets/event/:eventId - Get tickets for a specific event
-router.get('/event/:eventId', ticketsController.getEventTickets);
+router.get('/event/:eventId', paginationLinks, ticketsController.getEventTickets);
 
 // GET /api/tickets/event/:eventId/groups - Get ticket groups for seatmap
-router.get('/event/:eventId/groups', ticketsController.getEventTicketGroups);
+router.get('/event/:eventId/groups', paginationLinks, ticketsController.getEventTicketGroups);
 
 // GET /api/tickets/event/:eventId/seatmap - Get seatmap data for event
 router.get('/event/:eventId/seatmap', ticketsController.getEventSeatmap);
 
+// GET /api/tickets/event/:eventId/seatmap/sections - Get price and inventory per seatmap section
+router.get('/event/:eventId/seatmap/sections', ticketsController.getEventSeatmapSections);
+
+// GET /api/tickets/event/:eventId/price-history - Get section or ticket group price history
+router.get('/event/:eventId/price-history', ticketsController.getEventPriceHistory);
+
 // GET /api/tickets/:ticketId - Get ticket details by ID
 router.get('/:ticketId', ticketsController.getTicket);
 
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const venuesController = require('../controllers/venuesController');
+const { paginationLinks } = require('../middleware/paginationLinks');
+
+// GET /api/venues - List venues with pagination
+router.get('/', paginationLinks, venuesController.getVenues);
+
+// GET /api/venues/:venueId - Get single venue by ID
+router.get('/:venueId', venuesController.getVenue);
+
+// GET /api/venues/:venueId/events - Upcoming events for a venue
+router.get('/:venueId/events', paginationLinks, venuesController.getVenueEvents);
+
+module.exports = router;
@@ -11,6 +11,8 @@ const config = require('./config/config');
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
 const { apiLimiter } = require('./middleware/rateLimiter');
+const orderSyncService = require('./services/orderSyncService');
+const priceAlertService = require('./services/priceAlertService');
 
 // Create Express app
 const app = express();
@@ -28,7 +30,8 @@ app.use(cors({
   origin: config.cors.origin,
   credentials: config.cors.credentials,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Link', 'X-Total-Count'],
 }));
 
 // Compression middleware
@@ -157,12 +160,20 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
 💾 Database: ${config.database.uri.includes('localhost') ? 'Local MongoDB' : 'Remote Database'}
 ⏱️  Server ready in ${Date.now() - global.startTime || 0}ms
     `);
+
+    // Keep open orders in step with TEvo (serverless deployments use POST /api/admin/orders/sync)
+    orderSyncService.start();
+
+    // Watch events for price alerts (serverless deployments use POST /api/admin/price-alerts/check)
+    priceAlertService.start();
   });
 
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('🛑 SIGTERM received - Initiating graceful shutdown...');
     console.log('   Closing server connections...');
+    orderSyncService.stop();
+    priceAlertService.stop();
     server.close(() => {
       console.log('✅ Server connections closed');
       console.log('👋 Process terminated gracefully');
@@ -173,6 +184,8 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   process.on('SIGINT', () => {
     console.log('🛑 SIGINT received (Ctrl+C) - Initiating graceful shutdown...');
     console.log('   Closing server connections...');
+    orderSyncService.stop();
+    priceAlertService.stop();
     server.close(() => {
       console.log('✅ Server connections closed');
       console.log('👋 Process terminated gracefully');
@@ -0,0 +1,92 @@
+// Mock external services so autocomplete can be tested without credentials
+jest.mock('../supabaseService', () => ({
+  anonClient: {
+    rpc: jest.fn(),
+    from: jest.fn()
+  }
+}));
+jest.mock('../ticketEvolutionService', () => ({
+  search: jest.fn()
+}));
+
+const supabaseService = require('../supabaseService');
+const ticketEvolutionService = require('../ticketEvolutionService');
+const autocompleteService = require('../autocompleteService');
+
+describe('AutocompleteService', () => {
+  const results = {
+    performers: [{ id: 15, name: 'Jazz at Lincoln Center Orchestra', category: { name: 'Jazz' } }],
+    venues: [{ id: 7, name: 'Blue Note Jazz Club', location: 'New York, NY' }],
+    events: [{ id: 99, name: 'Smooth Jazz Night', occurs_at: '2026-12-01T20:00:00Z', venue: { name: 'Blue Note Jazz Club' } }]
+  };
+
+  const mockCategories = (processed, hidden = []) => {
+    supabaseService.anonClient.rpc.mockResolvedValue({ data: processed, error: null });
+    const query = {
+      select: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      single: jest.fn().mockResolvedValue({ data: { hidden_categories: hidden }, error: null })
+    };
+    supabaseService.anonClient.from.mockReturnValue(query);
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await autocompleteService.clearCache();
+    ticketEvolutionService.search.mockImplementation(async (resource) => ({ [resource]: results[resource] }));
+    mockCategories([
+      { id: 3, name: 'Jazz & Blues', parent: { id: 1 } },
+      { id: 1, name: 'Concerts' },
+      { id: 8, name: 'Smooth Jazz', parent: { id: 1 } }
+    ], ['8']);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return a mixed list with type labels and slugs', async () => {
+    const { suggestions, cached } = await autocompleteService.getSuggestions('Jazz', 10);
+
+    expect(cached).toBe(false);
+    expect(suggestions).toEqual([
+      { type: 'performer', id: '15', name: 'Jazz at Lincoln Center Orchestra', slug: 'jazz-at-lincoln-center-orchestra', detail: 'Jazz' },
+      { type: 'category', id: '3', name: 'Jazz & Blues', slug: 'jazz-blues', detail: 'Concerts' },
+      { type: 'event', id: '99', name: 'Smooth Jazz Night', slug: 'smooth-jazz-night', detail: 'Blue Note Jazz Club', occurs_at: '2026-12-01T20:00:00Z' },
+      { type: 'venue', id: '7', name: 'Blue Note Jazz Club', slug: 'blue-note-jazz-club', detail: 'New York, NY' }
+    ]);
+    expect(ticketEvolutionService.search).toHaveBeenCalledWith('performers', 'jazz', 1, 5);
+  });
+
+  test('should leave out hidden categories', async () => {
+    const { suggestions } = await autocompleteService.getSuggestions('smooth jazz', 10);
+
+    expect(suggestions.filter((s) => s.type === 'category')).toEqual([]);
+  });
+
+  test('should serve repeated queries from the cache', async () => {
+    await autocompleteService.getSuggestions('jazz', 10);
+    const { suggestions, cached } = await autocompleteService.getSuggestions('  JAZZ ', 2);
+
+    expect(cached).toBe(true);
+    expect(suggestions).toHaveLength(2);
+    expect(ticketEvolutionService.search).toHaveBeenCalledTimes(3);
+    expect(supabaseService.anonClient.rpc).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep other types and skip the cache when a TEvo search fails', async () => {
+    ticketEvolutionService.search.mockImplementation(async (resource) => {
+      if (resource === 'venues') {
+        throw new Error('timeout');
+      }
+      return { [resource]: results[resource] };
+    });
+
+    const { suggestions } = await autocompleteService.getSuggestions('jazz', 10);
+    expect(suggestions.map((s) => s.type)).toEqual(['performer', 'category', 'event']);
+
+    const retry = await autocompleteService.getSuggestions('jazz', 10);
+    expect(retry.cached).toBe(false);
+  });
+});
@@ -0,0 +1,163 @@
+const config = require('../../config/config');
+const { MemoryCacheStore, PostgresCacheStore, TieredCacheStore, createCacheStore } = require('../cacheStores');
+const cacheService = require('../cacheService');
+
+describe('Cache stores', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('MemoryCacheStore', () => {
+    test('should expire entries after their TTL', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+      const store = new MemoryCacheStore();
+
+      await store.set('events:{}', { events: [] }, 1000);
+      expect(await store.get('events:{}')).toEqual({ value: { events: [] }, expiresAt: Date.now() + 1000 });
+
+      jest.setSystemTime(Date.now() + 1000);
+      expect(await store.get('events:{}')).toBeNull();
+      expect(store.size).toBe(0);
+    });
+
+    test('should evict the least recently used entry', async () => {
+      const store = new MemoryCacheStore({ maxEntries: 2 });
+
+      await store.set('a', 1, 60000);
+      await store.set('b', 2, 60000);
+      await store.get('a');
+      await store.set('c', 3, 60000);
+
+      expect(await store.get('b')).toBeNull();
+      expect((await store.get('a')).value).toBe(1);
+      expect((await store.get('c')).value).toBe(3);
+    });
+
+    test('should clear keys matching a pattern', async () => {
+      const store = new MemoryCacheStore();
+      await store.set('ticket-groups-1:{}', 1, 60000);
+      await store.set('ticket-groups-2:{}', 2, 60000);
+      await store.set('categories:{}', 3, 60000);
+
+      await store.clear('ticket-groups-1');
+      expect(store.size).toBe(2);
+
+      await store.clear();
+      expect(store.size).toBe(0);
+    });
+  });
+
+  describe('TieredCacheStore', () => {
+    test('should fill the local store from the shared one without extending the TTL', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+      // A second memory store stands in for the shared Postgres store
+      const shared = new MemoryCacheStore();
+      const local = new MemoryCacheStore();
+      const store = new TieredCacheStore(local, shared);
+
+      await shared.set('categories:{}', ['Sports'], 10000);
+      jest.setSystemTime(Date.now() + 4000);
+
+      expect((await store.get('categories:{}')).value).toEqual(['Sports']);
+      expect((await local.get('categories:{}')).expiresAt).toBe(Date.now() + 6000);
+    });
+
+    test('should write and clear both stores', async () => {
+      const shared = new MemoryCacheStore();
+      const store = new TieredCacheStore(new MemoryCacheStore(), shared);
+
+      await store.set('events:{}', [], 60000);
+      expect(shared.size).toBe(1);
+
+      await store.clear('events');
+      expect(shared.size).toBe(0);
+      expect(store.size).toBe(0);
+    });
+  });
+
+  describe('PostgresCacheStore', () => {
+    test('should escape LIKE wildcards when clearing by pattern', async () => {
+      const query = { delete: jest.fn(() => query), like: jest.fn().mockResolvedValue({ error: null }) };
+      const store = new PostgresCacheStore({ client: { from: jest.fn(() => query) } });
+
+      await store.clear('ticket_groups-100%');
+
+      expect(query.like).toHaveBeenCalledWith('key', '%ticket\\_groups-100\\%%');
+    });
+  });
+
+  test('createCacheStore should reject unknown stores', () => {
+    expect(createCacheStore({ store: 'memory' })).toBeInstanceOf(MemoryCacheStore);
+    expect(() => createCacheStore({ store: 'redis' })).toThrow('Unknown cache store: redis');
+  });
+});
+
+describe('CacheService', () => {
+  beforeEach(() => {
+    cacheService.useStore(new MemoryCacheStore());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should use the TTL of the namespace', async () => {
+    const store = new MemoryCacheStore();
+    jest.spyOn(store, 'set');
+    cacheService.useStore(store);
+
+    await cacheService.set('categories', 'categories:{}', []);
+    await cacheService.set('ticket-groups', 'ticket-groups-1:{}', []);
+    await cacheService.set('unknown', 'unknown:{}', []);
+
+    expect(store.set.mock.calls.map((call) => call[2])).toEqual([
+      config.cache.ttlSeconds.categories * 1000,
+      config.cache.ttlSeconds['ticket-groups'] * 1000,
+      config.cache.defaultTtlSeconds * 1000
+    ]);
+  });
+
+  test('should count hits and misses per namespace', async () => {
+    await cacheService.get('events', 'events:{"page":1}');
+    await cacheService.set('events', 'events:{"page":1}', { events: [] });
+    await cacheService.get('events', 'events:{"page":1}');
+    await cacheService.get('events', 'events:{"page":1}');
+    await cacheService.get('categories', 'categories:{}');
+
+    const metrics = cacheService.getMetrics();
+
+    expect(metrics).toMatchObject({ store: 'memory', local_entries: 1, hits: 2, misses: 2, sets: 1, errors: 0, hit_rate: 0.5 });
+    expect(metrics.namespaces.events).toEqual({
+      hits: 2,
+      misses: 1,
+      sets: 1,
+      errors: 0,
+      hit_rate: 0.667,
+      ttl_seconds: config.cache.ttlSeconds.events
+    });
+    expect(metrics.namespaces.categories.hit_rate).toBe(0);
+  });
+
+  test('should treat store errors as misses', async () => {
+    cacheService.useStore({
+      name: 'postgres',
+      get: jest.fn().mockRejectedValue(new Error('connection refused')),
+      set: jest.fn().mockRejectedValue(new Error('connection refused'))
+    });
+
+    await expect(cacheService.set('events', 'events:{}', [])).resolves.toBeUndefined();
+    await expect(cacheService.get('events', 'events:{}')).resolves.toBeUndefined();
+
+    expect(cacheService.getMetrics().namespaces.events).toMatchObject({ hits: 0, misses: 1, sets: 0, errors: 2 });
+  });
+
+  test('should not read or write while disabled', async () => {
+    jest.replaceProperty(config.cache, 'enabled', false);
+
+    await cacheService.set('events', 'events:{}', []);
+
+    expect(await cacheService.get('events', 'events:{}')).toBeUndefined();
+    expect(cacheService.getMetrics()).toMatchObject({ enabled: false, hits: 0, misses: 0, sets: 0 });
+  });
+});
@@ -0,0 +1,105 @@
+// Mock TEvo so performer and venue pages can be tested without credentials
+jest.mock('../ticketEvolutionService', () => ({
+  getPerformers: jest.fn(),
+  getVenues: jest.fn(),
+  getVenue: jest.fn(),
+  getEvents: jest.fn()
+}));
+
+const ticketEvolutionService = require('../ticketEvolutionService');
+const catalogService = require('../catalogService');
+
+describe('CatalogService', () => {
+  const pagination = { current_page: 2, per_page: 10, total_entries: 11, total_pages: 2 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseListFilters', () => {
+    test('should keep supported filters and parse booleans', () => {
+      expect(catalogService.parseListFilters('performers', {
+        name: 'Coldplay',
+        city_state: 'Austin, TX',
+        only_with_upcoming_events: 'true',
+        page: '2'
+      })).toEqual({ name: 'Coldplay', only_with_upcoming_events: true });
+    });
+
+    test('should drop empty and invalid values', () => {
+      expect(catalogService.parseListFilters('venues', { name: '', only_with_upcoming_events: 'maybe' })).toEqual({});
+    });
+  });
+
+  test('formatVenue should include the address and coordinates', () => {
+    expect(catalogService.formatVenue({
+      id: 7,
+      name: 'Madison Square Garden',
+      slug: 'madison-square-garden',
+      address: {
+        street_address: '4 Pennsylvania Plaza',
+        locality: 'New York',
+        region: 'NY',
+        postal_code: '10001',
+        country_code: 'US',
+        latitude: '40.7505',
+        longitude: '-73.9934'
+      }
+    })).toEqual({
+      id: 7,
+      name: 'Madison Square Garden',
+      slug: 'madison-square-garden',
+      location: 'New York, NY',
+      address: {
+        street_address: '4 Pennsylvania Plaza',
+        extended_address: null,
+        locality: 'New York',
+        region: 'NY',
+        postal_code: '10001',
+        country_code: 'US'
+      },
+      coordinates: { latitude: 40.7505, longitude: -73.9934 },
+      upcoming_events: null
+    });
+  });
+
+  test('formatVenue should leave coordinates out when TEvo has none', () => {
+    expect(catalogService.formatVenue({ id: 8, name: 'TBA', address: {} }).coordinates).toBeNull();
+  });
+
+  test('listVenues should paginate and format venues', async () => {
+    ticketEvolutionService.getVenues.mockResolvedValue({
+      venues: [{ id: 7, name: 'Madison Square Garden', location: 'New York, NY' }],
+      pagination
+    });
+
+    const result = await catalogService.listVenues({ page: '2', limit: '500', name: 'garden' });
+
+    expect(ticketEvolutionService.getVenues).toHaveBeenCalledWith(2, 100, { name: 'garden' });
+    expect(result.venues[0]).toMatchObject({ id: 7, location: 'New York, NY' });
+    expect(result.pagination).toBe(pagination);
+  });
+
+  describe('getUpcomingEvents', () => {
+    beforeEach(() => {
+      ticketEvolutionService.getEvents.mockResolvedValue({ events: [{ id: 1 }], pagination });
+    });
+
+    test('should default to events with available tickets', async () => {
+      await catalogService.getUpcomingEvents('performer', 15, {}, 'req1');
+
+      expect(ticketEvolutionService.getEvents).toHaveBeenCalledWith(
+        { performer_id: 15, only_with_available_tickets: true }, 1, 20, 'req1'
+      );
+    });
+
+    test('should let callers include sold out events', async () => {
+      const result = await catalogService.getUpcomingEvents('venue', 7, { only_with_available_tickets: 'false', limit: '5' });
+
+      expect(ticketEvolutionService.getEvents).toHaveBeenCalledWith(
+        { venue_id: 7, only_with_available_tickets: false }, 1, 5, 'unknown'
+      );
+      expect(result.events).toEqual([{ id: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// Mock SMTP and the database so emails can be tested without a mail server
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({
+  createTransport: jest.fn(() => ({ sendMail: mockSendMail }))
+}));
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn()
+  }
+}));
+jest.mock('../orderService', () => ({
+  getOrderWithItems: jest.fn(),
+  updateOrder: jest.fn(),
+  getDeliveryUpdates: jest.requireActual('../orderService').getDeliveryUpdates
+}));
+
+const config = require('../../config/config');
+const supabaseService = require('../supabaseService');
+const orderService = require('../orderService');
+const emailService = require('../emailService');
+const emailTemplates = require('../emailTemplates');
+
+describe('EmailService', () => {
+  const order = {
+    id: 'order-1',
+    user_id: 'user-1',
+    order_number: 'R0123',
+    billing_email: 'fan@example.com',
+    event_name: 'Rock & Roll <Live>',
+    event_date: '2026-06-15T20:00:00Z',
+    venue_name: 'Madison Square Garden',
+    delivery_type: 'Eticket',
+    subtotal_amount: 99.98,
+    service_fee_amount: 10,
+    shipping_amount: 0,
+    tax_amount: 8.5,
+    discount_amount: 5,
+    total_amount: 113.48,
+    order_items: [{ quantity: 2, section: '101', row_name: 'A', total_price: 99.98 }]
+  };
+
+  let insert;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    config.email.host = 'localhost';
+    insert = jest.fn().mockResolvedValue({ error: null });
+    supabaseService.adminClient.from.mockReturnValue({ insert });
+    orderService.getOrderWithItems.mockResolvedValue(order);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('emailTemplates', () => {
+    test('should render event, seats, totals and delivery type', () => {
+      const { subject, html, text } = emailTemplates.orderConfirmation(order);
+
+      expect(subject).toBe('Your TixPort order R0123 is confirmed');
+      expect(html).toContain('Rock &amp; Roll &lt;Live&gt;');
+      expect(text).toContain('2 x Section 101 Row A - $99.98');
+      expect(text).toContain('Discount: -$5.00');
+      expect(text).toContain('Total: $113.48');
+      expect(text).toContain('Delivery: Electronic delivery (e-tickets)');
+    });
+  });
+
+  describe('sendOrderConfirmation', () => {
+    test('should send HTML and text parts and log the email', async () => {
+      mockSendMail.mockResolvedValue({ messageId: '<abc@tixport>' });
+
+      const result = await emailService.sendOrderConfirmation('order-1');
+
+      expect(result).toEqual({ status: 'sent', messageId: '<abc@tixport>', error: null });
+      expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'fan@example.com',
+        html: expect.stringContaining('R0123'),
+        text: expect.stringContaining('R0123')
+      }));
+      expect(insert).toHaveBeenCalledWith(expect.objectContaining({
+        order_id: 'order-1',
+        email_type: 'order_confirmation',
+        status: 'sent'
+      }));
+    });
+
+    test('should log failures without throwing', async () => {
+      mockSendMail.mockRejectedValue(new Error('Connection refused'));
+
+      const result = await emailService.sendOrderConfirmation('order-1');
+
+      expect(result.status).toBe('failed');
+      expect(insert).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', error_message: 'Connection refused' }));
+    });
+
+    test('should skip sending when SMTP is not configured', async () => {
+      config.email.host = undefined;
+
+      const result = await emailService.sendOrderConfirmation('order-1');
+
+      expect(result.status).toBe('skipped');
+      expect(mockSendMail).not.toHaveBeenCalled();
+      expect(insert).toHaveBeenCalledWith(expect.objectContaining({ status: 'skipped' }));
+    });
+  });
+
+  describe('notifyDeliveryChanges', () => {
+    test('should email once when a tracking number is assigned', async () => {
+      mockSendMail.mockResolvedValue({ messageId: 'id' });
+      orderService.getOrderWithItems.mockResolvedValue({ ...order, tracking_number: '7946' });
+      const tevoOrder = { shipments: [{ type: 'FedEx', state: 'pending', tracking_number: '7946' }] };
+
+      const sent = await emailService.notifyDeliveryChanges(order, tevoOrder);
+      const repeated = await emailService.notifyDeliveryChanges({ ...order, tracking_number: '7946' }, tevoOrder);
+
+      expect(sent).toEqual(['tracking_assigned']);
+      expect(repeated).toEqual([]);
+      expect(orderService.updateOrder).toHaveBeenCalledWith('order-1', { tracking_number: '7946' });
+      expect(mockSendMail).toHaveBeenCalledTimes(1);
+      expect(mockSendMail.mock.calls[0][0].text).toContain('Tracking number: 7946');
+    });
+
+    test('should email when e-tickets are delivered', async () => {
+      mockSendMail.mockResolvedValue({ messageId: 'id' });
+
+      const sent = await emailService.notifyDeliveryChanges(order, { shipments: [{ type: 'Eticket', state: 'delivered' }] });
+
+      expect(sent).toEqual(['etickets_available']);
+      expect(orderService.updateOrder).toHaveBeenCalledWith('order-1', { etickets_available_at: expect.any(String) });
+    });
+  });
+});
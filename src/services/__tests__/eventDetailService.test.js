@@ -0,0 +1,99 @@
+// Mock TEvo so event details can be tested without credentials
+jest.mock('../ticketEvolutionService', () => ({
+  getEvent: jest.fn(),
+  getEventTicketGroups: jest.fn()
+}));
+
+const ticketEvolutionService = require('../ticketEvolutionService');
+const eventDetailService = require('../eventDetailService');
+
+describe('EventDetailService', () => {
+  const ticketGroups = [
+    { id: 1, section: 'Floor A', retail_price: '250.00', available_quantity: 4, format: 'Eticket' },
+    { id: 2, section: '101', retail_price: '80.00', available_quantity: 2, format: 'Physical' },
+    { id: 3, section: '101', retail_price: '95.50', available_quantity: 6, format: 'Eticket' },
+    { id: 4, section: '9', retail_price: '120.00', available_quantity: 2, format: 'TM_mobile' },
+    { id: 5, section: '9', retail_price: '10.00', available_quantity: 0, format: 'Eticket' }
+  ];
+  const page = (groups, totalPages = 1) => ({
+    ticketGroups: groups,
+    pagination: { current_page: 1, per_page: 100, total_entries: groups.length, total_pages: totalPages }
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await eventDetailService.clearCache();
+    ticketEvolutionService.getEvent.mockResolvedValue({ id: 42, name: 'Coldplay' });
+    ticketEvolutionService.getEventTicketGroups.mockResolvedValue(page(ticketGroups));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('summarizeTicketGroups should compute prices, formats and sections', () => {
+    expect(eventDetailService.summarizeTicketGroups(ticketGroups)).toEqual({
+      min_price: 80,
+      median_price: 107.75,
+      max_price: 250,
+      total_tickets: 14,
+      total_listings: 4,
+      listings_by_format: { Eticket: 2, Physical: 1, TM_mobile: 1 },
+      sections: [
+        { section: '9', listings: 1, tickets: 2, min_price: 120 },
+        { section: '101', listings: 2, tickets: 8, min_price: 80 },
+        { section: 'Floor A', listings: 1, tickets: 4, min_price: 250 }
+      ]
+    });
+  });
+
+  test('summarizeTicketGroups should group sections by seatmap key', () => {
+    const summary = eventDetailService.summarizeTicketGroups([
+      ...ticketGroups,
+      { id: 6, section: 'Section 101', retail_price: '70.00', available_quantity: 2, format: 'Eticket' }
+    ]);
+
+    expect(summary.sections.find((section) => section.section === '101')).toEqual({ section: '101', listings: 3, tickets: 10, min_price: 70 });
+    expect(summary.sections).toHaveLength(3);
+  });
+
+  test('summarizeTicketGroups should handle events without inventory', () => {
+    expect(eventDetailService.summarizeTicketGroups([])).toMatchObject({
+      min_price: null,
+      median_price: null,
+      max_price: null,
+      total_tickets: 0
+    });
+  });
+
+  test('should read every ticket group page', async () => {
+    ticketEvolutionService.getEventTicketGroups
+      .mockResolvedValueOnce(page(ticketGroups.slice(0, 2), 2))
+      .mockResolvedValueOnce(page(ticketGroups.slice(2), 2));
+
+    const { event } = await eventDetailService.getEventDetail(42);
+
+    expect(ticketEvolutionService.getEventTicketGroups).toHaveBeenCalledWith(42, 2, 100);
+    expect(event.price_summary).toMatchObject({ min_price: 80, total_tickets: 14, complete: true });
+  });
+
+  test('should cache the enriched event', async () => {
+    await eventDetailService.getEventDetail(42);
+    const { event, cached } = await eventDetailService.getEventDetail(42);
+
+    expect(cached).toBe(true);
+    expect(event).toMatchObject({ id: 42, name: 'Coldplay', price_summary: { min_price: 80 } });
+    expect(ticketEvolutionService.getEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return the event without a summary when ticket groups fail', async () => {
+    ticketEvolutionService.getEventTicketGroups.mockRejectedValue(new Error('timeout'));
+
+    const { event } = await eventDetailService.getEventDetail(42);
+    expect(event.price_summary).toBeNull();
+
+    await eventDetailService.getEventDetail(42);
+    expect(ticketEvolutionService.getEvent).toHaveBeenCalledTimes(2);
+  });
+});
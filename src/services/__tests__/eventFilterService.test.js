@@ -0,0 +1,94 @@
+jest.mock('../ticketEvolutionService', () => ({}));
+
+const eventFilterService = require('../eventFilterService');
+
+describe('EventFilterService', () => {
+  describe('parseFilters', () => {
+    test('should map filters to TEvo parameters', () => {
+      expect(eventFilterService.parseFilters({
+        date_from: '2026-11-01',
+        date_to: '2026-11-30',
+        performer_id: '15',
+        venue_id: '7',
+        sort: 'popularity'
+      })).toEqual({
+        filters: {
+          'occurs_at.gte': '2026-11-01T00:00:00',
+          'occurs_at.lte': '2026-11-30T23:59:59',
+          performer_id: 15,
+          venue_id: 7,
+          only_with_available_tickets: true,
+          order_by: 'events.popularity_score DESC'
+        },
+        localFilters: {},
+        sort: 'popularity',
+        local: false
+      });
+    });
+
+    test('should ask TEvo for prices when filtering or sorting by price', () => {
+      const parsed = eventFilterService.parseFilters({ min_price: '50', weekends_only: 'true', q: ' Jazz  Night ', sort: 'price_desc' });
+
+      expect(parsed.filters).toEqual({ only_with_available_tickets: true, q: 'Jazz Night', order_by: 'events.occurs_at ASC', min_and_max_price: true });
+      expect(parsed.localFilters).toEqual({ min_price: 50, weekends_only: true });
+      expect(parsed.local).toBe(true);
+    });
+
+    test('should leave text search and date sorting to TEvo', () => {
+      const parsed = eventFilterService.parseFilters({ q: 'jazz', sort: 'date' });
+
+      expect(parsed.filters.q).toBe('jazz');
+      expect(parsed.local).toBe(false);
+    });
+
+    test('should let clients include events without available tickets', () => {
+      expect(eventFilterService.parseFilters({ only_with_available_tickets: 'false' }).filters.only_with_available_tickets).toBe(false);
+      expect(eventFilterService.parseFilters({ only_with_available_tickets: 'maybe' }).error).toBe('only_with_available_tickets must be true or false');
+    });
+
+    test('should report every invalid filter', () => {
+      expect(eventFilterService.parseFilters({
+        date_from: '2026-12-01',
+        date_to: '2026-11-01',
+        performer_id: 'abc',
+        min_price: '100',
+        max_price: '20',
+        weekends_only: 'sometimes',
+        sort: 'cheapest'
+      }).error).toBe([
+        'date_from must be before date_to',
+        'performer_id must be a positive integer',
+        'min_price must not be greater than max_price',
+        'weekends_only must be true or false',
+        'sort must be one of: date, date_desc, popularity, price, price_desc'
+      ].join('; '));
+    });
+
+    test('should reject unparseable dates', () => {
+      expect(eventFilterService.parseFilters({ date_from: 'next week' }).error).toBe('date_from must be an ISO date');
+    });
+  });
+
+  describe('applyLocalFilters', () => {
+    const events = [
+      { id: 1, name: 'Jazz Night', occurs_at: '2026-11-07T20:00:00Z', min_ticket_price: 80, max_ticket_price: 200 },
+      { id: 2, name: 'Rock Show', occurs_at: '2026-11-04T20:00:00Z', min_ticket_price: 30, max_ticket_price: 60 },
+      { id: 3, name: 'Symphony', occurs_at: '2026-11-08T15:00:00Z', venue: { name: 'Jazz Hall' }, min_ticket_price: 45, max_ticket_price: 90 },
+      { id: 4, name: 'TBA', occurs_at: '2026-11-01T20:00:00Z' }
+    ];
+
+    test('should keep events whose price range overlaps the filter', () => {
+      const result = eventFilterService.applyLocalFilters(events, { min_price: 70, max_price: 100 }, 'date');
+      expect(result.map((e) => e.id)).toEqual([1, 3]);
+    });
+
+    test('should filter weekends', () => {
+      expect(eventFilterService.applyLocalFilters(events, { weekends_only: true }, 'date').map((e) => e.id)).toEqual([1, 3, 4]);
+    });
+
+    test('should sort by price with unpriced events last', () => {
+      expect(eventFilterService.applyLocalFilters(events, {}, 'price').map((e) => e.id)).toEqual([2, 3, 1, 4]);
+      expect(eventFilterService.applyLocalFilters(events, {}, 'price_desc').map((e) => e.id)).toEqual([1, 3, 2, 4]);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// Mock external services so holds can be tested without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+jest.mock('../ticketEvolutionService', () => ({
+  createTicketHold: jest.fn(),
+  releaseTicketHold: jest.fn()
+}));
+
+const supabaseService = require('../supabaseService');
+const ticketEvolutionService = require('../ticketEvolutionService');
+const holdService = require('../holdService');
+
+describe('HoldService', () => {
+  const ticketGroup = { id: 555, available_quantity: 4, event: { id: 777 } };
+  const holdId = '0b7c9a52-2f0e-4c1f-9a4b-6a1d2b3c4d5e';
+
+  const buildQuery = (result) => {
+    const query = {
+      select: jest.fn(() => query),
+      update: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      gt: jest.fn(() => query),
+      maybeSingle: jest.fn().mockResolvedValue(result),
+      then: (resolve) => Promise.resolve(result).then(resolve)
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getHeldQuantity', () => {
+    test('should sum active local holds except the excluded hold', async () => {
+      supabaseService.adminClient.from.mockReturnValue(buildQuery({
+        data: [{ id: 'a', quantity: 2 }, { id: holdId, quantity: 3 }],
+        error: null
+      }));
+
+      await expect(holdService.getHeldQuantity(555, { excludeHoldId: holdId })).resolves.toBe(2);
+    });
+  });
+
+  describe('getSelectionHolds', () => {
+    test('should count the buyer\'s own active TEvo hold back in', async () => {
+      const ownHold = buildQuery({ data: { quantity: 3 }, error: null });
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(buildQuery({ data: [{ id: 'a', quantity: 2 }], error: null }))
+        .mockReturnValueOnce(ownHold);
+
+      await expect(holdService.getSelectionHolds(555, { holdId, userId: 'user-1' }))
+        .resolves.toEqual({ heldQuantity: 2, ownHeldQuantity: 3 });
+      expect(ownHold.eq).toHaveBeenCalledWith('user_id', 'user-1');
+      expect(ownHold.eq).toHaveBeenCalledWith('source', 'tevo');
+    });
+
+    test('should not look up a hold without a valid hold ID', async () => {
+      supabaseService.adminClient.from.mockReturnValue(buildQuery({ data: [], error: null }));
+
+      await expect(holdService.getSelectionHolds(555, { holdId: 'abc', userId: 'user-1' }))
+        .resolves.toEqual({ heldQuantity: 0, ownHeldQuantity: 0 });
+      expect(supabaseService.adminClient.from).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createHold', () => {
+    test('should record a TEvo hold when TEvo accepts it', async () => {
+      ticketEvolutionService.createTicketHold.mockResolvedValue({ id: 42 });
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: { id: holdId, source: 'tevo' }, error: null });
+
+      const result = await holdService.createHold({ userId: 'user-1', ticketGroup, quantity: 2, price: 50 });
+
+      expect(result.valid).toBe(true);
+      expect(supabaseService.adminClient.rpc).toHaveBeenCalledWith('create_ticket_hold', {
+        hold_data: expect.objectContaining({ source: 'tevo', tevo_hold_id: '42', quantity: 2 })
+      });
+    });
+
+    test('should release the TEvo hold of a replaced hold', async () => {
+      ticketEvolutionService.createTicketHold.mockResolvedValue({ id: 43 });
+      supabaseService.adminClient.rpc.mockResolvedValue({
+        data: { id: holdId, source: 'tevo', tevo_hold_id: '43', replaced_tevo_hold_ids: ['42'] },
+        error: null
+      });
+
+      const result = await holdService.createHold({ userId: 'user-1', ticketGroup, quantity: 2, price: 50 });
+
+      expect(ticketEvolutionService.releaseTicketHold).toHaveBeenCalledWith('42');
+      expect(ticketEvolutionService.releaseTicketHold).toHaveBeenCalledTimes(1);
+      expect(result.hold).toEqual({ id: holdId, source: 'tevo', tevo_hold_id: '43' });
+    });
+
+    test('should fall back to a local hold when TEvo refuses', async () => {
+      ticketEvolutionService.createTicketHold.mockRejectedValue(new Error('Forbidden'));
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: { id: holdId, source: 'local' }, error: null });
+
+      await holdService.createHold({ userId: 'user-1', ticketGroup, quantity: 2, price: 50 });
+
+      expect(supabaseService.adminClient.rpc).toHaveBeenCalledWith('create_ticket_hold', {
+        hold_data: expect.objectContaining({ source: 'local', tevo_hold_id: null, available_quantity: 4 })
+      });
+    });
+
+    test('should report quantities already held by others', async () => {
+      ticketEvolutionService.createTicketHold.mockRejectedValue(new Error('Forbidden'));
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: null, error: { message: 'NOT_ENOUGH_TICKETS' } });
+
+      const result = await holdService.createHold({ userId: 'user-1', ticketGroup, quantity: 2, price: 50 });
+
+      expect(result).toMatchObject({ valid: false, code: 'NOT_ENOUGH_TICKETS' });
+    });
+  });
+
+  describe('consumeHold', () => {
+    test('should reject a hold for different tickets', async () => {
+      supabaseService.adminClient.from.mockReturnValue(buildQuery({
+        data: { id: holdId, ticket_group_id: '555', quantity: 2 },
+        error: null
+      }));
+
+      const result = await holdService.consumeHold(holdId, 'user-1', { ticketGroupId: 555, quantity: 4 });
+
+      expect(result).toMatchObject({ valid: false, code: 'HOLD_MISMATCH' });
+    });
+
+    test('should report an expired or already used hold', async () => {
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(buildQuery({ data: { id: holdId, ticket_group_id: '555', quantity: 2 }, error: null }))
+        .mockReturnValueOnce(buildQuery({ data: null, error: null }));
+
+      const result = await holdService.consumeHold(holdId, 'user-1', { ticketGroupId: 555, quantity: 2 });
+
+      expect(result).toMatchObject({ valid: false, code: 'HOLD_EXPIRED' });
+    });
+
+    test('should release the TEvo hold once consumed', async () => {
+      const consumed = { id: holdId, ticket_group_id: '555', quantity: 2, tevo_hold_id: '42', status: 'consumed' };
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(buildQuery({ data: { ...consumed, status: 'active' }, error: null }))
+        .mockReturnValueOnce(buildQuery({ data: consumed, error: null }));
+
+      const result = await holdService.consumeHold(holdId, 'user-1', { ticketGroupId: 555, quantity: '2' });
+
+      expect(result).toEqual({ valid: true, hold: consumed });
+      expect(ticketEvolutionService.releaseTicketHold).toHaveBeenCalledWith('42');
+    });
+
+    test('should not query the database for non-UUID ids', async () => {
+      const result = await holdService.consumeHold('abc', 'user-1', { ticketGroupId: 555, quantity: 2 });
+
+      expect(result.code).toBe('HOLD_NOT_FOUND');
+      expect(supabaseService.adminClient.from).not.toHaveBeenCalled();
+    });
+  });
+});
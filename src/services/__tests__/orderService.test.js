@@ -0,0 +1,267 @@
+// Mock supabase so the service can be loaded without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    rpc: jest.fn()
+  }
+}));
+
+const supabaseService = require('../supabaseService');
+const orderService = require('../orderService');
+
+describe('OrderService', () => {
+  const ticketGroup = {
+    id: 555,
+    section: '101',
+    row: 'A',
+    format: 'Eticket',
+    event: {
+      id: 777,
+      name: 'Sample Concert',
+      occurs_at: '2026-06-15T20:00:00Z',
+      venue: { name: 'Madison Square Garden' }
+    }
+  };
+
+  const checkout = {
+    userId: 'user-1',
+    tevoOrder: { id: 9001, oid: 'R0123', state: 'pending' },
+    tevoClientId: 42,
+    deliveryType: 'Eticket',
+    sessionId: 'session_1',
+    items: [{ ticketGroup, quantity: '2', price: '49.99' }],
+    totals: { service_fee: 0, shipping: 0, discount: 0, tax: 8.5 },
+    billing: {
+      name: 'Jamie Lee Smith',
+      email: 'fan@example.com',
+      phone: '555-123-4567',
+      address: { line1: '1 Main St', city: 'New York', state: 'NY', postal_code: '10001' }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('mapTevoState', () => {
+    test('should map TEvo states to order and payment status', () => {
+      expect(orderService.mapTevoState('pending')).toEqual({ status: 'pending', payment_status: 'pending' });
+      expect(orderService.mapTevoState('accepted')).toEqual({ status: 'confirmed', payment_status: 'paid' });
+      expect(orderService.mapTevoState('completed')).toEqual({ status: 'completed', payment_status: 'paid' });
+      expect(orderService.mapTevoState('rejected')).toEqual({ status: 'cancelled', payment_status: 'failed' });
+      expect(orderService.mapTevoState('cancelled')).toEqual({ status: 'cancelled', payment_status: 'refunded' });
+    });
+
+    test('should treat unknown states as pending', () => {
+      expect(orderService.mapTevoState(undefined)).toEqual({ status: 'pending', payment_status: 'pending' });
+    });
+  });
+
+  describe('buildOrderRecord', () => {
+    test('should build order totals and event snapshot', () => {
+      const { order } = orderService.buildOrderRecord(checkout);
+
+      expect(order).toMatchObject({
+        user_id: 'user-1',
+        order_number: 'R0123',
+        tevo_order_id: '9001',
+        tevo_client_id: '42',
+        event_id: '777',
+        event_name: 'Sample Concert',
+        venue_name: 'Madison Square Garden',
+        subtotal_amount: 99.98,
+        tax_amount: 8.5,
+        total_amount: 108.48,
+        billing_first_name: 'Jamie',
+        billing_last_name: 'Lee Smith',
+        billing_email: 'fan@example.com',
+        billing_zip: '10001'
+      });
+    });
+
+    test('should build one item row per ticket group', () => {
+      const { items } = orderService.buildOrderRecord(checkout);
+
+      expect(items).toEqual([{
+        ticket_id: '555',
+        event_id: '777',
+        section: '101',
+        row_name: 'A',
+        seat_number: null,
+        ticket_type: 'Eticket',
+        quantity: 2,
+        price: 49.99,
+        total_price: 99.98,
+        status: 'pending'
+      }]);
+    });
+
+    test('should fall back to TEvo id when no oid is returned', () => {
+      const { order } = orderService.buildOrderRecord({
+        ...checkout,
+        tevoOrder: { id: 9001, state: 'accepted' }
+      });
+
+      expect(order.order_number).toBe('TEVO-9001');
+      expect(order.payment_status).toBe('paid');
+    });
+  });
+
+  describe('createOrder', () => {
+    test('should store order and items through create_order_with_items', async () => {
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: { id: 'order-1' }, error: null });
+
+      const result = await orderService.createOrder(checkout);
+
+      expect(result).toEqual({ id: 'order-1' });
+      expect(supabaseService.adminClient.rpc).toHaveBeenCalledWith('create_order_with_items', {
+        order_data: expect.objectContaining({ order_number: 'R0123' }),
+        items_data: [expect.objectContaining({ ticket_id: '555' })]
+      });
+    });
+
+    test('should throw when the database rejects the order', async () => {
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: null, error: { message: 'duplicate key' } });
+
+      await expect(orderService.createOrder(checkout)).rejects.toThrow('Failed to save order R0123: duplicate key');
+    });
+  });
+
+  describe('getUserOrders', () => {
+    test('should page and count the user\'s orders in the query', async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        order: jest.fn().mockReturnThis(),
+        range: jest.fn().mockResolvedValue({
+          data: [{ id: 'order-1', order_number: 'TXP-1', order_items: [{ count: 3 }] }],
+          error: null,
+          count: 25
+        })
+      };
+      supabaseService.adminClient.from = jest.fn(() => query);
+
+      const result = await orderService.getUserOrders('user-1', { page: 2, limit: 10 });
+
+      expect(result).toEqual({ orders: [{ order_id: 'order-1', order_number: 'TXP-1', items_count: 3 }], total: 25 });
+      expect(query.select.mock.calls[0][1]).toEqual({ count: 'exact' });
+      expect(query.eq).toHaveBeenCalledWith('user_id', 'user-1');
+      expect(query.range).toHaveBeenCalledWith(10, 19);
+    });
+  });
+
+  describe('getUserOrder', () => {
+    test('should not query the database for non-UUID ids', async () => {
+      supabaseService.adminClient.from = jest.fn();
+
+      const result = await orderService.getUserOrder('user-1', '12345');
+
+      expect(result).toBeNull();
+      expect(supabaseService.adminClient.from).not.toHaveBeenCalled();
+    });
+
+    test('should scope the lookup to the order owner', async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        maybeSingle: jest.fn().mockResolvedValue({ data: { id: 'x' }, error: null })
+      };
+      supabaseService.adminClient.from = jest.fn(() => query);
+      const orderId = '0b7c9a52-2f0e-4c1f-9a4b-6a1d2b3c4d5e';
+
+      await orderService.getUserOrder('user-1', orderId);
+
+      expect(query.eq).toHaveBeenCalledWith('id', orderId);
+      expect(query.eq).toHaveBeenCalledWith('user_id', 'user-1');
+    });
+  });
+
+  describe('parseAdminFilters', () => {
+    test('should parse dates, statuses and amounts', () => {
+      const { filters } = orderService.parseAdminFilters({
+        from: '2026-01-01',
+        to: '2026-01-31',
+        status: 'confirmed,completed',
+        min_amount: '50',
+        email: ' fan@example.com '
+      });
+
+      expect(filters).toEqual({
+        from: '2026-01-01T00:00:00.000Z',
+        to: '2026-02-01T00:00:00.000Z',
+        toExclusive: true,
+        status: ['confirmed', 'completed'],
+        min_amount: 50,
+        email: 'fan@example.com'
+      });
+    });
+
+    test('should reject unknown statuses and bad amounts', () => {
+      expect(orderService.parseAdminFilters({ status: 'shipped' }).error).toMatch(/status must be one of/);
+      expect(orderService.parseAdminFilters({ max_amount: 'abc' }).error).toBe('max_amount must be a non-negative number');
+      expect(orderService.parseAdminFilters({ from: 'yesterday' }).error).toBe('from must be a valid date');
+    });
+
+    test('should only accept a UUID as user_id', () => {
+      expect(orderService.parseAdminFilters({ user_id: 'not-a-uuid' }).error).toBe('user_id must be a valid UUID');
+      expect(orderService.parseAdminFilters({ user_id: ' 0b7c9a52-2f0e-4c1f-9a4b-6a1d2b3c4d5e ' }).filters).toEqual({
+        user_id: '0b7c9a52-2f0e-4c1f-9a4b-6a1d2b3c4d5e'
+      });
+    });
+  });
+
+  describe('searchOrders', () => {
+    test('should filter, paginate and count orders', async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        gte: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
+        ilike: jest.fn().mockReturnThis(),
+        order: jest.fn().mockReturnThis(),
+        range: jest.fn().mockResolvedValue({
+          data: [{ id: 'order-1', order_items: [{ count: 2 }] }],
+          error: null,
+          count: 41
+        })
+      };
+      supabaseService.adminClient.from = jest.fn(() => query);
+
+      const result = await orderService.searchOrders(
+        { status: ['pending'], min_amount: 10, email: '100%_fan' },
+        { page: 3, limit: 20 }
+      );
+
+      expect(result).toEqual({ orders: [{ id: 'order-1', items_count: 2 }], total: 41 });
+      expect(query.in).toHaveBeenCalledWith('status', ['pending']);
+      expect(query.gte).toHaveBeenCalledWith('total_amount', 10);
+      expect(query.ilike).toHaveBeenCalledWith('billing_email', '%100\\%\\_fan%');
+      expect(query.range).toHaveBeenCalledWith(40, 59);
+    });
+  });
+
+  describe('buildOrdersCsv', () => {
+    test('should quote values and neutralise spreadsheet formulas', () => {
+      const csv = orderService.buildOrdersCsv([{
+        order_number: 'R0123',
+        billing_first_name: '=HYPERLINK("x")',
+        billing_last_name: 'Smith',
+        event_name: 'Rock, Paper & "Scissors"',
+        order_items: [{ quantity: 2 }, { quantity: 1 }],
+        total_amount: 108.48,
+        refunded_amount: 0
+      }]);
+
+      const [header, row] = csv.trim().split('\r\n');
+      expect(header.split(',')[0]).toBe('order_number');
+      expect(row).toContain('"\'=HYPERLINK(""x"") Smith"');
+      expect(row).toContain('"Rock, Paper & ""Scissors"""');
+      expect(row).toMatch(/,3,/);
+      expect(row.endsWith(',108.48,0')).toBe(true);
+    });
+  });
+});
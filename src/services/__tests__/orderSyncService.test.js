@@ -0,0 +1,121 @@
+// Mock external services so the sync can be tested without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+jest.mock('../ticketEvolutionService', () => ({
+  getOrder: jest.fn()
+}));
+jest.mock('../emailService', () => ({
+  notifyDeliveryChanges: jest.fn()
+}));
+
+const supabaseService = require('../supabaseService');
+const ticketEvolutionService = require('../ticketEvolutionService');
+const emailService = require('../emailService');
+const orderService = require('../orderService');
+const orderSyncService = require('../orderSyncService');
+
+describe('OrderSyncService', () => {
+  const storedOrder = {
+    id: '0b7c9a52-2f0e-4c1f-9a4b-6a1d2b3c4d5e',
+    order_number: 'R0123',
+    tevo_order_id: '98765',
+    tevo_state: 'pending',
+    status: 'pending'
+  };
+
+  const buildQuery = (result) => {
+    const query = {
+      select: jest.fn(() => query),
+      update: jest.fn(() => query),
+      in: jest.fn(() => query),
+      not: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      order: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      single: jest.fn().mockResolvedValue(result),
+      then: (resolve) => Promise.resolve(result).then(resolve)
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    emailService.notifyDeliveryChanges.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('syncOrder', () => {
+    test('should record a transition with the mapped statuses', async () => {
+      const event = { id: 'event-1', from_state: 'pending', to_state: 'accepted' };
+      ticketEvolutionService.getOrder.mockResolvedValue({ id: 98765, state: 'accepted', shipments: [] });
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: event, error: null });
+
+      const result = await orderSyncService.syncOrder(storedOrder);
+
+      expect(ticketEvolutionService.getOrder).toHaveBeenCalledWith('98765');
+      expect(supabaseService.adminClient.rpc).toHaveBeenCalledWith('record_order_transition', {
+        order_uuid: storedOrder.id,
+        new_state: 'accepted',
+        new_status: 'confirmed',
+        new_payment_status: 'paid',
+        event_source: 'sync',
+        event_details: { tevo_order_id: '98765' }
+      });
+      expect(result).toMatchObject({ orderId: storedOrder.id, changed: true, event });
+      expect(emailService.notifyDeliveryChanges).toHaveBeenCalledWith(storedOrder, expect.objectContaining({ state: 'accepted' }));
+    });
+
+    test('should report no change when the state is unchanged', async () => {
+      ticketEvolutionService.getOrder.mockResolvedValue({ id: 98765, state: 'pending' });
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: null, error: null });
+
+      const result = await orderSyncService.syncOrder(storedOrder, { source: 'admin' });
+
+      expect(result.changed).toBe(false);
+      expect(supabaseService.adminClient.rpc).toHaveBeenCalledWith('record_order_transition', expect.objectContaining({ event_source: 'admin' }));
+    });
+  });
+
+  describe('syncOpenOrders', () => {
+    test('should keep going when one order fails', async () => {
+      const other = { ...storedOrder, id: 'c2d4e6f8-1a3b-4c5d-8e9f-0a1b2c3d4e5f', order_number: 'R0456', tevo_order_id: '11111' };
+      const openOrders = buildQuery({ data: [storedOrder, other], error: null });
+      const markSynced = buildQuery({ data: storedOrder, error: null });
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(openOrders)
+        .mockReturnValueOnce(markSynced);
+      ticketEvolutionService.getOrder
+        .mockRejectedValueOnce(new Error('Resource not found'))
+        .mockResolvedValueOnce({ id: 11111, state: 'completed' });
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: { id: 'event-2' }, error: null });
+
+      const summary = await orderSyncService.syncOpenOrders({ limit: 10 });
+
+      expect(summary).toEqual({ checked: 2, updated: 1, failed: 1, skipped: false });
+      expect(openOrders.in).toHaveBeenCalledWith('status', ['pending', 'confirmed']);
+      expect(openOrders.limit).toHaveBeenCalledWith(10);
+      expect(markSynced.update).toHaveBeenCalledWith({ last_synced_at: expect.any(String) });
+    });
+
+    test('should skip a run while another is in progress', async () => {
+      let finishFirst;
+      jest.spyOn(orderService, 'getOpenOrders').mockReturnValue(new Promise((resolve) => { finishFirst = resolve; }));
+
+      const first = orderSyncService.syncOpenOrders();
+      const second = await orderSyncService.syncOpenOrders();
+      finishFirst([]);
+
+      expect(second.skipped).toBe(true);
+      await expect(first).resolves.toEqual({ checked: 0, updated: 0, failed: 0, skipped: false });
+    });
+  });
+});
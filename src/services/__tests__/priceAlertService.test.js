@@ -0,0 +1,204 @@
+// Mock external services so price alerts can be tested without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn()
+  }
+}));
+jest.mock('../ticketEvolutionService', () => ({
+  getEvent: jest.fn()
+}));
+jest.mock('../eventDetailService', () => ({
+  getAllTicketGroups: jest.fn()
+}));
+jest.mock('../notificationService', () => ({
+  createNotification: jest.fn()
+}));
+jest.mock('../emailService', () => ({
+  sendPriceAlert: jest.fn()
+}));
+jest.mock('../priceHistoryService', () => ({
+  refreshSnapshot: jest.fn().mockResolvedValue([])
+}));
+
+const supabaseService = require('../supabaseService');
+const ticketEvolutionService = require('../ticketEvolutionService');
+const eventDetailService = require('../eventDetailService');
+const notificationService = require('../notificationService');
+const emailService = require('../emailService');
+const priceAlertService = require('../priceAlertService');
+
+describe('PriceAlertService', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const ticketGroups = [
+    { id: 1, section: '101', retail_price: '85.00', available_quantity: 4 },
+    { id: 2, section: '101', retail_price: '120.00', available_quantity: 2 },
+    { id: 3, section: 'Floor', retail_price: '60.00', available_quantity: 2 },
+    { id: 4, section: '101', retail_price: '40.00', available_quantity: 0 }
+  ];
+  const baseAlert = {
+    id: '5d1f0c3e-8b2a-4c6d-9e7f-1a2b3c4d5e6f',
+    user_id: 'user-1',
+    event_id: '42',
+    event_name: 'Coldplay',
+    event_date: '2026-12-01T20:00:00Z',
+    section: null,
+    max_price: null,
+    channels: ['email', 'in_app'],
+    notify_email: 'fan@example.com',
+    last_ticket_count: null,
+    last_notified_at: null,
+    last_notified_price: null,
+    notification_count: 0
+  };
+
+  const buildQuery = (result) => {
+    const query = {
+      select: jest.fn(() => query),
+      insert: jest.fn(() => query),
+      update: jest.fn(() => query),
+      in: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      order: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      single: jest.fn().mockResolvedValue(result),
+      then: (resolve) => Promise.resolve(result).then(resolve)
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseAlert', () => {
+    test('should normalize a new alert', () => {
+      expect(priceAlertService.parseAlert({ event_id: '42', section: ' 101 ', max_price: '99.50', channels: ['in_app'] })).toEqual({
+        values: { event_id: '42', section: '101', max_price: 99.5, channels: ['in_app'] }
+      });
+    });
+
+    test('should reject invalid fields', () => {
+      expect(priceAlertService.parseAlert({}).error.code).toBe('INVALID_EVENT_ID');
+      expect(priceAlertService.parseAlert({ event_id: 42, max_price: '-5' }).error.code).toBe('INVALID_MAX_PRICE');
+      expect(priceAlertService.parseAlert({ event_id: 42, channels: ['sms'] }).error.code).toBe('INVALID_CHANNELS');
+      expect(priceAlertService.parseAlert({ is_active: 'yes' }, { partial: true }).error.code).toBe('INVALID_ACTIVE');
+    });
+  });
+
+  describe('evaluateAlert', () => {
+    test('should fire when tickets in the section reach the target price', () => {
+      const alert = { ...baseAlert, section: '101', max_price: '100.00' };
+
+      const result = priceAlertService.evaluateAlert(alert, ticketGroups, now);
+
+      expect(result.triggered).toBe(true);
+      expect(result.match).toEqual({ lowest_price: 85, ticket_count: 4, listing_count: 1 });
+    });
+
+    test('should match the section by its seatmap key', () => {
+      const alert = { ...baseAlert, section: 'Section 101', max_price: '100.00' };
+      const listings = [...ticketGroups, { id: 5, section: 'Sec. 101', retail_price: '70.00', available_quantity: 2 }];
+
+      expect(priceAlertService.findMatches(alert, listings)).toEqual({ lowest_price: 70, ticket_count: 6, listing_count: 2 });
+    });
+
+    test('should only fire again for a lower price, and re-arm when nothing matches', () => {
+      const alert = { ...baseAlert, max_price: '100.00', last_notified_price: '60.00', last_notified_at: '2026-10-10T00:00:00Z' };
+
+      expect(priceAlertService.evaluateAlert(alert, ticketGroups, now).triggered).toBe(false);
+
+      const rearmed = priceAlertService.evaluateAlert({ ...alert, max_price: '50.00' }, ticketGroups, now);
+      expect(rearmed.triggered).toBe(false);
+      expect(rearmed.updates.last_notified_price).toBeNull();
+    });
+
+    test('should fire inventory alerts when tickets are added after the first check', () => {
+      expect(priceAlertService.evaluateAlert(baseAlert, ticketGroups, now).triggered).toBe(false);
+      expect(priceAlertService.evaluateAlert({ ...baseAlert, last_ticket_count: 5 }, ticketGroups, now).triggered).toBe(true);
+      expect(priceAlertService.evaluateAlert({ ...baseAlert, last_ticket_count: 8 }, ticketGroups, now).triggered).toBe(false);
+    });
+
+    test('should hold alerts back during the cooldown', () => {
+      const alert = { ...baseAlert, last_ticket_count: 5, last_notified_at: '2026-10-19T06:00:00Z' };
+
+      expect(priceAlertService.evaluateAlert(alert, ticketGroups, now)).toMatchObject({ triggered: false, suppressed: true });
+    });
+  });
+
+  describe('createAlert', () => {
+    test('should snapshot the event and store the alert', async () => {
+      ticketEvolutionService.getEvent.mockResolvedValue({ id: 42, name: 'Coldplay', occurs_at: '2099-06-01T20:00:00Z', venue: { name: 'Wembley' } });
+      const query = buildQuery({ data: { id: 'alert-1' }, error: null });
+      supabaseService.adminClient.from.mockReturnValue(query);
+
+      const result = await priceAlertService.createAlert({ id: 'user-1', email: 'fan@example.com' }, { event_id: 42, max_price: 150 });
+
+      expect(result).toEqual({ valid: true, alert: { id: 'alert-1' } });
+      expect(query.insert).toHaveBeenCalledWith({
+        user_id: 'user-1',
+        notify_email: 'fan@example.com',
+        event_name: 'Coldplay',
+        event_date: '2099-06-01T20:00:00Z',
+        venue_name: 'Wembley',
+        event_id: '42',
+        max_price: 150
+      });
+    });
+
+    test('should report duplicates and past events', async () => {
+      ticketEvolutionService.getEvent.mockResolvedValue({ id: 42, name: 'Coldplay', occurs_at: '2099-06-01T20:00:00Z' });
+      supabaseService.adminClient.from.mockReturnValue(buildQuery({ data: null, error: { code: '23505', message: 'duplicate key' } }));
+      expect((await priceAlertService.createAlert({ id: 'user-1' }, { event_id: 42 })).code).toBe('ALERT_EXISTS');
+
+      ticketEvolutionService.getEvent.mockResolvedValue({ id: 42, name: 'Coldplay', occurs_at: '2020-06-01T20:00:00Z' });
+      expect((await priceAlertService.createAlert({ id: 'user-1' }, { event_id: 42 })).code).toBe('EVENT_PAST');
+    });
+  });
+
+  describe('checkAlerts', () => {
+    test('should notify triggered alerts over their channels and record the notification', async () => {
+      const alert = { ...baseAlert, max_price: '90.00' };
+      const fetchQuery = buildQuery({ data: [alert], error: null });
+      const updateQuery = buildQuery({ data: null, error: null });
+      supabaseService.adminClient.from.mockReturnValueOnce(fetchQuery).mockReturnValue(updateQuery);
+      eventDetailService.getAllTicketGroups.mockResolvedValue({ ticketGroups, complete: true });
+      notificationService.createNotification.mockResolvedValue({ id: 'n-1' });
+      emailService.sendPriceAlert.mockResolvedValue({ status: 'sent' });
+
+      const summary = await priceAlertService.checkAlerts();
+
+      expect(summary).toEqual({ checked: 1, triggered: 1, deactivated: 0, failed: 0, skipped: false });
+      expect(eventDetailService.getAllTicketGroups).toHaveBeenCalledWith(42);
+      expect(updateQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+        last_notified_price: 60,
+        notification_count: 1
+      }));
+      expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        type: 'price_alert',
+        title: 'Tickets for Coldplay are now $60.00'
+      }));
+      expect(emailService.sendPriceAlert).toHaveBeenCalledWith(alert, { lowest_price: 60, ticket_count: 6, listing_count: 2 });
+    });
+
+    test('should switch off alerts for past events', async () => {
+      const alert = { ...baseAlert, event_date: '2020-01-01T20:00:00Z' };
+      const updateQuery = buildQuery({ data: null, error: null });
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(buildQuery({ data: [alert], error: null }))
+        .mockReturnValue(updateQuery);
+
+      const summary = await priceAlertService.checkAlerts();
+
+      expect(summary.deactivated).toBe(1);
+      expect(updateQuery.update).toHaveBeenCalledWith(expect.objectContaining({ is_active: false }));
+      expect(eventDetailService.getAllTicketGroups).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,229 @@
+// Mock external services so price history can be tested without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn()
+  }
+}));
+jest.mock('../ticketEvolutionService', () => ({
+  mapDeliveryTypeFromFormat: () => 'Eticket'
+}));
+
+const supabaseService = require('../supabaseService');
+const eventDetailService = require('../eventDetailService');
+const priceHistoryService = require('../priceHistoryService');
+
+describe('PriceHistoryService', () => {
+  const ticketGroups = [
+    { id: 1, section: '101', retail_price: '50.00', available_quantity: 2 },
+    { id: 2, section: 'Section 101', retail_price: '100.00', available_quantity: 4 },
+    { id: 3, section: '101', retail_price: '150.00', available_quantity: 2 },
+    { id: 4, section: 'Floor', retail_price: '300.00', available_quantity: 2 },
+    { id: 5, section: '101', retail_price: '10.00', available_quantity: 0 }
+  ];
+
+  const buildQuery = (result) => {
+    const query = {
+      select: jest.fn(() => query),
+      insert: jest.fn(() => query),
+      in: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      gte: jest.fn(() => query),
+      order: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      then: (resolve) => Promise.resolve(result).then(resolve)
+    };
+    return query;
+  };
+
+  const sectionRow = (section, capturedAt, medianPrice) => ({
+    section,
+    section_name: section,
+    min_price: '40.00',
+    median_price: medianPrice,
+    max_price: '200.00',
+    listings: 3,
+    total_quantity: 8,
+    captured_at: capturedAt
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('summarizeSections', () => {
+    test('should compute price stats per normalized section', () => {
+      expect(priceHistoryService.summarizeSections(ticketGroups)).toEqual([
+        { key: '101', name: '101', min_price: 50, median_price: 100, max_price: 150, listings: 3, total_quantity: 8 },
+        { key: 'floor', name: 'Floor', min_price: 300, median_price: 300, max_price: 300, listings: 1, total_quantity: 2 }
+      ]);
+    });
+  });
+
+  describe('scoreDeal', () => {
+    test('should score against the section median', () => {
+      expect(priceHistoryService.scoreDeal(100, 100)).toBe(50);
+      expect(priceHistoryService.scoreDeal(70, 100)).toBe(80);
+      expect(priceHistoryService.scoreDeal(200, 100)).toBe(0);
+      expect(priceHistoryService.scoreDeal(10, 100)).toBe(100);
+    });
+
+    test('should blend in the listing history', () => {
+      // 20% under the section median scores 70; a third under its own average scores 83.3
+      expect(priceHistoryService.scoreDeal(80, 100, [120, 120])).toBe(Math.round(70 * 0.7 + (50 + (40 / 120) * 100) * 0.3));
+    });
+
+    test('should not score without a price or median', () => {
+      expect(priceHistoryService.scoreDeal(null, 100)).toBeNull();
+      expect(priceHistoryService.scoreDeal(100, null)).toBeNull();
+    });
+
+    test('should rate scores', () => {
+      expect([95, 80, 60, 45, 10, null].map((score) => priceHistoryService.rateDeal(score)))
+        .toEqual(['great', 'great', 'good', 'fair', 'poor', null]);
+    });
+  });
+
+  describe('refreshSnapshot', () => {
+    test('should use the latest snapshot while it is fresh', async () => {
+      const capturedAt = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+      const older = new Date(Date.now() - 90 * 60 * 1000).toISOString();
+      const query = buildQuery({
+        data: [sectionRow('101', capturedAt, '100.00'), sectionRow('floor', capturedAt, '300.00'), sectionRow('101', older, '90.00')],
+        error: null
+      });
+      supabaseService.adminClient.from.mockReturnValue(query);
+      jest.spyOn(eventDetailService, 'getAllTicketGroups');
+
+      const sections = await priceHistoryService.refreshSnapshot(42);
+
+      expect(sections.map((section) => [section.key, section.median_price])).toEqual([['101', 100], ['floor', 300]]);
+      expect(eventDetailService.getAllTicketGroups).not.toHaveBeenCalled();
+      expect(query.insert).not.toHaveBeenCalled();
+    });
+
+    test('should record a snapshot when one is due', async () => {
+      const stale = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+      const latestQuery = buildQuery({ data: [sectionRow('101', stale, '90.00')], error: null });
+      const groupsInsert = buildQuery({ error: null });
+      const sectionsInsert = buildQuery({ error: null });
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(latestQuery)
+        .mockReturnValueOnce(groupsInsert)
+        .mockReturnValueOnce(sectionsInsert);
+      jest.spyOn(eventDetailService, 'getAllTicketGroups').mockResolvedValue({ ticketGroups, complete: true });
+
+      const sections = await priceHistoryService.refreshSnapshot(42);
+
+      expect(eventDetailService.getAllTicketGroups).toHaveBeenCalledWith(42);
+      expect(sections).toHaveLength(2);
+
+      const groupRows = groupsInsert.insert.mock.calls[0][0];
+      expect(groupRows.map((row) => [row.ticket_group_id, row.section, row.price, row.quantity])).toEqual([
+        ['1', '101', 50, 2],
+        ['2', '101', 100, 4],
+        ['3', '101', 150, 2],
+        ['4', 'floor', 300, 2]
+      ]);
+      expect(sectionsInsert.insert.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ event_id: '42', section: '101', median_price: 100, captured_at: groupRows[0].captured_at }),
+        expect.objectContaining({ event_id: '42', section: 'floor', median_price: 300 })
+      ]);
+    });
+  });
+
+  describe('addDealScores', () => {
+    test('should score ticket groups against section medians and history', async () => {
+      const capturedAt = new Date().toISOString();
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(buildQuery({ data: [sectionRow('101', capturedAt, '100.00')], error: null }))
+        .mockReturnValueOnce(buildQuery({ data: [{ ticket_group_id: '1', price: '50.00' }], error: null }));
+
+      const scored = await priceHistoryService.addDealScores(42, ticketGroups.slice(0, 2).concat(ticketGroups[3]));
+
+      expect(scored.map((tg) => [tg.id, tg.deal_score, tg.deal_rating])).toEqual([
+        [1, Math.round(100 * 0.7 + 50 * 0.3), 'great'],
+        [2, 50, 'fair'],
+        [4, null, null]
+      ]);
+    });
+
+    test('should score from the stored snapshot without waiting for a due one', async () => {
+      const stale = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+      const historyQuery = buildQuery({ data: [], error: null });
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(buildQuery({ data: [sectionRow('101', stale, '100.00')], error: null }))
+        .mockReturnValueOnce(historyQuery);
+      jest.spyOn(priceHistoryService, 'takeSnapshot').mockReturnValue(new Promise(() => {}));
+
+      const scored = await priceHistoryService.addDealScores(42, [ticketGroups[1]], ticketGroups);
+
+      expect(priceHistoryService.takeSnapshot).toHaveBeenCalledWith(42, ticketGroups);
+      expect(scored[0].deal_score).toBe(50);
+      // The row limit keeps the newest history
+      expect(historyQuery.order).toHaveBeenCalledWith('captured_at', { ascending: false });
+    });
+
+    test('should return null scores when history is unavailable', async () => {
+      supabaseService.adminClient.from.mockReturnValue(buildQuery({ data: null, error: { message: 'timeout' } }));
+
+      const scored = await priceHistoryService.addDealScores(42, [ticketGroups[0]]);
+
+      expect(scored).toEqual([{ ...ticketGroups[0], deal_score: null, deal_rating: null }]);
+    });
+  });
+
+  describe('parseHistoryQuery', () => {
+    test('should default to 30 days and normalize the section', () => {
+      expect(priceHistoryService.parseHistoryQuery({ section: 'Section 101' }))
+        .toEqual({ options: { days: 30, section: '101' } });
+    });
+
+    test('should report every invalid option', () => {
+      expect(priceHistoryService.parseHistoryQuery({ days: '500', ticket_group_id: 'abc' })).toEqual({
+        error: 'days must be a whole number from 1 to 90; ticket_group_id must be a positive integer'
+      });
+    });
+  });
+
+  describe('getPriceHistory', () => {
+    test('should group section snapshots into oldest-first series', async () => {
+      const query = buildQuery({
+        data: [
+          sectionRow('101', '2026-10-19T12:00:00+00:00', '95.00'),
+          sectionRow('floor', '2026-10-19T11:00:00+00:00', '300.00'),
+          sectionRow('101', '2026-10-19T11:00:00+00:00', '100.00')
+        ],
+        error: null
+      });
+      supabaseService.adminClient.from.mockReturnValue(query);
+
+      const result = await priceHistoryService.getPriceHistory(42, { days: 7 });
+
+      expect(query.eq).toHaveBeenCalledWith('event_id', '42');
+      expect(result.sections.map((series) => [series.section, series.points.map((point) => point.median_price)]))
+        .toEqual([['101', [100, 95]], ['floor', [300]]]);
+    });
+
+    test('should keep the newest ticket group points and return them oldest first', async () => {
+      const query = buildQuery({
+        data: [
+          { captured_at: '2026-10-19T12:00:00+00:00', price: '90.00', quantity: 2 },
+          { captured_at: '2026-10-19T11:00:00+00:00', price: '100.00', quantity: 4 }
+        ],
+        error: null
+      });
+      supabaseService.adminClient.from.mockReturnValue(query);
+
+      const result = await priceHistoryService.getPriceHistory(42, { days: 7, ticketGroupId: '7' });
+
+      expect(query.order).toHaveBeenCalledWith('captured_at', { ascending: false });
+      expect(result.points.map((point) => point.price)).toEqual([100, 90]);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+// Mock supabase so the service can be loaded without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn()
+  }
+}));
+
+const supabaseService = require('../supabaseService');
+const pricingService = require('../pricingService');
+
+describe('PricingService', () => {
+  const ticketGroup = {
+    id: 555,
+    event: {
+      id: 777,
+      category: { id: 12, parent: { id: 1 } }
+    }
+  };
+
+  const baseConfig = pricingService.normalizeConfig([]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pricingService.clearCache();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeConfig', () => {
+    test('should default to no service fee', () => {
+      expect(baseConfig).toEqual({
+        percent: 0,
+        perTicket: 0,
+        perOrder: 0,
+        min: null,
+        max: null,
+        categoryMarkups: {},
+        eventMarkups: {}
+      });
+    });
+
+    test('should read JSONB values from config rows', () => {
+      const config = pricingService.normalizeConfig([
+        { config_key: 'pricing_service_fee_percent', config_value: 10 },
+        { config_key: 'pricing_service_fee_per_ticket', config_value: '"2.5"' },
+        { config_key: 'pricing_service_fee_max', config_value: null },
+        { config_key: 'pricing_event_markups', config_value: { 777: 5 } }
+      ]);
+
+      expect(config).toMatchObject({ percent: 10, perTicket: 2.5, max: null, eventMarkups: { 777: 5 } });
+    });
+  });
+
+  describe('calculateServiceFee', () => {
+    test('should combine percentage, per-ticket and per-order fees', () => {
+      const config = { ...baseConfig, percent: 10, perTicket: 1.5, perOrder: 3 };
+
+      expect(pricingService.calculateServiceFee(config, { ticketGroup, quantity: 2, price: 50 })).toBe(16);
+      expect(pricingService.calculateServiceFee(config, { ticketGroup, quantity: 2, price: 50, includeOrderFee: false })).toBe(13);
+    });
+
+    test('should prefer event markups over category markups', () => {
+      const config = { ...baseConfig, categoryMarkups: { 12: 10 }, eventMarkups: { 777: 4 } };
+
+      expect(pricingService.getMarkupPercent(config, ticketGroup)).toBe(4);
+      expect(pricingService.calculateServiceFee(config, { ticketGroup, quantity: 1, price: 100 })).toBe(4);
+    });
+
+    test('should fall back to parent category markups', () => {
+      const config = { ...baseConfig, categoryMarkups: { 1: 7 } };
+
+      expect(pricingService.getMarkupPercent(config, ticketGroup)).toBe(7);
+    });
+
+    test('should clamp fees to the configured minimum and maximum', () => {
+      const config = { ...baseConfig, percent: 10, min: 5, max: 20 };
+
+      expect(pricingService.calculateServiceFee(config, { ticketGroup, quantity: 1, price: 10 })).toBe(5);
+      expect(pricingService.calculateServiceFee(config, { ticketGroup, quantity: 4, price: 100 })).toBe(20);
+    });
+  });
+
+  describe('getPricingConfig', () => {
+    test('should cache config between calls', async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        in: jest.fn().mockResolvedValue({
+          data: [{ config_key: 'pricing_service_fee_percent', config_value: 8 }],
+          error: null
+        })
+      };
+      supabaseService.adminClient.from.mockReturnValue(query);
+
+      await pricingService.getPricingConfig();
+      const config = await pricingService.getPricingConfig();
+
+      expect(config.percent).toBe(8);
+      expect(supabaseService.adminClient.from).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fall back to defaults when config cannot be loaded', async () => {
+      supabaseService.adminClient.from.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        in: jest.fn().mockResolvedValue({ data: null, error: { message: 'offline' } })
+      });
+
+      const config = await pricingService.getPricingConfig();
+
+      expect(config.percent).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+// Mock supabase so the service can be loaded without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+
+const supabaseService = require('../supabaseService');
+const promoService = require('../promoService');
+
+describe('PromoService', () => {
+  const concertGroup = { id: 1, event: { id: 777, category: { id: 12, parent: { id: 1 } } } };
+  const sportsGroup = { id: 2, event: { id: 888, category: { id: 40 } } };
+
+  const promo = {
+    id: 'promo-1',
+    code: 'SAVE10',
+    discount_type: 'percent',
+    discount_value: '10',
+    is_active: true,
+    starts_at: null,
+    ends_at: null,
+    max_uses: null,
+    max_uses_per_user: null,
+    uses_count: 0,
+    category_ids: [],
+    event_ids: []
+  };
+
+  const mockPromoLookup = (row) => {
+    supabaseService.adminClient.from.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      maybeSingle: jest.fn().mockResolvedValue({ data: row, error: null })
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getAvailabilityError', () => {
+    test('should reject inactive, expired and exhausted codes', () => {
+      const now = new Date('2026-06-01T00:00:00Z');
+
+      expect(promoService.getAvailabilityError({ ...promo, is_active: false }, now).code).toBe('PROMO_INACTIVE');
+      expect(promoService.getAvailabilityError({ ...promo, starts_at: '2026-07-01T00:00:00Z' }, now).code).toBe('PROMO_NOT_STARTED');
+      expect(promoService.getAvailabilityError({ ...promo, ends_at: '2026-05-01T00:00:00Z' }, now).code).toBe('PROMO_EXPIRED');
+      expect(promoService.getAvailabilityError({ ...promo, max_uses: 5, uses_count: 5 }, now).code).toBe('PROMO_USAGE_LIMIT_REACHED');
+      expect(promoService.getAvailabilityError(promo, now)).toBeNull();
+    });
+  });
+
+  describe('isTicketGroupEligible', () => {
+    test('should match event and parent category restrictions', () => {
+      expect(promoService.isTicketGroupEligible({ ...promo, event_ids: ['777'] }, concertGroup)).toBe(true);
+      expect(promoService.isTicketGroupEligible({ ...promo, category_ids: ['1'] }, concertGroup)).toBe(true);
+      expect(promoService.isTicketGroupEligible({ ...promo, category_ids: ['1'] }, sportsGroup)).toBe(false);
+    });
+  });
+
+  describe('calculateDiscount', () => {
+    test('should split a percentage discount across eligible items', () => {
+      const result = promoService.calculateDiscount({ ...promo, category_ids: ['12'] }, [
+        { ticketGroup: concertGroup, quantity: 2, price: 50 },
+        { ticketGroup: sportsGroup, quantity: 1, price: 80 }
+      ]);
+
+      expect(result).toEqual({ discount: 10, itemDiscounts: [10, 0] });
+    });
+
+    test('should cap fixed discounts at the eligible subtotal', () => {
+      const result = promoService.calculateDiscount({ ...promo, discount_type: 'fixed', discount_value: '500' }, [
+        { ticketGroup: concertGroup, quantity: 1, price: 30 },
+        { ticketGroup: sportsGroup, quantity: 1, price: 20 }
+      ]);
+
+      expect(result).toEqual({ discount: 50, itemDiscounts: [30, 20] });
+    });
+
+    test('should keep allocated amounts summing to the discount', () => {
+      const { discount, itemDiscounts } = promoService.calculateDiscount({ ...promo, discount_type: 'fixed', discount_value: '10' }, [
+        { ticketGroup: concertGroup, quantity: 1, price: 33.33 },
+        { ticketGroup: sportsGroup, quantity: 1, price: 33.33 },
+        { ticketGroup: concertGroup, quantity: 1, price: 33.34 }
+      ]);
+
+      expect(itemDiscounts.reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(discount, 2);
+    });
+  });
+
+  describe('validatePromo', () => {
+    test('should report unknown codes', async () => {
+      mockPromoLookup(null);
+
+      const result = await promoService.validatePromo('nope', 'user-1', []);
+
+      expect(result).toMatchObject({ valid: false, code: 'PROMO_NOT_FOUND' });
+    });
+
+    test('should report codes that do not apply to the selection', async () => {
+      mockPromoLookup({ ...promo, event_ids: ['999'] });
+
+      const result = await promoService.validatePromo('save10', 'user-1', [{ ticketGroup: concertGroup, quantity: 1, price: 40 }]);
+
+      expect(result).toMatchObject({ valid: false, code: 'PROMO_NOT_APPLICABLE' });
+    });
+
+    test('should return the discount for a valid code', async () => {
+      mockPromoLookup(promo);
+
+      const result = await promoService.validatePromo('save10', 'user-1', [{ ticketGroup: concertGroup, quantity: 2, price: 40 }]);
+
+      expect(result).toMatchObject({ valid: true, discount: 8, itemDiscounts: [8] });
+    });
+  });
+
+  describe('redeem', () => {
+    test('should map limit errors raised by redeem_promo_code', async () => {
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: null, error: { message: 'PROMO_USER_LIMIT_REACHED' } });
+
+      const result = await promoService.redeem(promo, 'user-1', 8);
+
+      expect(result).toMatchObject({ valid: false, code: 'PROMO_USER_LIMIT_REACHED' });
+    });
+
+    test('should return the redemption on success', async () => {
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: { id: 'redemption-1' }, error: null });
+
+      const result = await promoService.redeem(promo, 'user-1', 8);
+
+      expect(result).toEqual({ valid: true, redemption: { id: 'redemption-1' } });
+      expect(supabaseService.adminClient.rpc).toHaveBeenCalledWith('redeem_promo_code', {
+        promo_code: 'SAVE10',
+        redeeming_user_id: 'user-1',
+        discount: 8
+      });
+    });
+  });
+
+  describe('buildPromoRecord', () => {
+    test('should normalize a new promo code', () => {
+      const { record } = promoService.buildPromoRecord({ code: ' summer-25 ', discount_type: 'fixed', discount_value: '25', event_ids: [777] });
+
+      expect(record).toMatchObject({ code: 'SUMMER-25', discount_type: 'fixed', discount_value: 25, event_ids: ['777'] });
+    });
+
+    test('should reject percentages over 100', () => {
+      const { error } = promoService.buildPromoRecord({ code: 'BIG', discount_type: 'percent', discount_value: 150 });
+
+      expect(error).toBe('Percentage discounts cannot exceed 100');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+// Mock external services so refunds can be tested without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+jest.mock('../ticketEvolutionService', () => ({
+  cancelOrder: jest.fn(),
+  refundOrder: jest.fn()
+}));
+jest.mock('../emailService', () => ({
+  sendOrderAdjustment: jest.fn()
+}));
+
+const supabaseService = require('../supabaseService');
+const ticketEvolutionService = require('../ticketEvolutionService');
+const emailService = require('../emailService');
+const emailTemplates = require('../emailTemplates');
+const refundService = require('../refundService');
+
+describe('RefundService', () => {
+  const order = {
+    id: '0b7c9a52-2f0e-4c1f-9a4b-6a1d2b3c4d5e',
+    order_number: 'R0123',
+    tevo_order_id: '98765',
+    total_amount: 108.48
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    emailService.sendOrderAdjustment.mockResolvedValue({ status: 'sent' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseRequest', () => {
+    test('should require a reason', () => {
+      expect(refundService.parseRequest({ reason: '  ' }).error.code).toBe('INVALID_REASON');
+    });
+
+    test('should treat a missing amount as the full balance', () => {
+      expect(refundService.parseRequest({ reason: ' Event postponed ' })).toEqual({ reason: 'Event postponed', amount: null });
+    });
+
+    test('should only accept positive amounts in cents', () => {
+      expect(refundService.parseRequest({ reason: 'Goodwill', amount: '10.10' }).amount).toBe(10.1);
+      expect(refundService.parseRequest({ reason: 'Goodwill', amount: 0 }).error.code).toBe('INVALID_AMOUNT');
+      expect(refundService.parseRequest({ reason: 'Goodwill', amount: 1.005 }).error.code).toBe('INVALID_AMOUNT');
+    });
+  });
+
+  describe('refundOrder', () => {
+    test('should reserve, refund through TEvo, complete and notify', async () => {
+      const requested = { id: 'adj-1', action: 'refund', amount: '25.00', status: 'requested' };
+      const completed = { ...requested, status: 'completed' };
+      supabaseService.adminClient.rpc
+        .mockResolvedValueOnce({ data: requested, error: null })
+        .mockResolvedValueOnce({ data: completed, error: null });
+      ticketEvolutionService.refundOrder.mockResolvedValue({ id: 5, amount: '25.00' });
+
+      const result = await refundService.refundOrder(order, { reason: 'Obstructed view', amount: 25, userId: 'admin-1' });
+
+      expect(result).toEqual({ valid: true, adjustment: completed, email: { status: 'sent' } });
+      expect(supabaseService.adminClient.rpc).toHaveBeenNthCalledWith(1, 'request_order_adjustment', {
+        order_uuid: order.id,
+        adjustment_action: 'refund',
+        adjustment_amount: 25,
+        adjustment_reason: 'Obstructed view',
+        requesting_user_id: 'admin-1'
+      });
+      expect(ticketEvolutionService.refundOrder).toHaveBeenCalledWith('98765', { amount: 25, reason: 'Obstructed view' });
+      expect(supabaseService.adminClient.rpc).toHaveBeenNthCalledWith(2, 'complete_order_adjustment', {
+        adjustment_id: 'adj-1',
+        response: { id: 5, amount: '25.00' }
+      });
+      expect(emailService.sendOrderAdjustment).toHaveBeenCalledWith(order.id, completed);
+    });
+
+    test('should flag the adjustment for reconciliation when TEvo refunded but completing fails', async () => {
+      const requested = { id: 'adj-1', action: 'refund', amount: '25.00', status: 'requested' };
+      const update = { eq: jest.fn().mockResolvedValue({ error: null }) };
+      const query = { update: jest.fn(() => update) };
+      supabaseService.adminClient.from.mockReturnValue(query);
+      supabaseService.adminClient.rpc
+        .mockResolvedValueOnce({ data: requested, error: null })
+        .mockResolvedValueOnce({ data: null, error: { message: 'connection reset' } });
+      ticketEvolutionService.refundOrder.mockResolvedValue({ id: 5, amount: '25.00' });
+
+      const result = await refundService.refundOrder(order, { reason: 'Obstructed view', amount: 25, userId: 'admin-1' });
+
+      expect(result).toEqual({ valid: true, adjustment: requested, email: null, needs_reconciliation: true });
+      expect(query.update).toHaveBeenCalledWith({
+        tevo_response: { id: 5, amount: '25.00' },
+        error_message: expect.stringContaining('Needs reconciliation')
+      });
+      expect(update.eq).toHaveBeenCalledWith('id', 'adj-1');
+      expect(emailService.sendOrderAdjustment).not.toHaveBeenCalled();
+    });
+
+    test('should report balance errors raised by the database', async () => {
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: null, error: { message: 'REFUND_EXCEEDS_BALANCE' } });
+
+      const result = await refundService.refundOrder(order, { reason: 'Goodwill', amount: 500, userId: 'admin-1' });
+
+      expect(result).toMatchObject({ valid: false, code: 'REFUND_EXCEEDS_BALANCE' });
+      expect(ticketEvolutionService.refundOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelOrder', () => {
+    test('should mark the adjustment failed when TEvo rejects it', async () => {
+      const update = { eq: jest.fn().mockResolvedValue({ error: null }) };
+      const query = { update: jest.fn(() => update) };
+      supabaseService.adminClient.from.mockReturnValue(query);
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: { id: 'adj-2', action: 'cancel', amount: '108.48' }, error: null });
+      ticketEvolutionService.cancelOrder.mockRejectedValue(new Error('Order has already shipped'));
+
+      const result = await refundService.cancelOrder(order, { reason: 'Customer request', userId: 'admin-1' });
+
+      expect(result).toMatchObject({ valid: false, code: 'TEVO_REQUEST_FAILED' });
+      expect(result.message).toContain('Order has already shipped');
+      expect(query.update).toHaveBeenCalledWith({ status: 'failed', error_message: 'Order has already shipped' });
+      expect(supabaseService.adminClient.rpc).toHaveBeenCalledTimes(1);
+      expect(emailService.sendOrderAdjustment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcileAdjustment', () => {
+    const adjustmentId = '6d1f2a3b-4c5d-4e6f-8a9b-0c1d2e3f4a5b';
+
+    const pendingQuery = (data) => {
+      const query = {
+        select: jest.fn(() => query),
+        eq: jest.fn(() => query),
+        maybeSingle: jest.fn().mockResolvedValue({ data, error: null })
+      };
+      return query;
+    };
+
+    test('should complete a stuck adjustment with the stored TEvo response and notify', async () => {
+      const pending = { id: adjustmentId, action: 'refund', amount: '25.00', status: 'requested', tevo_response: { id: 5 } };
+      const completed = { ...pending, status: 'completed' };
+      const query = pendingQuery(pending);
+      supabaseService.adminClient.from.mockReturnValue(query);
+      supabaseService.adminClient.rpc.mockResolvedValue({ data: completed, error: null });
+
+      const result = await refundService.reconcileAdjustment(order, adjustmentId, { status: 'completed' });
+
+      expect(result).toEqual({ valid: true, adjustment: completed, email: { status: 'sent' } });
+      expect(query.eq).toHaveBeenCalledWith('order_id', order.id);
+      expect(query.eq).toHaveBeenCalledWith('status', 'requested');
+      expect(supabaseService.adminClient.rpc).toHaveBeenCalledWith('complete_order_adjustment', {
+        adjustment_id: adjustmentId,
+        response: { id: 5 }
+      });
+    });
+
+    test('should mark a stuck adjustment failed without emailing', async () => {
+      const update = { eq: jest.fn().mockResolvedValue({ error: null }) };
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(pendingQuery({ id: adjustmentId, status: 'requested' }))
+        .mockReturnValueOnce({ update: jest.fn(() => update) });
+
+      const result = await refundService.reconcileAdjustment(order, adjustmentId, { status: 'failed', message: 'Not refunded at TEvo' });
+
+      expect(result.adjustment).toMatchObject({ status: 'failed', error_message: 'Not refunded at TEvo' });
+      expect(emailService.sendOrderAdjustment).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown statuses and adjustments that are not pending', async () => {
+      expect((await refundService.reconcileAdjustment(order, adjustmentId, { status: 'done' })).code).toBe('INVALID_RECONCILE_STATUS');
+
+      supabaseService.adminClient.from.mockReturnValue(pendingQuery(null));
+      expect((await refundService.reconcileAdjustment(order, adjustmentId, { status: 'completed' })).code).toBe('ADJUSTMENT_NOT_FOUND');
+    });
+  });
+
+  describe('emailTemplates.orderAdjustment', () => {
+    test('should describe the refund amount and reason', () => {
+      const { subject, text } = emailTemplates.orderAdjustment(
+        { ...order, refunded_amount: 40, order_items: [] },
+        { action: 'refund', amount: 25, reason: 'Obstructed view' }
+      );
+
+      expect(subject).toBe('A refund of $25.00 has been issued for order R0123');
+      expect(text).toContain('Reason: Obstructed view');
+      expect(text).toContain('Total refunded for this order: $40.00');
+    });
+
+    test('should not promise a refund for an order cancelled before payment', () => {
+      const { subject, text } = emailTemplates.orderAdjustment(
+        { ...order, refunded_amount: 0, order_items: [] },
+        { action: 'cancel', amount: '0.00', reason: 'Payment declined' }
+      );
+
+      expect(subject).toBe('Your TixPort order R0123 has been cancelled');
+      expect(text).toContain('you have not been charged');
+      expect(text).not.toMatch(/refund/i);
+    });
+  });
+});
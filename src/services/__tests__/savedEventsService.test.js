@@ -0,0 +1,133 @@
+// Mock external services so saved events can be tested without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn()
+  }
+}));
+jest.mock('../ticketEvolutionService', () => ({
+  getEvent: jest.fn(),
+  getEventTicketGroupsLightweight: jest.fn()
+}));
+
+const supabaseService = require('../supabaseService');
+const ticketEvolutionService = require('../ticketEvolutionService');
+const savedEventsService = require('../savedEventsService');
+
+describe('SavedEventsService', () => {
+  const event = {
+    id: 777,
+    name: 'Sample Concert',
+    occurs_at: '2099-06-15T20:00:00Z',
+    venue: { name: 'Madison Square Garden', location: 'New York, NY' }
+  };
+  const ticketGroups = [
+    { id: 1, retail_price: '120.00', available_quantity: 4 },
+    { id: 2, retail_price: '45.50', available_quantity: 2 },
+    { id: 3, retail_price: '10.00', available_quantity: 0 }
+  ];
+
+  const buildQuery = (result) => {
+    const query = {
+      select: jest.fn(() => query),
+      upsert: jest.fn(() => query),
+      update: jest.fn(() => query),
+      delete: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      order: jest.fn(() => query),
+      single: jest.fn().mockResolvedValue(result),
+      then: (resolve) => Promise.resolve(result).then(resolve)
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('summarizeTicketGroups', () => {
+    test('should ignore sold out groups', () => {
+      expect(savedEventsService.summarizeTicketGroups(ticketGroups)).toEqual({ lowest_price: 45.5, tickets_available: 6 });
+    });
+
+    test('should report no price when nothing is available', () => {
+      expect(savedEventsService.summarizeTicketGroups([])).toEqual({ lowest_price: null, tickets_available: 0 });
+    });
+  });
+
+  describe('saveEvent', () => {
+    test('should snapshot the event and its prices', async () => {
+      const query = buildQuery({ data: { id: 'saved-1' }, error: null });
+      supabaseService.adminClient.from.mockReturnValue(query);
+      ticketEvolutionService.getEvent.mockResolvedValue(event);
+      ticketEvolutionService.getEventTicketGroupsLightweight.mockResolvedValue({ ticketGroups, total: 3 });
+
+      await savedEventsService.saveEvent('user-1', 777);
+
+      expect(query.upsert).toHaveBeenCalledWith({
+        user_id: 'user-1',
+        event_id: '777',
+        event_name: 'Sample Concert',
+        event_date: '2099-06-15T20:00:00Z',
+        venue_name: 'Madison Square Garden',
+        venue_location: 'New York, NY',
+        lowest_price: 45.5,
+        tickets_available: 6,
+        price_checked_at: expect.any(String)
+      }, { onConflict: 'user_id,event_id' });
+    });
+
+    test('should still save when prices are unavailable', async () => {
+      const query = buildQuery({ data: { id: 'saved-1' }, error: null });
+      supabaseService.adminClient.from.mockReturnValue(query);
+      ticketEvolutionService.getEvent.mockResolvedValue(event);
+      ticketEvolutionService.getEventTicketGroupsLightweight.mockRejectedValue(new Error('timeout'));
+
+      await savedEventsService.saveEvent('user-1', 777);
+
+      expect(query.upsert.mock.calls[0][0]).not.toHaveProperty('lowest_price');
+    });
+  });
+
+  describe('getSavedEvents', () => {
+    test('should refresh upcoming events only and list past events last', async () => {
+      const past = { id: 'a', event_id: '1', event_date: '2001-01-01T00:00:00Z' };
+      const upcoming = { id: 'b', event_id: '777', event_date: '2099-06-15T20:00:00Z' };
+      const refreshed = { ...upcoming, lowest_price: 45.5 };
+      supabaseService.adminClient.from
+        .mockReturnValueOnce(buildQuery({ data: [past, upcoming], error: null }))
+        .mockReturnValueOnce(buildQuery({ data: refreshed, error: null }));
+      ticketEvolutionService.getEventTicketGroupsLightweight.mockResolvedValue({ ticketGroups, total: 3 });
+
+      const result = await savedEventsService.getSavedEvents('user-1', { refresh: true });
+
+      expect(ticketEvolutionService.getEventTicketGroupsLightweight).toHaveBeenCalledTimes(1);
+      expect(ticketEvolutionService.getEventTicketGroupsLightweight).toHaveBeenCalledWith('777');
+      expect(result).toEqual([{ ...refreshed, is_past: false }, { ...past, is_past: true }]);
+    });
+
+    test('should refresh at most four events at a time', async () => {
+      const upcoming = Array.from({ length: 10 }, (_, index) => ({ id: `saved-${index}`, event_id: String(index), event_date: '2099-06-15T20:00:00Z' }));
+      supabaseService.adminClient.from.mockReturnValue(buildQuery({ data: upcoming, error: null }));
+      let inFlight = 0;
+      let maxInFlight = 0;
+      jest.spyOn(savedEventsService, 'refreshSavedEvent').mockImplementation(async (savedEvent) => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setImmediate(resolve));
+        inFlight -= 1;
+        return { ...savedEvent, lowest_price: 20 };
+      });
+
+      const result = await savedEventsService.getSavedEvents('user-1', { refresh: true });
+
+      expect(savedEventsService.refreshSavedEvent).toHaveBeenCalledTimes(10);
+      expect(maxInFlight).toBe(4);
+      expect(result.map((savedEvent) => savedEvent.id)).toEqual(upcoming.map((savedEvent) => savedEvent.id));
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// Mock external services so search can be tested without credentials
+jest.mock('../supabaseService', () => ({
+  adminClient: {
+    from: jest.fn()
+  }
+}));
+jest.mock('../ticketEvolutionService', () => ({
+  search: jest.fn()
+}));
+
+const supabaseService = require('../supabaseService');
+const ticketEvolutionService = require('../ticketEvolutionService');
+const searchService = require('../searchService');
+
+describe('SearchService', () => {
+  const limits = { defaultLimit: 10, maxLimit: 100 };
+  const page = (resource, items, total) => ({
+    [resource]: items,
+    pagination: { current_page: 1, per_page: 10, total_entries: total, total_pages: 1 }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseSearch', () => {
+    test('should normalize the query and apply defaults', () => {
+      expect(searchService.parseSearch({ q: '  taylor   swift ' }, limits)).toEqual({ q: 'taylor swift', type: 'all', page: 1, limit: 10 });
+    });
+
+    test('should reject short queries and unknown types', () => {
+      expect(searchService.parseSearch({ q: 'a' }, limits).error).toBe('q must be between 2 and 100 characters');
+      expect(searchService.parseSearch({ q: 'jazz', type: 'tickets' }, limits).error).toMatch(/type must be one of/);
+    });
+  });
+
+  describe('search', () => {
+    test('should group results by type and total them', async () => {
+      ticketEvolutionService.search.mockImplementation(async (resource) => ({
+        events: page('events', [{ id: 1 }], 12),
+        performers: page('performers', [{ id: 2 }], 1),
+        venues: page('venues', [], 0)
+      })[resource]);
+
+      const { results, total } = await searchService.search({ q: 'jazz', type: 'all', page: 1, limit: 10 });
+
+      expect(total).toBe(13);
+      expect(results.events.items).toEqual([{ id: 1 }]);
+      expect(results.performers.pagination.total_entries).toBe(1);
+      expect(ticketEvolutionService.search).toHaveBeenCalledWith('venues', 'jazz', 1, 10);
+    });
+
+    test('should return the other groups when one search fails', async () => {
+      ticketEvolutionService.search.mockImplementation(async (resource) => {
+        if (resource === 'venues') throw new Error('timeout');
+        return page(resource, [], 3);
+      });
+
+      const { results, total } = await searchService.search({ q: 'jazz', type: 'all', page: 1, limit: 10 });
+
+      expect(total).toBe(6);
+      expect(results.venues).toEqual({ items: [], pagination: null, error: 'Search temporarily unavailable' });
+    });
+
+    test('should only query the requested type', async () => {
+      ticketEvolutionService.search.mockResolvedValue(page('performers', [], 0));
+
+      const { results } = await searchService.search({ q: 'jazz', type: 'performers', page: 2, limit: 5 });
+
+      expect(Object.keys(results)).toEqual(['performers']);
+      expect(ticketEvolutionService.search).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recordSearch', () => {
+    test('should log the search type and result count', async () => {
+      const insert = jest.fn().mockResolvedValue({ error: null });
+      supabaseService.adminClient.from.mockReturnValue({ insert });
+
+      await searchService.recordSearch('user-1', { q: 'jazz', type: 'performers', resultsCount: 4 });
+
+      expect(insert).toHaveBeenCalledWith({ user_id: 'user-1', search_query: 'jazz', search_type: 'artist', results_count: 4 });
+    });
+  });
+
+  describe('getHistory', () => {
+    test('should collapse repeated searches', async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        order: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue({
+          data: [
+            { id: 'a', search_query: 'Jazz', search_type: 'general' },
+            { id: 'b', search_query: 'jazz', search_type: 'general' },
+            { id: 'c', search_query: 'jazz', search_type: 'venue' }
+          ],
+          error: null
+        })
+      };
+      supabaseService.adminClient.from.mockReturnValue(query);
+
+      const history = await searchService.getHistory('user-1', 20);
+
+      expect(history.map((entry) => entry.id)).toEqual(['a', 'c']);
+    });
+  });
+});
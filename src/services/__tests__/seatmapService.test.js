@@ -0,0 +1,60 @@
+jest.mock('../eventDetailService', () => ({
+  getAllTicketGroups: jest.fn()
+}));
+
+jest.mock('../ticketEvolutionService', () => ({
+  mapDeliveryTypeFromFormat: (format) => {
+    const f = (format || '').toLowerCase();
+    if (f.includes('mobile')) return 'TMMobile';
+    if (f.includes('eticket')) return 'Eticket';
+    return 'FedEx';
+  }
+}));
+
+const eventDetailService = require('../eventDetailService');
+const seatmapService = require('../seatmapService');
+
+describe('SeatmapService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('aggregateSections', () => {
+    test('should group ticket groups by normalized section', () => {
+      const sections = seatmapService.aggregateSections([
+        { section: 'Section 101', retail_price: 120, available_quantity: 4, format: 'Eticket' },
+        { section: '101', retail_price: 80, available_quantity: 2, format: 'TM_mobile' },
+        { section: 'Upper 9', tevo_section_name: 'upper 9', retail_price: 40, available_quantity: 6, format: 'Physical' },
+        { section: 'Section 11', retail_price: null, available_quantity: 2, format: 'Eticket' },
+        { section: '101', retail_price: 10, available_quantity: 0, format: 'Physical' },
+        { section: '', retail_price: 10, available_quantity: 2, format: 'Eticket' }
+      ]);
+
+      expect(sections).toEqual([
+        { key: '11', name: 'Section 11', min_price: null, max_price: null, listings: 1, total_quantity: 2, formats: ['eticket'] },
+        { key: '101', name: 'Section 101', min_price: 80, max_price: 120, listings: 2, total_quantity: 6, formats: ['eticket', 'tm_mobile'] },
+        { key: 'upper 9', name: 'upper 9', min_price: 40, max_price: 40, listings: 1, total_quantity: 6, formats: ['physical'] }
+      ]);
+    });
+  });
+
+  describe('getEventSections', () => {
+    test('should aggregate every page of ticket groups', async () => {
+      eventDetailService.getAllTicketGroups.mockResolvedValue({
+        ticketGroups: [{ section: '101', retail_price: 50, available_quantity: 2, format: 'Eticket' }],
+        configurationId: 9,
+        complete: true
+      });
+
+      const result = await seatmapService.getEventSections(42);
+
+      expect(eventDetailService.getAllTicketGroups).toHaveBeenCalledWith(42);
+      expect(result).toEqual({
+        eventId: 42,
+        configurationId: 9,
+        sections: [{ key: '101', name: '101', min_price: 50, max_price: 50, listings: 1, total_quantity: 2, formats: ['eticket'] }],
+        complete: true
+      });
+    });
+  });
+});
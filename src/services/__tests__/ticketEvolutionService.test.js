@@ -0,0 +1,120 @@
+// Pagination and caching helpers; requests go to a mocked client
+process.env.TICKET_EVOLUTION_API_TOKEN = process.env.TICKET_EVOLUTION_API_TOKEN || 'test-token';
+
+jest.mock('../coordinateResolver', () => ({}));
+jest.mock('../tevoSignatureService', () => ({}));
+
+const ticketEvolutionService = require('../ticketEvolutionService');
+const cacheService = require('../cacheService');
+const { MemoryCacheStore } = require('../cacheStores');
+
+describe('TicketEvolutionService pagination', () => {
+  const tickets = Array.from({ length: 250 }, (_, index) => ({ id: index + 1 }));
+  let get;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    get = jest.spyOn(ticketEvolutionService.client, 'get').mockImplementation(async (path, { params }) => {
+      const start = (params.page - 1) * params.per_page;
+      return {
+        data: {
+          tickets: tickets.slice(start, start + params.per_page),
+          current_page: params.page,
+          per_page: params.per_page,
+          total_entries: tickets.length
+        }
+      };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('buildPagination should use the page size TEvo returned', () => {
+    expect(ticketEvolutionService.buildPagination({ current_page: 2, per_page: 100, total_entries: 250 }, 2, 500)).toEqual({
+      current_page: 2,
+      per_page: 100,
+      total_entries: 250,
+      total_pages: 3,
+      has_next: true,
+      has_prev: true
+    });
+  });
+
+  test('should request a single page when the limit fits', async () => {
+    const { items, pagination } = await ticketEvolutionService.fetchPages('/events/1/tickets', 'tickets', {}, 3, 20);
+
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(items[0].id).toBe(41);
+    expect(pagination).toMatchObject({ current_page: 3, per_page: 20, total_pages: 13, has_next: true });
+  });
+
+  test('should merge TEvo pages for limits above 100', async () => {
+    const { items, pagination } = await ticketEvolutionService.fetchPages('/events/1/tickets', 'tickets', {}, 1, 150);
+
+    expect(get).toHaveBeenCalledTimes(2);
+    expect(items.map((ticket) => ticket.id)).toEqual(tickets.slice(0, 150).map((ticket) => ticket.id));
+    expect(pagination).toEqual({
+      current_page: 1,
+      per_page: 150,
+      total_entries: 250,
+      total_pages: 2,
+      has_next: true,
+      has_prev: false
+    });
+  });
+
+  test('should not request pages past the end', async () => {
+    const { items, pagination } = await ticketEvolutionService.fetchPages('/events/1/tickets', 'tickets', {}, 2, 150);
+
+    // Offset 150 starts on TEvo page 2; page 4 does not exist
+    expect(get.mock.calls.map(([, { params }]) => params.page)).toEqual([2, 3]);
+    expect(items.map((ticket) => ticket.id)).toEqual(tickets.slice(150).map((ticket) => ticket.id));
+    expect(pagination.has_next).toBe(false);
+  });
+});
+
+describe('TicketEvolutionService caching', () => {
+  beforeEach(() => {
+    cacheService.useStore(new MemoryCacheStore());
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve repeated category requests from the cache', async () => {
+    const get = jest.spyOn(ticketEvolutionService.client, 'get').mockResolvedValue({
+      data: { categories: [{ id: 1, name: 'Sports' }], current_page: 1, per_page: 100, total_entries: 1 }
+    });
+
+    const first = await ticketEvolutionService.getCategories(1, 100);
+    const second = await ticketEvolutionService.getCategories(1, 100);
+
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(second).toEqual(first);
+    expect(cacheService.getMetrics().namespaces.categories).toMatchObject({ hits: 1, misses: 1, sets: 1 });
+  });
+
+  test('should bypass the cache for live ticket group checks', async () => {
+    const get = jest.spyOn(ticketEvolutionService.client, 'get').mockResolvedValue({ data: { ticket_group: { id: 7 } } });
+
+    await ticketEvolutionService.getTicketGroup(7);
+    await ticketEvolutionService.getTicketGroup(7);
+    await ticketEvolutionService.getTicketGroup(7, { skipCache: true });
+
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  test('clearCache should drop matching entries', async () => {
+    const get = jest.spyOn(ticketEvolutionService.client, 'get').mockResolvedValue({ data: { categories: [] } });
+
+    await ticketEvolutionService.getCategories(1, 100);
+    await ticketEvolutionService.clearCache('categories:');
+    await ticketEvolutionService.getCategories(1, 100);
+
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../ticketEvolutionService', () => ({
+  mapDeliveryTypeFromFormat: (format) => {
+    const f = (format || '').toLowerCase();
+    if (f.includes('mobile')) return 'TMMobile';
+    if (f.includes('eticket')) return 'Eticket';
+    return 'FedEx';
+  }
+}));
+
+const ticketGroupFilterService = require('../ticketGroupFilterService');
+
+const group = (id, overrides = {}) => ({
+  id,
+  section: '101',
+  row: 'A',
+  retail_price: 100,
+  available_quantity: 4,
+  splits: [2, 4],
+  format: 'Eticket',
+  instant_delivery: false,
+  ...overrides
+});
+
+describe('TicketGroupFilterService', () => {
+  describe('parseFilters', () => {
+    test('should parse filters and sort', () => {
+      expect(ticketGroupFilterService.parseFilters({
+        section: '101, Floor',
+        row: 'a',
+        min_price: '50',
+        max_price: '200',
+        format: 'eticket,tm_mobile',
+        instant_delivery: 'true',
+        quantity: '2',
+        sort: 'value'
+      })).toEqual({
+        filters: {
+          section: ['101', 'floor'],
+          row: ['a'],
+          min_price: 50,
+          max_price: 200,
+          format: ['eticket', 'tm_mobile'],
+          instant_delivery: true,
+          quantity: 2
+        },
+        sort: 'value',
+        active: true
+      });
+    });
+
+    test('should be inactive without filters or sort', () => {
+      expect(ticketGroupFilterService.parseFilters({ page: '2', limit: '50' }))
+        .toEqual({ filters: {}, sort: null, active: false });
+    });
+
+    test('should report every invalid filter', () => {
+      const { error } = ticketGroupFilterService.parseFilters({
+        min_price: '300',
+        max_price: '100',
+        format: 'paper',
+        instant_delivery: 'maybe',
+        quantity: '1.5',
+        sort: 'cheapest'
+      });
+
+      expect(error.split('; ')).toEqual([
+        'min_price must not be greater than max_price',
+        'format must be one or more of: eticket, tm_mobile, physical',
+        'instant_delivery must be true or false',
+        'quantity must be a positive integer',
+        'sort must be one of: price, price_desc, value'
+      ]);
+    });
+  });
+
+  describe('apply', () => {
+    test('should filter by section, row, price, format and instant delivery', () => {
+      const ticketGroups = [
+        group(1),
+        group(2, { section: '102' }),
+        group(3, { row: 'B' }),
+        group(4, { retail_price: 250 }),
+        group(5, { format: 'TM_mobile' }),
+        group(6, { instant_delivery: true }),
+        group(7, { retail_price: null })
+      ];
+
+      const filters = ticketGroupFilterService.parseFilters({
+        section: '101',
+        row: 'A',
+        max_price: '200',
+        format: 'eticket'
+      }).filters;
+
+      expect(ticketGroupFilterService.apply(ticketGroups, filters, null).map((tg) => tg.id)).toEqual([1, 6]);
+      expect(ticketGroupFilterService.apply(ticketGroups, { instant_delivery: true }, null).map((tg) => tg.id)).toEqual([6]);
+      expect(ticketGroupFilterService.apply(ticketGroups, { format: ['physical'] }, null)).toEqual([]);
+    });
+
+    test('should only keep groups that can sell exactly the requested quantity', () => {
+      const ticketGroups = [
+        group(1, { splits: [2, 4] }),
+        group(2, { splits: [1, 3] }),
+        group(3, { splits: [], available_quantity: 3 }),
+        group(4, { splits: [], available_quantity: 1 })
+      ];
+
+      expect(ticketGroupFilterService.apply(ticketGroups, { quantity: 3 }, null).map((tg) => tg.id)).toEqual([2, 3]);
+    });
+
+    test('should sort by price with unpriced groups last', () => {
+      const ticketGroups = [group(1, { retail_price: 80 }), group(2, { retail_price: null }), group(3, { retail_price: 40 })];
+
+      expect(ticketGroupFilterService.apply(ticketGroups, {}, 'price').map((tg) => tg.id)).toEqual([3, 1, 2]);
+      expect(ticketGroupFilterService.apply(ticketGroups, {}, 'price_desc').map((tg) => tg.id)).toEqual([1, 3, 2]);
+    });
+
+    test('should sort by value against each section median', () => {
+      const ticketGroups = [
+        group(1, { section: '101', retail_price: 100 }),
+        group(2, { section: '101', retail_price: 50 }),
+        group(3, { section: '101', retail_price: 200 }),
+        group(4, { section: 'Floor', retail_price: 300 }),
+        group(5, { section: 'Floor', retail_price: 300 })
+      ];
+
+      const sorted = ticketGroupFilterService.apply(ticketGroups, { max_price: 300 }, 'value');
+
+      expect(sorted.map((tg) => [tg.id, tg.value_score])).toEqual([
+        [2, 2],
+        [1, 1],
+        [4, 1],
+        [5, 1],
+        [3, 0.5]
+      ]);
+    });
+  });
+});
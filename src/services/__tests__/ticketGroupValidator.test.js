@@ -0,0 +1,86 @@
+const ticketGroupValidator = require('../ticketGroupValidator');
+
+describe('TicketGroupValidator', () => {
+  const ticketGroup = {
+    id: 555,
+    retail_price: '125.50',
+    available_quantity: 6,
+    splits: [6, 2, 4]
+  };
+
+  describe('getSplits', () => {
+    test('should return sorted numeric splits', () => {
+      expect(ticketGroupValidator.getSplits(ticketGroup)).toEqual([2, 4, 6]);
+    });
+
+    test('should return an empty list when splits are missing', () => {
+      expect(ticketGroupValidator.getSplits({ id: 1 })).toEqual([]);
+    });
+  });
+
+  describe('canBuyQuantity', () => {
+    test('should only allow listed splits', () => {
+      expect(ticketGroupValidator.canBuyQuantity(ticketGroup, 4)).toBe(true);
+      expect(ticketGroupValidator.canBuyQuantity(ticketGroup, 3)).toBe(false);
+    });
+
+    test('should allow any available quantity without splits', () => {
+      expect(ticketGroupValidator.canBuyQuantity({ available_quantity: 3 }, 3)).toBe(true);
+      expect(ticketGroupValidator.canBuyQuantity({ available_quantity: 3 }, 5)).toBe(false);
+    });
+  });
+
+  describe('validateSelection', () => {
+    test('should accept a matching selection', () => {
+      expect(ticketGroupValidator.validateSelection(ticketGroup, { quantity: '2', retailUnitPrice: '125.50' })).toBeNull();
+    });
+
+    test('should reject quantities that are not positive whole numbers', () => {
+      ['0', -2, 2.5, 'abc', undefined].forEach((quantity) => {
+        expect(ticketGroupValidator.validateSelection(ticketGroup, { quantity, retailUnitPrice: 125.5 })).toMatchObject({
+          code: 'INVALID_QUANTITY',
+          requestedQuantity: quantity
+        });
+      });
+    });
+
+    test('should report a changed price with the current price', () => {
+      expect(ticketGroupValidator.validateSelection(ticketGroup, { quantity: 2, retailUnitPrice: 110 })).toMatchObject({
+        code: 'PRICE_CHANGED',
+        requestedPrice: 110,
+        currentPrice: 125.5
+      });
+    });
+
+    test('should report an invalid split with the allowed splits', () => {
+      expect(ticketGroupValidator.validateSelection(ticketGroup, { quantity: 3, retailUnitPrice: 125.5 })).toMatchObject({
+        code: 'INVALID_SPLIT',
+        requestedQuantity: 3,
+        allowedSplits: [2, 4, 6]
+      });
+    });
+
+    test('should report when fewer tickets remain than requested', () => {
+      expect(ticketGroupValidator.validateSelection({ ...ticketGroup, available_quantity: 2 }, { quantity: 4, retailUnitPrice: 125.5 })).toMatchObject({
+        code: 'NOT_ENOUGH_TICKETS',
+        requestedQuantity: 4,
+        availableQuantity: 2
+      });
+    });
+
+    test('should exclude quantities held by other customers', () => {
+      expect(ticketGroupValidator.validateSelection(ticketGroup, { quantity: 4, retailUnitPrice: 125.5, heldQuantity: 4 })).toMatchObject({
+        code: 'NOT_ENOUGH_TICKETS',
+        availableQuantity: 2
+      });
+    });
+
+    test('should count the buyer\'s own TEvo hold as available', () => {
+      expect(ticketGroupValidator.validateSelection(ticketGroup, { quantity: 6, retailUnitPrice: 125.5, heldQuantity: 4, ownHeldQuantity: 2 })).toMatchObject({
+        code: 'NOT_ENOUGH_TICKETS',
+        availableQuantity: 4
+      });
+      expect(ticketGroupValidator.validateSelection({ ...ticketGroup, available_quantity: 0 }, { quantity: 2, retailUnitPrice: 125.5, ownHeldQuantity: 2 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const supabaseService = require('./supabaseService');
+const ticketEvolutionService = require('./ticketEvolutionService');
+const cacheService = require('./cacheService');
+
+// The category list changes only on admin sync
+const CATEGORY_CACHE_TTL = 5 * 60 * 1000;
+
+// TEvo results fetched per type before merging
+const PER_TYPE_LIMIT = 5;
+
+// Order of types in the mixed list when matches are equally good
+const TYPE_ORDER = ['performer', 'event', 'venue', 'category'];
+
+/**
+ * Autocomplete Service
+ *
+ * Builds typeahead suggestions from TEvo performer, venue and event search plus
+ * our synced categories. Every suggestion has a type label and slug, and
+ * results are cached per query so the search box can call it on every keystroke.
+ */
+class AutocompleteService {
+  constructor() {
+    this.categories = null;
+    this.categoriesFetchedAt = 0;
+  }
+
+  /**
+   * Build a URL slug from a name (same rules as category slugs)
+   */
+  slugify(name, fallback) {
+    const slug = String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, '')
+      .trim()
+      .replace(/\s+/g, '-');
+    return slug || fallback;
+  }
+
+  /**
+   * Normalize a query for matching and cache keys
+   */
+  normalizeQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Map TEvo search results and categories to suggestions
+   */
+  toSuggestion(type, item) {
+    switch (type) {
+      case 'performer':
+        return {
+          type,
+          id: String(item.id),
+          name: item.name,
+          slug: item.slug || this.slugify(item.name, `performer-${item.id}`),
+          detail: item.category?.name || null
+        };
+      case 'venue':
+        return {
+          type,
+          id: String(item.id),
+          name: item.name,
+          slug: item.slug || this.slugify(item.name, `venue-${item.id}`),
+          detail: item.location || [item.address?.locality, item.address?.region].filter(Boolean).join(', ') || null
+        };
+      case 'event':
+        return {
+          type,
+          id: String(item.id),
+          name: item.name,
+          slug: this.slugify(item.name, `event-${item.id}`),
+          detail: item.venue?.name || null,
+          occurs_at: item.occurs_at || null
+        };
+      default:
+        return {
+          type: 'category',
+          id: String(item.id),
+          name: item.name,
+          slug: item.slug,
+          detail: item.parent_name || null
+        };
+    }
+  }
+
+  /**
+   * Get visible synced categories (cached)
+   * @returns {Promise<Array>} [{ id, name, slug, parent_name }]
+   */
+  async getCategories() {
+    if (this.categories && Date.now() - this.categoriesFetchedAt < CATEGORY_CACHE_TTL) {
+      return this.categories;
+    }
+
+    const [{ data: processed, error }, { data: categoryRow }] = await Promise.all([
+      supabaseService.anonClient.rpc('get_processed_categories'),
+      supabaseService.anonClient
+        .from('categories')
+        .select('hidden_categories')
+        .eq('id', 1)
+        .single()
+    ]);
+
+    if (error) {
+      throw new Error(`Failed to fetch categories: ${error.message}`);
+    }
+
+    const hiddenIds = new Set((categoryRow?.hidden_categories || []).map(String));
+    const names = new Map((processed || []).map((cat) => [String(cat.id), cat.display_name || cat.name]));
+
+    this.categories = (processed || [])
+      .filter((cat) => cat?.id && !hiddenIds.has(String(cat.id)) && !hiddenIds.has(String(cat.parent?.id)))
+      .map((cat) => {
+        const name = cat.display_name || cat.name;
+        return {
+          id: cat.id,
+          name,
+          slug: this.slugify(name, `category-${cat.id}`),
+          parent_name: cat.parent?.id ? names.get(String(cat.parent.id)) || null : null
+        };
+      });
+    this.categoriesFetchedAt = Date.now();
+
+    return this.categories;
+  }
+
+  /**
+   * Categories whose name contains the query (falls back to none on error)
+   */
+  async matchCategories(query) {
+    try {
+      const categories = await this.getCategories();
+      return categories.filter((cat) => this.normalizeQuery(cat.name).includes(query));
+    } catch (error) {
+      console.error('⚠️ Autocomplete categories failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * TEvo search results for one type (null on error)
+   */
+  async searchTevo(resource, query) {
+    try {
+      const result = await ticketEvolutionService.search(resource, query, 1, PER_TYPE_LIMIT);
+      return result[resource] || [];
+    } catch (error) {
+      console.error(`⚠️ Autocomplete ${resource} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Rank suggestions: names starting with the query first, then by type
+   */
+  rank(suggestions, query) {
+    const score = (suggestion) => {
+      const name = this.normalizeQuery(suggestion.name);
+      if (name === query) return 0;
+      if (name.startsWith(query)) return 1;
+      if (name.split(' ').some((word) => word.startsWith(query))) return 2;
+      return 3;
+    };
+
+    return suggestions
+      .map((suggestion, index) => ({ suggestion, index, score: score(suggestion) }))
+      .sort((a, b) => (
+        a.score - b.score
+        || TYPE_ORDER.indexOf(a.suggestion.type) - TYPE_ORDER.indexOf(b.suggestion.type)
+        || a.index - b.index
+      ))
+      .map(({ suggestion }) => suggestion);
+  }
+
+  /**
+   * Get mixed suggestions for a query
+   * @param {string} rawQuery - Text typed so far
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Promise<Object>} { suggestions, cached }
+   */
+  async getSuggestions(rawQuery, limit) {
+    const query = this.normalizeQuery(rawQuery);
+    const key = `autocomplete:${query}`;
+    const cached = await cacheService.get('autocomplete', key);
+
+    if (cached) {
+      return { suggestions: cached.slice(0, limit), cached: true };
+    }
+
+    const [performers, venues, events, categories] = await Promise.all([
+      this.searchTevo('performers', query),
+      this.searchTevo('venues', query),
+      this.searchTevo('events', query),
+      this.matchCategories(query)
+    ]);
+
+    const suggestions = this.rank([
+      ...(performers || []).map((item) => this.toSuggestion('performer', item)),
+      ...(events || []).map((item) => this.toSuggestion('event', item)),
+      ...(venues || []).map((item) => this.toSuggestion('venue', item)),
+      ...categories.map((item) => this.toSuggestion('category', item))
+    ], query);
+
+    // Don't keep partial results around when a TEvo search failed
+    if (performers && venues && events) {
+      await cacheService.set('autocomplete', key, suggestions);
+    }
+
+    return { suggestions: suggestions.slice(0, limit), cached: false };
+  }
+
+  /**
+   * Clear cached suggestions and categories
+   */
+  async clearCache() {
+    await cacheService.clear('autocomplete:');
+    this.categories = null;
+    this.categoriesFetchedAt = 0;
+  }
+}
+
+module.exports = new AutocompleteService();
@@ -0,0 +1,148 @@
+const config = require('../config/config');
+const { createCacheStore } = require('./cacheStores');
+
+/**
+ * Cache Service
+ *
+ * Response cache for TEvo API calls and the event details and suggestions built
+ * from them. Entries belong to a namespace (categories, events, ticket-groups,
+ * event-detail, ...) that sets their TTL and groups the hit/miss metrics. The
+ * store is pluggable (see cacheStores.js); cache errors are counted and treated
+ * as misses so they never fail a request.
+ */
+class CacheService {
+  constructor() {
+    this.store = null;
+    this.metrics = new Map();
+  }
+
+  /**
+   * The configured store, created on first use
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = createCacheStore(config.cache);
+    }
+    return this.store;
+  }
+
+  /**
+   * Replace the store (tests use an in-memory stand-in)
+   * @param {Object} store - Cache store
+   */
+  useStore(store) {
+    this.store = store;
+    this.resetMetrics();
+  }
+
+  /**
+   * Human-readable cache status for startup logs
+   */
+  describe() {
+    return config.cache.enabled ? `Enabled (${config.cache.store})` : 'Disabled';
+  }
+
+  /**
+   * Time to live of a namespace
+   * @param {string} namespace - Cache namespace
+   * @returns {number} TTL in milliseconds
+   */
+  getTtl(namespace) {
+    return (config.cache.ttlSeconds[namespace] ?? config.cache.defaultTtlSeconds) * 1000;
+  }
+
+  /**
+   * Increment one of a namespace's metrics counters
+   */
+  count(namespace, counter) {
+    const metrics = this.metrics.get(namespace) || { hits: 0, misses: 0, sets: 0, errors: 0 };
+    metrics[counter] += 1;
+    this.metrics.set(namespace, metrics);
+  }
+
+  /**
+   * Read a cached value
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, or undefined on a miss
+   */
+  async get(namespace, key) {
+    if (!config.cache.enabled) {
+      return undefined;
+    }
+
+    try {
+      const entry = await this.getStore().get(key);
+      this.count(namespace, entry ? 'hits' : 'misses');
+      return entry ? entry.value : undefined;
+    } catch (error) {
+      console.error(`⚠️ Cache read failed for ${key}:`, error.message);
+      this.count(namespace, 'errors');
+      this.count(namespace, 'misses');
+      return undefined;
+    }
+  }
+
+  /**
+   * Cache a value for its namespace's TTL
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   */
+  async set(namespace, key, value) {
+    if (!config.cache.enabled) {
+      return;
+    }
+
+    try {
+      await this.getStore().set(key, value, this.getTtl(namespace));
+      this.count(namespace, 'sets');
+    } catch (error) {
+      console.error(`⚠️ Cache write failed for ${key}:`, error.message);
+      this.count(namespace, 'errors');
+    }
+  }
+
+  /**
+   * Remove cached values
+   * @param {string|null} [pattern] - Only keys containing this text
+   */
+  async clear(pattern = null) {
+    await this.getStore().clear(pattern);
+  }
+
+  /**
+   * Hit and miss metrics since start (or the last reset)
+   * @returns {Object} Totals and per-namespace counters with hit rates and TTLs
+   */
+  getMetrics() {
+    const hitRate = ({ hits, misses }) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null);
+    const totals = { hits: 0, misses: 0, sets: 0, errors: 0 };
+    const namespaces = {};
+
+    for (const [namespace, metrics] of this.metrics) {
+      namespaces[namespace] = { ...metrics, hit_rate: hitRate(metrics), ttl_seconds: this.getTtl(namespace) / 1000 };
+      for (const counter of Object.keys(totals)) {
+        totals[counter] += metrics[counter];
+      }
+    }
+
+    return {
+      enabled: config.cache.enabled,
+      store: this.store ? this.store.name : config.cache.store,
+      local_entries: this.store ? this.store.size ?? null : 0,
+      ...totals,
+      hit_rate: hitRate(totals),
+      namespaces
+    };
+  }
+
+  /**
+   * Reset hit and miss metrics
+   */
+  resetMetrics() {
+    this.metrics.clear();
+  }
+}
+
+module.exports = new CacheService();
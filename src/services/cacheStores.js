@@ -0,0 +1,212 @@
+/**
+ * Cache stores used by the cache service
+ *
+ * Every store implements the same async interface:
+ *   get(key)               -> { value, expiresAt } or null when missing/expired
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *   clear(pattern)         -> removes keys containing pattern (all keys without one)
+ */
+
+// How often the shared store deletes expired rows
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * In-process LRU store. Also the stand-in for the shared store in tests.
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Map keeps insertion order, so re-inserting marks the key as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear(pattern = null) {
+    if (!pattern) {
+      this.entries.clear();
+      return;
+    }
+
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.includes(pattern)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Shared store in Postgres (api_cache table), so every instance - including
+ * short-lived serverless ones - sees the same cached responses
+ */
+class PostgresCacheStore {
+  constructor({ client } = {}) {
+    this.name = 'postgres';
+    // Loaded lazily so the memory store works without Supabase credentials
+    this.client = client || require('./supabaseService').adminClient;
+    this.lastPrunedAt = Date.now();
+  }
+
+  async get(key) {
+    const { data, error } = await this.client
+      .from('api_cache')
+      .select('value, expires_at')
+      .eq('key', key)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to read cache: ${error.message}`);
+    }
+
+    return data ? { value: data.value, expiresAt: new Date(data.expires_at).getTime() } : null;
+  }
+
+  async set(key, value, ttlMs) {
+    const { error } = await this.client
+      .from('api_cache')
+      .upsert({ key, value, expires_at: new Date(Date.now() + ttlMs).toISOString() }, { onConflict: 'key' });
+
+    if (error) {
+      throw new Error(`Failed to write cache: ${error.message}`);
+    }
+
+    this.pruneExpired();
+  }
+
+  async delete(key) {
+    const { error } = await this.client.from('api_cache').delete().eq('key', key);
+    if (error) {
+      throw new Error(`Failed to delete cache entry: ${error.message}`);
+    }
+  }
+
+  async clear(pattern = null) {
+    const query = this.client.from('api_cache').delete();
+    // Deletes need a filter; escape LIKE wildcards in the pattern
+    const { error } = pattern
+      ? await query.like('key', `%${pattern.replace(/[\\%_]/g, '\\$&')}%`)
+      : await query.neq('key', '');
+
+    if (error) {
+      throw new Error(`Failed to clear cache: ${error.message}`);
+    }
+  }
+
+  // Expired rows are never read; delete them now and then so the table stays small
+  pruneExpired() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL) {
+      return;
+    }
+    this.lastPrunedAt = Date.now();
+
+    Promise.resolve(
+      this.client.from('api_cache').delete().lt('expires_at', new Date().toISOString())
+    ).then(({ error } = {}) => {
+      if (error) {
+        console.error('⚠️ Failed to prune expired cache entries:', error.message);
+      }
+    }).catch((error) => console.error('⚠️ Failed to prune expired cache entries:', error.message));
+  }
+}
+
+/**
+ * A fast local store in front of a shared one. Local entries never outlive the
+ * shared entry they were copied from.
+ */
+class TieredCacheStore {
+  constructor(local, shared) {
+    this.name = `${local.name}+${shared.name}`;
+    this.local = local;
+    this.shared = shared;
+  }
+
+  async get(key) {
+    const local = await this.local.get(key);
+    if (local) {
+      return local;
+    }
+
+    const shared = await this.shared.get(key);
+    if (shared) {
+      await this.local.set(key, shared.value, shared.expiresAt - Date.now());
+    }
+    return shared;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.local.set(key, value, ttlMs);
+    await this.shared.set(key, value, ttlMs);
+  }
+
+  async delete(key) {
+    await this.local.delete(key);
+    await this.shared.delete(key);
+  }
+
+  async clear(pattern = null) {
+    await this.local.clear(pattern);
+    await this.shared.clear(pattern);
+  }
+
+  get size() {
+    return this.local.size;
+  }
+}
+
+/**
+ * Create the store configured in config.cache
+ * @param {Object} options - { store: 'memory' | 'postgres', maxEntries }
+ * @returns {Object} Cache store
+ */
+function createCacheStore({ store = 'memory', maxEntries } = {}) {
+  switch (store) {
+    case 'memory':
+      return new MemoryCacheStore({ maxEntries });
+    case 'postgres':
+      return new TieredCacheStore(new MemoryCacheStore({ maxEntries }), new PostgresCacheStore());
+    default:
+      throw new Error(`Unknown cache store: ${store}. Use memory or postgres.`);
+  }
+}
+
+module.exports = {
+  MemoryCacheStore,
+  PostgresCacheStore,
+  TieredCacheStore,
+  createCacheStore
+};
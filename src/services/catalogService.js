@@ -0,0 +1,177 @@
+const config = require('../config/config');
+const ticketEvolutionService = require('./ticketEvolutionService');
+
+// Query params passed through to TEvo's performer and venue lists
+const LIST_FILTERS = {
+  performers: ['name', 'category_id', 'only_with_upcoming_events'],
+  venues: ['name', 'city_state', 'only_with_upcoming_events']
+};
+
+const BOOLEAN_FILTERS = ['only_with_upcoming_events', 'only_with_available_tickets'];
+
+/**
+ * Catalog Service
+ *
+ * Performer and venue pages: TEvo performer and venue lists, details and the
+ * upcoming events of a performer or venue.
+ */
+class CatalogService {
+  /**
+   * Parse a boolean query param ('true'/'1' or 'false'/'0')
+   * @returns {boolean|undefined} undefined when not set or not a boolean
+   */
+  parseBoolean(value) {
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    return undefined;
+  }
+
+  /**
+   * Parse page and limit query params
+   * @param {Object} query - Request query
+   * @returns {Object} { page, limit }
+   */
+  parsePagination({ page, limit } = {}) {
+    return {
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(config.pagination.maxLimit, Math.max(1, parseInt(limit) || config.pagination.defaultLimit))
+    };
+  }
+
+  /**
+   * Pick the supported list filters for a resource from the request query
+   * @param {string} resource - 'performers' or 'venues'
+   * @param {Object} query - Request query
+   * @returns {Object} TEvo filters
+   */
+  parseListFilters(resource, query = {}) {
+    const filters = {};
+
+    for (const key of LIST_FILTERS[resource]) {
+      const value = BOOLEAN_FILTERS.includes(key) ? this.parseBoolean(query[key]) : query[key];
+      if (value !== undefined && value !== '') {
+        filters[key] = value;
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * Shape a TEvo performer for the API
+   */
+  formatPerformer(performer) {
+    return {
+      id: performer.id,
+      name: performer.name,
+      slug: performer.slug || null,
+      category: performer.category ? { id: performer.category.id, name: performer.category.name } : null,
+      upcoming_events: performer.upcoming_events || null
+    };
+  }
+
+  /**
+   * Shape a TEvo venue for the API, with its address and coordinates
+   */
+  formatVenue(venue) {
+    const address = venue.address || {};
+    const latitude = parseFloat(address.latitude ?? venue.latitude);
+    const longitude = parseFloat(address.longitude ?? venue.longitude);
+
+    return {
+      id: venue.id,
+      name: venue.name,
+      slug: venue.slug || null,
+      location: venue.location || [address.locality, address.region].filter(Boolean).join(', ') || null,
+      address: {
+        street_address: address.street_address || null,
+        extended_address: address.extended_address || null,
+        locality: address.locality || null,
+        region: address.region || null,
+        postal_code: address.postal_code || null,
+        country_code: address.country_code || null
+      },
+      coordinates: Number.isFinite(latitude) && Number.isFinite(longitude)
+        ? { latitude, longitude }
+        : null,
+      upcoming_events: venue.upcoming_events || null
+    };
+  }
+
+  /**
+   * List performers
+   * @param {Object} query - Request query (page, limit and list filters)
+   * @returns {Promise<Object>} { performers, pagination, filters }
+   */
+  async listPerformers(query) {
+    const { page, limit } = this.parsePagination(query);
+    const filters = this.parseListFilters('performers', query);
+
+    const result = await ticketEvolutionService.getPerformers(page, limit, filters);
+
+    return {
+      performers: result.performers.map((performer) => this.formatPerformer(performer)),
+      pagination: result.pagination,
+      filters
+    };
+  }
+
+  /**
+   * List venues
+   * @param {Object} query - Request query (page, limit and list filters)
+   * @returns {Promise<Object>} { venues, pagination, filters }
+   */
+  async listVenues(query) {
+    const { page, limit } = this.parsePagination(query);
+    const filters = this.parseListFilters('venues', query);
+
+    const result = await ticketEvolutionService.getVenues(page, limit, filters);
+
+    return {
+      venues: result.venues.map((venue) => this.formatVenue(venue)),
+      pagination: result.pagination,
+      filters
+    };
+  }
+
+  /**
+   * Get a performer by TEvo ID
+   */
+  async getPerformer(performerId) {
+    return this.formatPerformer(await ticketEvolutionService.getPerformer(performerId));
+  }
+
+  /**
+   * Get a venue by TEvo ID
+   */
+  async getVenue(venueId) {
+    return this.formatVenue(await ticketEvolutionService.getVenue(venueId));
+  }
+
+  /**
+   * Upcoming events of a performer or venue
+   * @param {string} type - 'performer' or 'venue'
+   * @param {number} id - TEvo performer or venue ID
+   * @param {Object} query - Request query (page, limit, only_with_available_tickets)
+   * @param {string} requestId - Request ID for logging
+   * @returns {Promise<Object>} { events, pagination, filters }
+   */
+  async getUpcomingEvents(type, id, query = {}, requestId = 'unknown') {
+    const { page, limit } = this.parsePagination(query);
+    const filters = {
+      [`${type}_id`]: id,
+      // Default to events people can buy tickets for, like the events list
+      only_with_available_tickets: this.parseBoolean(query.only_with_available_tickets) ?? true
+    };
+
+    const result = await ticketEvolutionService.getEvents(filters, page, limit, requestId);
+
+    return {
+      events: result.events,
+      pagination: result.pagination,
+      filters
+    };
+  }
+}
+
+module.exports = new CatalogService();
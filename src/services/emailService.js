@@ -0,0 +1,242 @@
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+const supabaseService = require('./supabaseService');
+const orderService = require('./orderService');
+const emailTemplates = require('./emailTemplates');
+
+/**
+ * Email Service
+ *
+ * Sends customer emails over SMTP (any server, including a local Mailpit or
+ * MailHog stand-in) and records every attempt in email_log. Sending never
+ * throws: a failed email must not fail the order that triggered it.
+ */
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * Whether SMTP is configured
+   * @returns {boolean} True if emails can be sent
+   */
+  isEnabled() {
+    return Boolean(config.email.host);
+  }
+
+  /**
+   * Lazily create the SMTP transporter
+   * @returns {Object} Nodemailer transporter
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: config.email.host,
+        port: config.email.port,
+        secure: config.email.secure,
+        ...(config.email.user && {
+          auth: {
+            user: config.email.user,
+            pass: config.email.pass
+          }
+        })
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send an email and log the outcome
+   * @param {Object} email - Email to send
+   * @param {string} email.type - email_log.email_type
+   * @param {string} email.to - Recipient address
+   * @param {string} email.subject - Subject line
+   * @param {string} email.html - HTML body
+   * @param {string} email.text - Plain-text body
+   * @param {string} [email.userId] - Recipient user ID
+   * @param {string} [email.orderId] - Related order ID
+   * @param {Object} [email.metadata] - Extra details for the log
+   * @returns {Promise<Object>} { status, messageId, error }
+   */
+  async send({ type, to, subject, html, text, userId = null, orderId = null, metadata = {} }) {
+    let result;
+
+    if (!to) {
+      result = { status: 'skipped', messageId: null, error: 'No recipient address' };
+    } else if (!this.isEnabled()) {
+      result = { status: 'skipped', messageId: null, error: 'SMTP is not configured' };
+    } else {
+      try {
+        const info = await this.getTransporter().sendMail({
+          from: config.email.from,
+          to,
+          subject,
+          html,
+          text
+        });
+        result = { status: 'sent', messageId: info.messageId || null, error: null };
+        console.log(`📧 Sent ${type} email to ${to}`);
+      } catch (error) {
+        console.error(`❌ Failed to send ${type} email to ${to}:`, error.message);
+        result = { status: 'failed', messageId: null, error: error.message };
+      }
+    }
+
+    await this.logEmail({ type, to, subject, userId, orderId, metadata, ...result });
+    return result;
+  }
+
+  /**
+   * Record an email attempt in email_log
+   */
+  async logEmail({ type, to, subject, userId, orderId, metadata, status, messageId, error }) {
+    const { error: logError } = await supabaseService.adminClient
+      .from('email_log')
+      .insert({
+        user_id: userId,
+        order_id: orderId,
+        email_type: type,
+        recipient: to || 'unknown',
+        subject,
+        status,
+        message_id: messageId,
+        error_message: error,
+        metadata
+      });
+
+    if (logError) {
+      console.error('❌ Failed to log email:', logError.message);
+    }
+  }
+
+  /**
+   * Send the order confirmation for a stored order
+   * @param {string} orderId - Local order UUID
+   * @param {Object} [options]
+   * @param {Object} [options.metadata] - Extra details for the log (e.g. who resent it)
+   * @returns {Promise<Object|null>} Send result, or null if the order does not exist
+   */
+  async sendOrderConfirmation(orderId, { metadata = {} } = {}) {
+    try {
+      const order = await orderService.getOrderWithItems(orderId);
+      if (!order) {
+        return null;
+      }
+
+      return await this.send({
+        type: 'order_confirmation',
+        to: order.billing_email,
+        userId: order.user_id,
+        orderId: order.id,
+        metadata: { order_number: order.order_number, ...metadata },
+        ...emailTemplates.orderConfirmation(order)
+      });
+    } catch (error) {
+      console.error(`❌ Failed to prepare confirmation for order ${orderId}:`, error.message);
+      return { status: 'failed', messageId: null, error: error.message };
+    }
+  }
+
+  /**
+   * Send a delivery update for a stored order
+   * @param {string} orderId - Local order UUID
+   * @param {string} type - 'etickets_available' or 'tracking_assigned'
+   * @returns {Promise<Object|null>} Send result, or null if the order does not exist
+   */
+  async sendDeliveryUpdate(orderId, type) {
+    try {
+      const order = await orderService.getOrderWithItems(orderId);
+      if (!order) {
+        return null;
+      }
+
+      return await this.send({
+        type,
+        to: order.billing_email,
+        userId: order.user_id,
+        orderId: order.id,
+        metadata: { order_number: order.order_number, tracking_number: order.tracking_number },
+        ...emailTemplates.deliveryUpdate(order, type)
+      });
+    } catch (error) {
+      console.error(`❌ Failed to prepare ${type} email for order ${orderId}:`, error.message);
+      return { status: 'failed', messageId: null, error: error.message };
+    }
+  }
+
+  /**
+   * Tell the customer about a cancellation or refund
+   * @param {string} orderId - Local order UUID
+   * @param {Object} adjustment - Completed order_adjustments row
+   * @returns {Promise<Object|null>} Send result, or null if the order does not exist
+   */
+  async sendOrderAdjustment(orderId, adjustment) {
+    const type = adjustment.action === 'cancel' ? 'order_cancelled' : 'order_refunded';
+
+    try {
+      const order = await orderService.getOrderWithItems(orderId);
+      if (!order) {
+        return null;
+      }
+
+      return await this.send({
+        type,
+        to: order.billing_email,
+        userId: order.user_id,
+        orderId: order.id,
+        metadata: { order_number: order.order_number, adjustment_id: adjustment.id, amount: adjustment.amount },
+        ...emailTemplates.orderAdjustment(order, adjustment)
+      });
+    } catch (error) {
+      console.error(`❌ Failed to prepare ${type} email for order ${orderId}:`, error.message);
+      return { status: 'failed', messageId: null, error: error.message };
+    }
+  }
+
+  /**
+   * Email a triggered price alert to the user who set it
+   * @param {Object} alert - price_alerts row
+   * @param {Object} match - { lowest_price, ticket_count, listing_count }
+   * @returns {Promise<Object>} Send result
+   */
+  async sendPriceAlert(alert, match) {
+    return this.send({
+      type: 'price_alert',
+      to: alert.notify_email,
+      userId: alert.user_id,
+      metadata: { alert_id: alert.id, event_id: alert.event_id, lowest_price: match.lowest_price },
+      ...emailTemplates.priceAlert(alert, match)
+    });
+  }
+
+  /**
+   * Store delivery milestones from a TEvo order and email the customer about new ones
+   * @param {Object} storedOrder - Stored order row
+   * @param {Object} tevoOrder - Order from TEvo /orders/:id
+   * @returns {Promise<Array>} Notification types that were sent
+   */
+  async notifyDeliveryChanges(storedOrder, tevoOrder) {
+    const { fields, notifications } = orderService.getDeliveryUpdates(storedOrder, tevoOrder);
+
+    if (notifications.length === 0) {
+      return [];
+    }
+
+    try {
+      await orderService.updateOrder(storedOrder.id, fields);
+    } catch (error) {
+      // Without the stored milestone the same email would go out again next time
+      console.error(`❌ Failed to store delivery update for order ${storedOrder.id}:`, error.message);
+      return [];
+    }
+
+    for (const type of notifications) {
+      await this.sendDeliveryUpdate(storedOrder.id, type);
+    }
+
+    return notifications;
+  }
+}
+
+module.exports = new EmailService();
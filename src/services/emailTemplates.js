@@ -0,0 +1,311 @@
+const config = require('../config/config');
+
+const DELIVERY_LABELS = {
+  Eticket: 'Electronic delivery (e-tickets)',
+  TMMobile: 'Mobile transfer',
+  FedEx: 'FedEx shipping'
+};
+
+/**
+ * Email Templates
+ *
+ * Renders customer emails for stored orders (orders rows with order_items)
+ * and price alerts. Every template returns { subject, html, text }.
+ */
+class EmailTemplates {
+  /**
+   * Escape a value for HTML output
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Format an amount as dollars
+   */
+  formatMoney(amount) {
+    const value = parseFloat(amount) || 0;
+    return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+  }
+
+  /**
+   * Format an event date for customers
+   */
+  formatDate(date) {
+    if (!date) {
+      return 'Date to be announced';
+    }
+
+    return new Date(date).toLocaleString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: 'UTC',
+      timeZoneName: 'short'
+    });
+  }
+
+  /**
+   * Describe the seats of an order item
+   */
+  describeSeats(item) {
+    const parts = [`${item.quantity || 1} x`];
+    if (item.section) parts.push(`Section ${item.section}`);
+    if (item.row_name) parts.push(`Row ${item.row_name}`);
+    if (item.seat_number) parts.push(`Seat ${item.seat_number}`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Totals shown in every order email
+   */
+  buildTotals(order) {
+    return [
+      ['Tickets', order.subtotal_amount],
+      ['Service fee', order.service_fee_amount],
+      ['Shipping', order.shipping_amount],
+      ['Tax', order.tax_amount],
+      ['Discount', order.discount_amount ? -order.discount_amount : 0],
+      ['Total', order.total_amount]
+    ].filter(([label, amount]) => label === 'Total' || label === 'Tickets' || parseFloat(amount));
+  }
+
+  /**
+   * Wrap email content in the shared layout
+   */
+  renderLayout(title, bodyHtml, { footer = 'Questions about your order? Reply to this email or visit' } = {}) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f4f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;">
+    <tr><td style="padding:24px 32px;background:#111827;color:#ffffff;border-radius:8px 8px 0 0;font-size:20px;font-weight:bold;">TixPort</td></tr>
+    <tr><td style="padding:32px;">
+      <h1 style="margin:0 0 16px;font-size:22px;">${this.escapeHtml(title)}</h1>
+      ${bodyHtml}
+      <p style="margin:32px 0 0;font-size:12px;color:#6b7280;">${this.escapeHtml(footer)} ${this.escapeHtml(config.cors.origin)}.</p>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+  }
+
+  /**
+   * Event and seat summary shared by order emails
+   */
+  renderOrderSummary(order) {
+    const items = (order.order_items || []).map((item) => `
+        <tr>
+          <td style="padding:6px 0;">${this.escapeHtml(this.describeSeats(item))}</td>
+          <td style="padding:6px 0;text-align:right;">${this.formatMoney(item.total_price)}</td>
+        </tr>`).join('');
+
+    const totals = this.buildTotals(order).map(([label, amount]) => `
+        <tr>
+          <td style="padding:4px 0;${label === 'Total' ? 'font-weight:bold;' : ''}">${label}</td>
+          <td style="padding:4px 0;text-align:right;${label === 'Total' ? 'font-weight:bold;' : ''}">${this.formatMoney(amount)}</td>
+        </tr>`).join('');
+
+    return `
+      <p style="margin:0 0 4px;font-size:18px;font-weight:bold;">${this.escapeHtml(order.event_name || 'Your event')}</p>
+      <p style="margin:0 0 4px;">${this.escapeHtml(this.formatDate(order.event_date))}</p>
+      <p style="margin:0 0 16px;">${this.escapeHtml(order.venue_name || '')}</p>
+      <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-top:1px solid #e5e7eb;">${items}
+      </table>
+      <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-top:12px;border-top:1px solid #e5e7eb;">${totals}
+      </table>`;
+  }
+
+  /**
+   * Plain-text event and seat summary
+   */
+  renderOrderSummaryText(order) {
+    const items = (order.order_items || []).map((item) => `  ${this.describeSeats(item)} - ${this.formatMoney(item.total_price)}`);
+    const totals = this.buildTotals(order).map(([label, amount]) => `  ${label}: ${this.formatMoney(amount)}`);
+
+    return [
+      order.event_name || 'Your event',
+      this.formatDate(order.event_date),
+      order.venue_name || '',
+      '',
+      'Tickets:',
+      ...items,
+      '',
+      ...totals
+    ].join('\n');
+  }
+
+  /**
+   * Order confirmation email
+   * @param {Object} order - Stored order with order_items
+   * @returns {Object} { subject, html, text }
+   */
+  orderConfirmation(order) {
+    const deliveryLabel = DELIVERY_LABELS[order.delivery_type] || order.delivery_type || 'To be confirmed';
+    const subject = `Your TixPort order ${order.order_number} is confirmed`;
+
+    const html = this.renderLayout('Thanks for your order!', `
+      <p style="margin:0 0 16px;">Order number: <strong>${this.escapeHtml(order.order_number)}</strong></p>
+      ${this.renderOrderSummary(order)}
+      <p style="margin:24px 0 0;">Delivery: <strong>${this.escapeHtml(deliveryLabel)}</strong></p>
+      <p style="margin:8px 0 0;">We'll email you again as soon as your tickets are on their way.</p>`);
+
+    const text = [
+      'Thanks for your order!',
+      '',
+      `Order number: ${order.order_number}`,
+      '',
+      this.renderOrderSummaryText(order),
+      '',
+      `Delivery: ${deliveryLabel}`,
+      "We'll email you again as soon as your tickets are on their way."
+    ].join('\n');
+
+    return { subject, html, text };
+  }
+
+  /**
+   * Delivery update email
+   * @param {Object} order - Stored order with order_items
+   * @param {string} type - 'etickets_available' or 'tracking_assigned'
+   * @returns {Object} { subject, html, text }
+   */
+  deliveryUpdate(order, type) {
+    const isTracking = type === 'tracking_assigned';
+    const subject = isTracking
+      ? `Your tickets for ${order.event_name || 'your event'} have shipped`
+      : `Your tickets for ${order.event_name || 'your event'} are ready`;
+    const message = isTracking
+      ? `Your tickets are on their way via FedEx. Tracking number: ${order.tracking_number}`
+      : 'Your e-tickets are now available. Sign in to TixPort to view and download them.';
+    const trackingLink = isTracking
+      ? `<p style="margin:8px 0 0;"><a href="https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(order.tracking_number)}">Track your shipment</a></p>`
+      : '';
+
+    const html = this.renderLayout(isTracking ? 'Your tickets have shipped' : 'Your tickets are ready', `
+      <p style="margin:0 0 16px;">${this.escapeHtml(message)}</p>${trackingLink}
+      <p style="margin:16px 0;">Order number: <strong>${this.escapeHtml(order.order_number)}</strong></p>
+      ${this.renderOrderSummary(order)}`);
+
+    const text = [
+      message,
+      '',
+      `Order number: ${order.order_number}`,
+      '',
+      this.renderOrderSummaryText(order)
+    ].join('\n');
+
+    return { subject, html, text };
+  }
+
+  /**
+   * Cancellation or refund email
+   * @param {Object} order - Stored order with order_items (after the adjustment)
+   * @param {Object} adjustment - order_adjustments row
+   * @returns {Object} { subject, html, text }
+   */
+  orderAdjustment(order, adjustment) {
+    const isCancel = adjustment.action === 'cancel';
+    // Orders cancelled before their payment was captured have nothing to refund
+    const isRefunded = parseFloat(adjustment.amount) > 0;
+    const amount = this.formatMoney(adjustment.amount);
+    const subject = isCancel
+      ? `Your TixPort order ${order.order_number} has been cancelled`
+      : `A refund of ${amount} has been issued for order ${order.order_number}`;
+    const message = !isCancel
+      ? `We've issued a refund of ${amount} to your original payment method.`
+      : isRefunded
+        ? `Your order has been cancelled and ${amount} will be refunded to your original payment method.`
+        : 'Your order has been cancelled before payment was taken, so you have not been charged.';
+    const timing = isRefunded ? 'Refunds usually appear on your statement within 5-10 business days.' : '';
+    const refundedTotal = parseFloat(order.refunded_amount) > parseFloat(adjustment.amount)
+      ? `Total refunded for this order: ${this.formatMoney(order.refunded_amount)}`
+      : '';
+
+    const html = this.renderLayout(isCancel ? 'Your order has been cancelled' : 'Your refund is on its way', `
+      <p style="margin:0 0 8px;">${this.escapeHtml(message)}</p>
+      <p style="margin:0 0 8px;">Reason: ${this.escapeHtml(adjustment.reason)}</p>${refundedTotal ? `
+      <p style="margin:0 0 8px;">${this.escapeHtml(refundedTotal)}</p>` : ''}${timing ? `
+      <p style="margin:0 0 16px;color:#6b7280;">${timing}</p>` : ''}
+      <p style="margin:16px 0;">Order number: <strong>${this.escapeHtml(order.order_number)}</strong></p>
+      ${this.renderOrderSummary(order)}`);
+
+    const text = [
+      message,
+      `Reason: ${adjustment.reason}`,
+      ...(refundedTotal ? [refundedTotal] : []),
+      ...(timing ? [timing] : []),
+      '',
+      `Order number: ${order.order_number}`,
+      '',
+      this.renderOrderSummaryText(order)
+    ].join('\n');
+
+    return { subject, html, text };
+  }
+
+  /**
+   * Headline and message for a triggered price alert (shared with in-app notifications)
+   * @param {Object} alert - price_alerts row
+   * @param {Object} match - { lowest_price, ticket_count, listing_count }
+   * @returns {Object} { title, message }
+   */
+  describePriceAlert(alert, match) {
+    const eventName = alert.event_name || 'your event';
+    const where = alert.section ? ` in section ${alert.section}` : '';
+    const price = match.lowest_price !== null ? this.formatMoney(match.lowest_price) : null;
+
+    if (alert.max_price) {
+      return {
+        title: `Tickets for ${eventName} are now ${price}`,
+        message: `Tickets${where} are available from ${price}, within your target of ${this.formatMoney(alert.max_price)}.`
+      };
+    }
+
+    return {
+      title: `New tickets${where} for ${eventName}`,
+      message: `${match.ticket_count} ${match.ticket_count === 1 ? 'ticket is' : 'tickets are'} now available${where}${price ? `, from ${price}` : ''}.`
+    };
+  }
+
+  /**
+   * Price alert email
+   * @param {Object} alert - price_alerts row
+   * @param {Object} match - { lowest_price, ticket_count, listing_count }
+   * @returns {Object} { subject, html, text }
+   */
+  priceAlert(alert, match) {
+    const { title, message } = this.describePriceAlert(alert, match);
+    const footer = 'You are receiving this because you set a price alert. Manage your alerts at';
+    const listings = `${match.listing_count} ${match.listing_count === 1 ? 'listing matches' : 'listings match'} your alert.`;
+
+    const html = this.renderLayout(title, `
+      <p style="margin:0 0 8px;">${this.escapeHtml(message)}</p>
+      <p style="margin:0 0 16px;color:#6b7280;">${this.escapeHtml(listings)} Prices and availability change quickly.</p>
+      <p style="margin:0 0 4px;font-size:18px;font-weight:bold;">${this.escapeHtml(alert.event_name || 'Your event')}</p>
+      <p style="margin:0 0 4px;">${this.escapeHtml(this.formatDate(alert.event_date))}</p>
+      <p style="margin:0 0 16px;">${this.escapeHtml(alert.venue_name || '')}</p>`, { footer });
+
+    const text = [
+      message,
+      `${listings} Prices and availability change quickly.`,
+      '',
+      alert.event_name || 'Your event',
+      this.formatDate(alert.event_date),
+      alert.venue_name || '',
+      '',
+      `${footer} ${config.cors.origin}.`
+    ].join('\n');
+
+    return { subject: title, html, text };
+  }
+}
+
+module.exports = new EmailTemplates();
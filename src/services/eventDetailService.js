@@ -0,0 +1,148 @@
+const ticketEvolutionService = require('./ticketEvolutionService');
+const ticketGroupValidator = require('./ticketGroupValidator');
+const cacheService = require('./cacheService');
+const { getSectionKey } = require('../utils/sectionKey');
+
+// Ticket group pages (100 each) read per event before the summary is cut off
+const MAX_TICKET_GROUP_PAGES = 10;
+
+/**
+ * Event Detail Service
+ *
+ * Enriches the TEvo event with a price summary and listing stats computed from
+ * its available ticket groups, so event pages can show "from $X" without a
+ * second round trip.
+ */
+class EventDetailService {
+  /**
+   * Median of a sorted list of numbers
+   */
+  median(sorted) {
+    if (sorted.length === 0) {
+      return null;
+    }
+    const middle = Math.floor(sorted.length / 2);
+    const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Summarize prices and inventory of an event's ticket groups
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @returns {Object} Price summary and listing stats
+   */
+  summarizeTicketGroups(ticketGroups) {
+    const prices = [];
+    const formats = {};
+    const sections = new Map();
+    let totalTickets = 0;
+
+    for (const ticketGroup of ticketGroups) {
+      const available = ticketGroupValidator.getAvailableQuantity(ticketGroup) || 0;
+      if (available <= 0) {
+        continue;
+      }
+
+      const price = ticketGroupValidator.getRetailPrice(ticketGroup);
+      const format = ticketGroup.format || 'Unknown';
+      // Listings are grouped by seatmap section key, named after the first one seen
+      const sectionKey = getSectionKey(ticketGroup);
+      const sectionName = sectionKey ? String(ticketGroup.tevo_section_name || ticketGroup.section).trim() : 'Unknown';
+
+      totalTickets += available;
+      formats[format] = (formats[format] || 0) + 1;
+      if (price !== null) {
+        prices.push(price);
+      }
+
+      const section = sections.get(sectionKey) || { section: sectionName, listings: 0, tickets: 0, min_price: null };
+      section.listings += 1;
+      section.tickets += available;
+      if (price !== null && (section.min_price === null || price < section.min_price)) {
+        section.min_price = price;
+      }
+      sections.set(sectionKey, section);
+    }
+
+    prices.sort((a, b) => a - b);
+
+    return {
+      min_price: prices.length ? prices[0] : null,
+      median_price: this.median(prices),
+      max_price: prices.length ? prices[prices.length - 1] : null,
+      total_tickets: totalTickets,
+      total_listings: Object.values(formats).reduce((sum, count) => sum + count, 0),
+      listings_by_format: formats,
+      sections: Array.from(sections.values()).sort((a, b) => a.section.localeCompare(b.section, undefined, { numeric: true }))
+    };
+  }
+
+  /**
+   * Fetch an event's available ticket groups across pages
+   * @param {number} eventId - TEvo event ID
+   * @returns {Promise<Object>} { ticketGroups, configurationId, complete }
+   */
+  async getAllTicketGroups(eventId) {
+    const first = await ticketEvolutionService.getEventTicketGroups(eventId, 1, 100);
+    const totalPages = first.pagination?.total_pages || 1;
+    const lastPage = Math.min(totalPages, MAX_TICKET_GROUP_PAGES);
+
+    const rest = await Promise.all(
+      Array.from({ length: Math.max(0, lastPage - 1) }, (_, index) => (
+        ticketEvolutionService.getEventTicketGroups(eventId, index + 2, 100)
+      ))
+    );
+
+    return {
+      ticketGroups: [first, ...rest].flatMap((result) => result.ticketGroups),
+      configurationId: first.configurationId,
+      complete: totalPages <= MAX_TICKET_GROUP_PAGES
+    };
+  }
+
+  /**
+   * Get an event with its price summary (cached in the event-detail namespace)
+   * @param {number} eventId - TEvo event ID
+   * @returns {Promise<Object>} { event, cached }
+   */
+  async getEventDetail(eventId) {
+    const key = `event-detail-${eventId}`;
+    const cached = await cacheService.get('event-detail', key);
+
+    if (cached) {
+      return { event: cached, cached: true };
+    }
+
+    const event = await ticketEvolutionService.getEvent(eventId);
+
+    let priceSummary = null;
+    try {
+      const { ticketGroups, complete } = await this.getAllTicketGroups(eventId);
+      priceSummary = {
+        ...this.summarizeTicketGroups(ticketGroups),
+        complete,
+        computed_at: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`⚠️ Failed to summarize ticket groups for event ${eventId}:`, error.message);
+    }
+
+    const detail = { ...event, price_summary: priceSummary };
+
+    // Only cache complete details so a TEvo hiccup doesn't stick for a minute
+    if (priceSummary) {
+      await cacheService.set('event-detail', key, detail);
+    }
+
+    return { event: detail, cached: false };
+  }
+
+  /**
+   * Clear cached event details
+   */
+  async clearCache() {
+    await cacheService.clear('event-detail-');
+  }
+}
+
+module.exports = new EventDetailService();
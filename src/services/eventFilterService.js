@@ -0,0 +1,189 @@
+const catalogService = require('./catalogService');
+
+// Sort options and the TEvo order_by each one maps to (price is sorted here)
+const SORT_OPTIONS = {
+  date: 'events.occurs_at ASC',
+  date_desc: 'events.occurs_at DESC',
+  popularity: 'events.popularity_score DESC',
+  price: 'events.occurs_at ASC',
+  price_desc: 'events.occurs_at ASC'
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Event Filter Service
+ *
+ * Validates the discovery filters of GET /api/events and maps them to TEvo v9
+ * event parameters; text queries go to TEvo's event search. TEvo has no price
+ * or weekday filter, so those (and price sorting) are applied here to the first
+ * events TEvo returns, and the controller pages through the filtered list.
+ */
+class EventFilterService {
+  /**
+   * Parse an ISO date or datetime; a bare date_to covers the whole day
+   * @returns {string|null} TEvo occurs_at value or null if invalid
+   */
+  parseDate(value, { endOfDay = false } = {}) {
+    if (DATE_ONLY.test(value)) {
+      return Number.isNaN(Date.parse(value)) ? null : `${value}T${endOfDay ? '23:59:59' : '00:00:00'}`;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Validate event filters and map them to TEvo parameters
+   * @param {Object} query - Request query
+   * @returns {Object} { filters, localFilters, sort, local } or { error } (local: filtered and paged here)
+   */
+  parseFilters(query = {}) {
+    const errors = [];
+    const filters = {};
+    const localFilters = {};
+
+    if (query.date_from) {
+      filters['occurs_at.gte'] = this.parseDate(query.date_from);
+      if (!filters['occurs_at.gte']) errors.push('date_from must be an ISO date');
+    }
+
+    if (query.date_to) {
+      filters['occurs_at.lte'] = this.parseDate(query.date_to, { endOfDay: true });
+      if (!filters['occurs_at.lte']) errors.push('date_to must be an ISO date');
+    }
+
+    if (filters['occurs_at.gte'] && filters['occurs_at.lte'] && filters['occurs_at.gte'] > filters['occurs_at.lte']) {
+      errors.push('date_from must be before date_to');
+    }
+
+    for (const key of ['performer_id', 'venue_id']) {
+      if (query[key] !== undefined) {
+        const id = Number(query[key]);
+        if (!Number.isInteger(id) || id <= 0) {
+          errors.push(`${key} must be a positive integer`);
+        } else {
+          filters[key] = id;
+        }
+      }
+    }
+
+    for (const key of ['min_price', 'max_price']) {
+      if (query[key] !== undefined) {
+        const price = Number(query[key]);
+        if (query[key] === '' || !Number.isFinite(price) || price < 0) {
+          errors.push(`${key} must be a non-negative number`);
+        } else {
+          localFilters[key] = price;
+        }
+      }
+    }
+
+    if (localFilters.min_price !== undefined && localFilters.max_price !== undefined
+      && localFilters.min_price > localFilters.max_price) {
+      errors.push('min_price must not be greater than max_price');
+    }
+
+    if (query.weekends_only !== undefined) {
+      const weekendsOnly = catalogService.parseBoolean(query.weekends_only);
+      if (weekendsOnly === undefined) {
+        errors.push('weekends_only must be true or false');
+      } else if (weekendsOnly) {
+        localFilters.weekends_only = true;
+      }
+    }
+
+    // Default to events people can buy tickets for
+    const onlyAvailable = query.only_with_available_tickets === undefined
+      ? true
+      : catalogService.parseBoolean(query.only_with_available_tickets);
+    if (onlyAvailable === undefined) {
+      errors.push('only_with_available_tickets must be true or false');
+    } else {
+      filters.only_with_available_tickets = onlyAvailable;
+    }
+
+    if (query.q !== undefined) {
+      const text = String(query.q).trim().replace(/\s+/g, ' ');
+      if (text.length < 2 || text.length > 100) {
+        errors.push('q must be between 2 and 100 characters');
+      } else {
+        filters.q = text;
+      }
+    }
+
+    const sort = query.sort || 'date';
+    if (!SORT_OPTIONS[sort]) {
+      errors.push(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return { error: errors.join('; ') };
+    }
+
+    filters.order_by = SORT_OPTIONS[sort];
+
+    // TEvo only includes min/max ticket prices when asked
+    if (localFilters.min_price !== undefined || localFilters.max_price !== undefined || sort.startsWith('price')) {
+      filters.min_and_max_price = true;
+    }
+
+    return {
+      filters,
+      localFilters,
+      sort,
+      local: Object.keys(localFilters).length > 0 || sort.startsWith('price')
+    };
+  }
+
+  /**
+   * Whether an event falls on a Saturday or Sunday (by its local date)
+   */
+  isWeekend(event) {
+    // TEvo occurs_at is the venue's local time, so read the date as written
+    const day = new Date(String(event.occurs_at).slice(0, 10)).getUTCDay();
+    return day === 0 || day === 6;
+  }
+
+  /**
+   * Apply the filters and sort TEvo can't handle to a list of events
+   * @param {Array} events - TEvo events
+   * @param {Object} localFilters - From parseFilters
+   * @param {string} sort - From parseFilters
+   * @returns {Array} Filtered events
+   */
+  applyLocalFilters(events, localFilters, sort) {
+    const { min_price: minPrice, max_price: maxPrice, weekends_only: weekendsOnly } = localFilters;
+
+    const filtered = events.filter((event) => {
+      const price = event.min_ticket_price ?? null;
+
+      if (minPrice !== undefined && (price === null || Number(event.max_ticket_price ?? price) < minPrice)) {
+        return false;
+      }
+      if (maxPrice !== undefined && (price === null || Number(price) > maxPrice)) {
+        return false;
+      }
+      if (weekendsOnly && !(event.occurs_at && this.isWeekend(event))) {
+        return false;
+      }
+      return true;
+    });
+
+    if (sort === 'price' || sort === 'price_desc') {
+      const direction = sort === 'price' ? 1 : -1;
+      // Events without a price go last either way
+      filtered.sort((a, b) => {
+        const priceA = a.min_ticket_price ?? null;
+        const priceB = b.min_ticket_price ?? null;
+        if (priceA === null || priceB === null) {
+          return (priceA === null) - (priceB === null);
+        }
+        return direction * (Number(priceA) - Number(priceB));
+      });
+    }
+
+    return filtered;
+  }
+}
+
+module.exports = new EventFilterService();
@@ -0,0 +1,310 @@
+const config = require('../config/config');
+const supabaseService = require('./supabaseService');
+const ticketEvolutionService = require('./ticketEvolutionService');
+const { isUuid } = require('../utils/uuid');
+
+// Customer-facing messages for hold error codes
+const HOLD_ERRORS = {
+  HOLD_NOT_FOUND: 'Ticket hold not found',
+  HOLD_EXPIRED: 'Your ticket hold has expired. Please select tickets again.',
+  HOLD_MISMATCH: 'Ticket hold does not match the selected tickets',
+  NOT_ENOUGH_TICKETS: 'Ticket availability has changed. Please select tickets again.'
+};
+
+/**
+ * Hold Service
+ *
+ * Reserves ticket group quantities while a customer completes checkout.
+ * Holds are placed at TEvo where supported and always recorded in the
+ * ticket_holds ledger; when TEvo refuses a hold, the ledger alone keeps
+ * other customers from buying the reserved quantity.
+ */
+class HoldService {
+  /**
+   * Build a structured hold error
+   * @param {string} code - Hold error code
+   * @returns {Object} { valid: false, code, message }
+   */
+  buildError(code) {
+    return { valid: false, code, message: HOLD_ERRORS[code] || 'Invalid ticket hold' };
+  }
+
+  /**
+   * Hold duration in minutes
+   * @returns {number} Configured hold minutes
+   */
+  getHoldMinutes() {
+    return config.checkout.holdMinutes;
+  }
+
+  /**
+   * Quantity of a ticket group held in the local ledger
+   * TEvo holds are excluded because TEvo already removes them from availability.
+   * @param {string} ticketGroupId - TEvo ticket group ID
+   * @param {Object} [options] - { excludeHoldId } to ignore the caller's own hold
+   * @returns {Promise<number>} Held quantity
+   */
+  async getHeldQuantity(ticketGroupId, { excludeHoldId = null } = {}) {
+    const { data, error } = await supabaseService.adminClient
+      .from('ticket_holds')
+      .select('id, quantity')
+      .eq('ticket_group_id', String(ticketGroupId))
+      .eq('source', 'local')
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      // Holds are best effort; TEvo still rejects orders it cannot fill
+      console.error('❌ Failed to load ticket holds:', error.message);
+      return 0;
+    }
+
+    return (data || [])
+      .filter((hold) => hold.id !== excludeHoldId)
+      .reduce((sum, hold) => sum + hold.quantity, 0);
+  }
+
+  /**
+   * Quantity of a user's own active TEvo hold on a ticket group
+   * @param {string} holdId - Hold ID sent with the checkout
+   * @param {string} userId - User ID
+   * @param {string} ticketGroupId - TEvo ticket group ID
+   * @returns {Promise<number>} Held quantity, or 0 when the hold is not an active TEvo hold
+   */
+  async getOwnTevoHeldQuantity(holdId, userId, ticketGroupId) {
+    if (!isUuid(holdId) || !userId) {
+      return 0;
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('ticket_holds')
+      .select('quantity')
+      .eq('id', holdId)
+      .eq('user_id', userId)
+      .eq('ticket_group_id', String(ticketGroupId))
+      .eq('source', 'tevo')
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Failed to load ticket hold:', error.message);
+      return 0;
+    }
+
+    return data?.quantity || 0;
+  }
+
+  /**
+   * Holds that change what a buyer can order from a ticket group: other
+   * customers' local holds are not for sale, and the buyer's own TEvo hold
+   * (already taken out of TEvo's available_quantity) is
+   * @param {string} ticketGroupId - TEvo ticket group ID
+   * @param {Object} [options] - { holdId, userId } of the buyer's hold
+   * @returns {Promise<Object>} { heldQuantity, ownHeldQuantity } for validateSelection
+   */
+  async getSelectionHolds(ticketGroupId, { holdId = null, userId = null } = {}) {
+    const [heldQuantity, ownHeldQuantity] = await Promise.all([
+      this.getHeldQuantity(ticketGroupId, { excludeHoldId: holdId }),
+      this.getOwnTevoHeldQuantity(holdId, userId, ticketGroupId)
+    ]);
+
+    return { heldQuantity, ownHeldQuantity };
+  }
+
+  /**
+   * Reserve a ticket group quantity for a user
+   * @param {Object} input - Hold input
+   * @param {string} input.userId - User ID
+   * @param {Object} input.ticketGroup - Freshly fetched TEvo ticket group
+   * @param {number} input.quantity - Quantity to hold
+   * @param {number} input.price - Retail price per ticket
+   * @returns {Promise<Object>} { valid: true, hold } or a structured error
+   */
+  async createHold({ userId, ticketGroup, quantity, price }) {
+    const expiresAt = new Date(Date.now() + this.getHoldMinutes() * 60 * 1000);
+    let tevoHold = null;
+
+    if (config.checkout.useTevoHolds) {
+      try {
+        tevoHold = await ticketEvolutionService.createTicketHold({
+          ticket_group_id: ticketGroup.id,
+          quantity,
+          expire_at: expiresAt.toISOString(),
+          notes: `TixPort checkout hold for user ${userId}`
+        });
+      } catch (holdError) {
+        console.warn('⚠️ TEvo hold failed, using local hold ledger:', holdError.message);
+      }
+    }
+
+    const { data, error } = await supabaseService.adminClient.rpc('create_ticket_hold', {
+      hold_data: {
+        user_id: userId,
+        ticket_group_id: String(ticketGroup.id),
+        event_id: ticketGroup.event?.id || ticketGroup.event_id || null,
+        quantity,
+        retail_price: price,
+        available_quantity: ticketGroup.available_quantity ?? ticketGroup.quantity ?? 0,
+        source: tevoHold?.id ? 'tevo' : 'local',
+        tevo_hold_id: tevoHold?.id ? String(tevoHold.id) : null,
+        expires_at: expiresAt.toISOString()
+      }
+    });
+
+    if (error) {
+      if (tevoHold?.id) {
+        await this.releaseTevoHold(tevoHold.id);
+      }
+      if (error.message?.includes('NOT_ENOUGH_TICKETS')) {
+        return this.buildError('NOT_ENOUGH_TICKETS');
+      }
+      throw new Error(`Failed to create ticket hold: ${error.message}`);
+    }
+
+    // A replaced TEvo hold would keep blocking the group at TEvo until it expires
+    const { replaced_tevo_hold_ids: replacedTevoHoldIds = [], ...hold } = data;
+    for (const replacedTevoHoldId of replacedTevoHoldIds || []) {
+      await this.releaseTevoHold(replacedTevoHoldId);
+    }
+
+    console.log(`✅ Ticket hold ${hold.id} created (${hold.source}, ${quantity} x ${ticketGroup.id})`);
+    return { valid: true, hold };
+  }
+
+  /**
+   * Consume a user's active hold for checkout
+   * The conditional update makes sure a hold is only consumed once. TEvo holds
+   * are released here so the held tickets can be ordered.
+   * @param {string} holdId - Hold ID
+   * @param {string} userId - User ID
+   * @param {Object} selection - { ticketGroupId, quantity } being ordered
+   * @returns {Promise<Object>} { valid: true, hold } or a structured error
+   */
+  async consumeHold(holdId, userId, { ticketGroupId, quantity }) {
+    if (!isUuid(holdId)) {
+      return this.buildError('HOLD_NOT_FOUND');
+    }
+
+    const { data: hold, error: fetchError } = await supabaseService.adminClient
+      .from('ticket_holds')
+      .select('*')
+      .eq('id', holdId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch ticket hold: ${fetchError.message}`);
+    }
+
+    if (!hold) {
+      return this.buildError('HOLD_NOT_FOUND');
+    }
+
+    if (hold.ticket_group_id !== String(ticketGroupId) || hold.quantity !== parseInt(quantity)) {
+      return this.buildError('HOLD_MISMATCH');
+    }
+
+    const { data: consumed, error } = await supabaseService.adminClient
+      .from('ticket_holds')
+      .update({ status: 'consumed', consumed_at: new Date().toISOString() })
+      .eq('id', holdId)
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to consume ticket hold: ${error.message}`);
+    }
+
+    if (!consumed) {
+      return this.buildError('HOLD_EXPIRED');
+    }
+
+    if (consumed.tevo_hold_id) {
+      await this.releaseTevoHold(consumed.tevo_hold_id);
+    }
+
+    return { valid: true, hold: consumed };
+  }
+
+  /**
+   * Give a consumed hold back after its order failed
+   * Local holds become active again; TEvo holds were already released at TEvo.
+   * @param {Object} hold - Consumed hold
+   */
+  async restoreHold(hold) {
+    const { error } = await supabaseService.adminClient
+      .from('ticket_holds')
+      .update(hold.source === 'local'
+        ? { status: 'active', consumed_at: null }
+        : { status: 'released' })
+      .eq('id', hold.id);
+
+    if (error) {
+      console.error(`❌ Failed to restore ticket hold ${hold.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Link a consumed hold to the order that used it
+   * @param {string} holdId - Hold ID
+   * @param {number|string} tevoOrderId - TEvo order ID
+   */
+  async recordHoldOrder(holdId, tevoOrderId) {
+    const { error } = await supabaseService.adminClient
+      .from('ticket_holds')
+      .update({ tevo_order_id: String(tevoOrderId) })
+      .eq('id', holdId);
+
+    if (error) {
+      console.error(`❌ Failed to link ticket hold ${holdId}:`, error.message);
+    }
+  }
+
+  /**
+   * Release a user's active hold
+   * @param {string} holdId - Hold ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Released hold or null if none was active
+   */
+  async releaseHold(holdId, userId) {
+    if (!isUuid(holdId)) {
+      return null;
+    }
+
+    const { data: hold, error } = await supabaseService.adminClient
+      .from('ticket_holds')
+      .update({ status: 'released' })
+      .eq('id', holdId)
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to release ticket hold: ${error.message}`);
+    }
+
+    if (hold?.tevo_hold_id) {
+      await this.releaseTevoHold(hold.tevo_hold_id);
+    }
+
+    return hold;
+  }
+
+  /**
+   * Release a TEvo hold without failing the caller
+   * @param {string} tevoHoldId - TEvo ticket hold ID
+   */
+  async releaseTevoHold(tevoHoldId) {
+    try {
+      await ticketEvolutionService.releaseTicketHold(tevoHoldId);
+    } catch (error) {
+      console.warn(`⚠️ Failed to release TEvo hold ${tevoHoldId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new HoldService();
@@ -0,0 +1,97 @@
+const supabaseService = require('./supabaseService');
+const { isUuid } = require('../utils/uuid');
+
+/**
+ * Notification Service
+ *
+ * Stores in-app notifications (notifications table) and lets users list them
+ * and mark them as read.
+ */
+class NotificationService {
+  /**
+   * Create an in-app notification
+   * @param {Object} notification - { userId, type, title, body, data }
+   * @returns {Promise<Object>} Stored notifications row
+   */
+  async createNotification({ userId, type, title, body, data = {} }) {
+    const { data: notification, error } = await supabaseService.adminClient
+      .from('notifications')
+      .insert({ user_id: userId, type, title, body, data })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating notification:', error);
+      throw new Error(`Failed to create notification: ${error.message}`);
+    }
+
+    return notification;
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - Supabase user ID
+   * @param {Object} [options]
+   * @param {boolean} [options.unreadOnly] - Only unread notifications
+   * @param {number} [options.limit] - Maximum number of notifications
+   * @returns {Promise<Object>} { notifications, unread }
+   */
+  async getNotifications(userId, { unreadOnly = false, limit = 20 } = {}) {
+    let query = supabaseService.adminClient
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const [{ data, error }, { count, error: countError }] = await Promise.all([
+      query,
+      supabaseService.adminClient
+        .from('notifications')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('read_at', null)
+    ]);
+
+    if (error || countError) {
+      const message = (error || countError).message;
+      console.error('Error fetching notifications:', error || countError);
+      throw new Error(`Failed to fetch notifications: ${message}`);
+    }
+
+    return { notifications: data || [], unread: count || 0 };
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} userId - Supabase user ID
+   * @param {string} notificationId - Notification UUID
+   * @returns {Promise<Object|null>} Updated row, or null if not found
+   */
+  async markRead(userId, notificationId) {
+    if (!isUuid(notificationId)) {
+      return null;
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error marking notification as read:', error);
+      throw new Error(`Failed to update notification: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = new NotificationService();
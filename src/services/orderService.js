@@ -0,0 +1,650 @@
+const supabaseService = require('./supabaseService');
+const { isUuid } = require('../utils/uuid');
+
+// Values accepted by the admin order console status filters
+const ADMIN_FILTER_VALUES = {
+  status: ['pending', 'confirmed', 'completed', 'cancelled'],
+  payment_status: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded']
+};
+
+// CSV export reads orders in pages and stops at EXPORT_MAX_ROWS
+const EXPORT_PAGE_SIZE = 1000;
+const EXPORT_MAX_ROWS = 10000;
+
+/**
+ * Order Service
+ *
+ * Persists TEvo v9 orders into the local orders/order_items tables so we keep
+ * our own record of every purchase, independent of the TEvo back office.
+ */
+class OrderService {
+  /**
+   * Map a TEvo order state onto our order and payment status values
+   * @param {string} tevoState - TEvo order state (pending, accepted, rejected, completed, cancelled)
+   * @returns {Object} { status, payment_status }
+   */
+  mapTevoState(tevoState) {
+    switch ((tevoState || '').toLowerCase()) {
+      case 'accepted':
+        return { status: 'confirmed', payment_status: 'paid' };
+      case 'completed':
+        return { status: 'completed', payment_status: 'paid' };
+      case 'rejected':
+        return { status: 'cancelled', payment_status: 'failed' };
+      case 'cancelled':
+        return { status: 'cancelled', payment_status: 'refunded' };
+      default:
+        return { status: 'pending', payment_status: 'pending' };
+    }
+  }
+
+  /**
+   * Round a currency amount to cents
+   * @param {number} amount - Amount to round
+   * @returns {number} Rounded amount
+   */
+  roundAmount(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+
+  /**
+   * Build the order row and item rows for a placed TEvo order
+   * @param {Object} input - Checkout data
+   * @param {string} input.userId - Supabase user ID
+   * @param {Object} input.tevoOrder - Order returned by createOrderV9
+   * @param {string|number} input.tevoClientId - TEvo client ID
+   * @param {string} input.deliveryType - Eticket, TMMobile or FedEx
+   * @param {string} [input.sessionId] - Checkout session ID
+   * @param {Array} input.items - [{ ticketGroup, quantity, price }]
+   * @param {Object} input.totals - { service_fee, shipping, discount, tax }
+   * @param {Object} input.billing - { name, email, phone, address }
+   * @returns {Object} { order, items } ready for create_order_with_items
+   */
+  buildOrderRecord({ userId, tevoOrder, tevoClientId, deliveryType, sessionId, items, totals = {}, billing = {} }) {
+    const firstGroup = items[0]?.ticketGroup || {};
+    const event = firstGroup.event || {};
+    const address = billing.address || {};
+    const { status, payment_status } = this.mapTevoState(tevoOrder.state);
+
+    const subtotal = this.roundAmount(
+      items.reduce((sum, item) => sum + (parseFloat(item.price) * parseInt(item.quantity)), 0)
+    );
+    const serviceFee = this.roundAmount(totals.service_fee);
+    const shipping = this.roundAmount(totals.shipping);
+    const tax = this.roundAmount(totals.tax);
+    const discount = this.roundAmount(totals.discount);
+    const [firstName, ...lastNameParts] = (billing.name || '').trim().split(/\s+/);
+
+    const order = {
+      user_id: userId,
+      order_number: tevoOrder.oid || `TEVO-${tevoOrder.id}`,
+      status,
+      total_amount: this.roundAmount(subtotal + serviceFee + shipping + tax - discount),
+      currency: 'USD',
+      event_id: String(event.id || firstGroup.event_id || ''),
+      event_name: event.name || 'Unknown Event',
+      event_date: event.occurs_at || null,
+      venue_name: event.venue?.name || null,
+      billing_first_name: firstName || null,
+      billing_last_name: lastNameParts.join(' ') || null,
+      billing_email: billing.email || null,
+      billing_phone: billing.phone || null,
+      billing_address: [address.line1, address.line2].filter(Boolean).join(', ') || null,
+      billing_city: address.city || null,
+      billing_state: address.state || null,
+      billing_zip: address.postal_code || null,
+      billing_country: address.country_code || 'US',
+      payment_method: 'braintree',
+      payment_status,
+      transaction_id: tevoOrder.payments?.[0]?.transaction_id || null,
+      tevo_order_id: String(tevoOrder.id),
+      tevo_client_id: tevoClientId ? String(tevoClientId) : null,
+      tevo_state: tevoOrder.state || null,
+      delivery_type: deliveryType,
+      session_id: sessionId || null,
+      subtotal_amount: subtotal,
+      service_fee_amount: serviceFee,
+      shipping_amount: shipping,
+      tax_amount: tax,
+      discount_amount: discount
+    };
+
+    const itemRows = items.map(({ ticketGroup, quantity, price }) => ({
+      ticket_id: String(ticketGroup.id),
+      event_id: String(ticketGroup.event?.id || ticketGroup.event_id || order.event_id),
+      section: ticketGroup.section || null,
+      row_name: ticketGroup.row || null,
+      seat_number: Array.isArray(ticketGroup.seats) ? ticketGroup.seats.join(',') : null,
+      ticket_type: ticketGroup.format || null,
+      quantity: parseInt(quantity),
+      price: this.roundAmount(price),
+      total_price: this.roundAmount(parseFloat(price) * parseInt(quantity)),
+      status
+    }));
+
+    return { order, items: itemRows };
+  }
+
+  /**
+   * Persist a placed TEvo order with its items
+   * @param {Object} input - See buildOrderRecord
+   * @returns {Promise<Object>} Stored order row
+   */
+  async createOrder(input) {
+    const { order, items } = this.buildOrderRecord(input);
+
+    const { data, error } = await supabaseService.adminClient
+      .rpc('create_order_with_items', {
+        order_data: order,
+        items_data: items
+      });
+
+    if (error) {
+      console.error('Error saving order:', error);
+      throw new Error(`Failed to save order ${order.order_number}: ${error.message}`);
+    }
+
+    console.log(`💾 Saved order ${order.order_number} for user ${order.user_id}`);
+    return data;
+  }
+
+  /**
+   * List a page of a user's orders (newest first), in the shape of get_user_orders
+   * @param {string} userId - Supabase user ID
+   * @param {Object} options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Orders per page
+   * @returns {Promise<Object>} { orders, total } with items_count on each order
+   */
+  async getUserOrders(userId, { page, limit }) {
+    const start = (page - 1) * limit;
+
+    const { data, error, count } = await supabaseService.adminClient
+      .from('orders')
+      .select('id, order_number, status, total_amount, event_name, event_date, created_at, order_items(count)', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(start, start + limit - 1);
+
+    if (error) {
+      console.error('Error fetching user orders:', error);
+      throw new Error(`Failed to fetch orders: ${error.message}`);
+    }
+
+    const orders = (data || []).map(({ id, order_items, ...order }) => ({
+      order_id: id,
+      ...order,
+      items_count: order_items?.[0]?.count || 0
+    }));
+
+    return { orders, total: count || 0 };
+  }
+
+  /**
+   * Get a single order with its items, scoped to its owner
+   * @param {string} userId - Supabase user ID
+   * @param {string} orderId - Local order UUID
+   * @returns {Promise<Object|null>} Order with order_items, or null if not found for this user
+   */
+  async getUserOrder(userId, orderId) {
+    if (!isUuid(orderId)) {
+      return null;
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('orders')
+      .select('*, order_items(*)')
+      .eq('id', orderId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching order:', error);
+      throw new Error(`Failed to fetch order: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a stored order by its TEvo order ID
+   * @param {string|number} tevoOrderId - TEvo v9 order id
+   * @returns {Promise<Object|null>} Stored order row or null
+   */
+  async getOrderByTevoId(tevoOrderId) {
+    const { data, error } = await supabaseService.adminClient
+      .from('orders')
+      .select('*')
+      .eq('tevo_order_id', String(tevoOrderId))
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching order by TEvo id:', error);
+      throw new Error(`Failed to fetch order: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get any order with its items (no owner scope - for internal use)
+   * @param {string} orderId - Local order UUID
+   * @returns {Promise<Object|null>} Order with order_items or null
+   */
+  async getOrderWithItems(orderId) {
+    if (!isUuid(orderId)) {
+      return null;
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('orders')
+      .select('*, order_items(*)')
+      .eq('id', orderId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching order:', error);
+      throw new Error(`Failed to fetch order: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a stored order
+   * @param {string} orderId - Local order UUID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<Object>} Updated order row
+   */
+  async updateOrder(orderId, fields) {
+    const { data, error } = await supabaseService.adminClient
+      .from('orders')
+      .update(fields)
+      .eq('id', orderId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating order:', error);
+      throw new Error(`Failed to update order: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the state history of an order (oldest first)
+   * @param {string} orderId - Local order UUID
+   * @returns {Promise<Array>} order_events rows
+   */
+  async getOrderEvents(orderId) {
+    if (!isUuid(orderId)) {
+      return [];
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('order_events')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching order events:', error);
+      throw new Error(`Failed to fetch order events: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * List orders TEvo may still change, least recently synced first
+   * @param {number} limit - Maximum number of orders
+   * @returns {Promise<Array>} Stored order rows
+   */
+  async getOpenOrders(limit) {
+    const { data, error } = await supabaseService.adminClient
+      .from('orders')
+      .select('*')
+      .in('status', ['pending', 'confirmed'])
+      .not('tevo_order_id', 'is', null)
+      .order('last_synced_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error fetching open orders:', error);
+      throw new Error(`Failed to fetch open orders: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Apply a new TEvo state to a stored order and record the transition in order_events
+   * @param {Object} storedOrder - Stored order row
+   * @param {string} tevoState - TEvo order state
+   * @param {Object} [options]
+   * @param {string} [options.source] - checkout, sync or admin
+   * @param {Object} [options.details] - Extra details for the event
+   * @returns {Promise<Object|null>} New event, or null if the order was already in that state
+   */
+  async recordTransition(storedOrder, tevoState, { source = 'sync', details = {} } = {}) {
+    const { status, payment_status } = this.mapTevoState(tevoState);
+
+    const { data, error } = await supabaseService.adminClient
+      .rpc('record_order_transition', {
+        order_uuid: storedOrder.id,
+        new_state: tevoState,
+        new_status: status,
+        new_payment_status: payment_status,
+        event_source: source,
+        event_details: details
+      });
+
+    if (error) {
+      console.error('Error recording order transition:', error);
+      throw new Error(`Failed to update order ${storedOrder.order_number}: ${error.message}`);
+    }
+
+    if (data) {
+      console.log(`🔁 Order ${storedOrder.order_number}: ${storedOrder.tevo_state || 'unknown'} → ${tevoState}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Work out which delivery milestones a TEvo order reached since we last looked
+   * @param {Object} storedOrder - Stored order row
+   * @param {Object} tevoOrder - Order from TEvo /orders/:id
+   * @returns {Object} { fields, notifications } - columns to update and emails to send
+   */
+  getDeliveryUpdates(storedOrder, tevoOrder) {
+    const shipments = tevoOrder?.shipments || [];
+    const fields = {};
+    const notifications = [];
+
+    const trackingNumber = shipments.map((shipment) => shipment.tracking_number).find(Boolean);
+    if (trackingNumber && trackingNumber !== storedOrder.tracking_number) {
+      fields.tracking_number = trackingNumber;
+      notifications.push('tracking_assigned');
+    }
+
+    const eticketsReady = shipments.some((shipment) => (
+      ['Eticket', 'TMMobile'].includes(shipment.type) && ['delivered', 'shipped'].includes(shipment.state)
+    ));
+    if (eticketsReady && !storedOrder.etickets_available_at) {
+      fields.etickets_available_at = new Date().toISOString();
+      notifications.push('etickets_available');
+    }
+
+    return { fields, notifications };
+  }
+
+  /**
+   * Validate the admin order console filters
+   * @param {Object} query - Request query (from, to, status, payment_status, event_id, event, email, min_amount, max_amount, order_number, user_id)
+   * @returns {Object} { filters } or { error }
+   */
+  parseAdminFilters(query = {}) {
+    const filters = {};
+
+    for (const key of ['from', 'to']) {
+      if (query[key]) {
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+          return { error: `${key} must be a valid date` };
+        }
+        // A bare date as the upper bound includes the whole day
+        if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+          date.setUTCDate(date.getUTCDate() + 1);
+          filters.toExclusive = true;
+        }
+        filters[key] = date.toISOString();
+      }
+    }
+
+    for (const key of ['status', 'payment_status']) {
+      if (query[key]) {
+        const values = String(query[key]).split(',').map((value) => value.trim()).filter(Boolean);
+        const allowed = ADMIN_FILTER_VALUES[key];
+        const invalid = values.find((value) => !allowed.includes(value));
+        if (invalid) {
+          return { error: `${key} must be one of: ${allowed.join(', ')}` };
+        }
+        filters[key] = values;
+      }
+    }
+
+    for (const key of ['min_amount', 'max_amount']) {
+      if (query[key] !== undefined && query[key] !== '') {
+        const amount = Number(query[key]);
+        if (!Number.isFinite(amount) || amount < 0) {
+          return { error: `${key} must be a non-negative number` };
+        }
+        filters[key] = amount;
+      }
+    }
+
+    for (const key of ['event_id', 'event', 'email', 'order_number', 'user_id']) {
+      if (query[key]) {
+        filters[key] = String(query[key]).trim();
+      }
+    }
+
+    if (filters.user_id && !isUuid(filters.user_id)) {
+      return { error: 'user_id must be a valid UUID' };
+    }
+
+    return { filters };
+  }
+
+  /**
+   * Escape LIKE wildcards in user input
+   */
+  escapeLike(value) {
+    return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+  }
+
+  /**
+   * Apply admin order console filters to an orders query
+   * @param {Object} query - Supabase query builder
+   * @param {Object} filters - Output of parseAdminFilters
+   * @returns {Object} Filtered query
+   */
+  applyAdminFilters(query, filters) {
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = filters.toExclusive ? query.lt('created_at', filters.to) : query.lte('created_at', filters.to);
+    if (filters.status) query = query.in('status', filters.status);
+    if (filters.payment_status) query = query.in('payment_status', filters.payment_status);
+    if (filters.min_amount !== undefined) query = query.gte('total_amount', filters.min_amount);
+    if (filters.max_amount !== undefined) query = query.lte('total_amount', filters.max_amount);
+    if (filters.event_id) query = query.eq('event_id', filters.event_id);
+    if (filters.event) query = query.ilike('event_name', `%${this.escapeLike(filters.event)}%`);
+    if (filters.email) query = query.ilike('billing_email', `%${this.escapeLike(filters.email)}%`);
+    if (filters.order_number) query = query.ilike('order_number', this.escapeLike(filters.order_number));
+    if (filters.user_id) query = query.eq('user_id', filters.user_id);
+    return query;
+  }
+
+  /**
+   * Search all orders for the admin console (newest first)
+   * @param {Object} filters - Output of parseAdminFilters
+   * @param {Object} options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Orders per page
+   * @returns {Promise<Object>} { orders, total }
+   */
+  async searchOrders(filters, { page, limit }) {
+    const start = (page - 1) * limit;
+
+    const query = this.applyAdminFilters(
+      supabaseService.adminClient
+        .from('orders')
+        .select('*, order_items(count)', { count: 'exact' }),
+      filters
+    );
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(start, start + limit - 1);
+
+    if (error) {
+      console.error('Error searching orders:', error);
+      throw new Error(`Failed to search orders: ${error.message}`);
+    }
+
+    const orders = (data || []).map(({ order_items, ...order }) => ({
+      ...order,
+      items_count: order_items?.[0]?.count || 0
+    }));
+
+    return { orders, total: count || 0 };
+  }
+
+  /**
+   * Fetch every order matching the filters for CSV export
+   * @param {Object} filters - Output of parseAdminFilters
+   * @returns {Promise<Object>} { orders, truncated }
+   */
+  async exportOrders(filters) {
+    const orders = [];
+
+    // PostgREST caps each response, so read in pages up to the export limit
+    while (orders.length < EXPORT_MAX_ROWS) {
+      const start = orders.length;
+      const query = this.applyAdminFilters(
+        supabaseService.adminClient.from('orders').select('*, order_items(quantity)'),
+        filters
+      );
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(start, start + EXPORT_PAGE_SIZE - 1);
+
+      if (error) {
+        console.error('Error exporting orders:', error);
+        throw new Error(`Failed to export orders: ${error.message}`);
+      }
+
+      orders.push(...(data || []));
+      if (!data || data.length < EXPORT_PAGE_SIZE) {
+        return { orders, truncated: false };
+      }
+    }
+
+    return { orders: orders.slice(0, EXPORT_MAX_ROWS), truncated: true };
+  }
+
+  /**
+   * Render orders as CSV
+   * @param {Array} orders - Order rows with order_items(quantity)
+   * @returns {string} CSV with a header row
+   */
+  buildOrdersCsv(orders) {
+    const columns = [
+      ['order_number', (order) => order.order_number],
+      ['created_at', (order) => order.created_at],
+      ['status', (order) => order.status],
+      ['payment_status', (order) => order.payment_status],
+      ['tevo_state', (order) => order.tevo_state],
+      ['tevo_order_id', (order) => order.tevo_order_id],
+      ['customer_name', (order) => [order.billing_first_name, order.billing_last_name].filter(Boolean).join(' ')],
+      ['customer_email', (order) => order.billing_email],
+      ['customer_phone', (order) => order.billing_phone],
+      ['event_id', (order) => order.event_id],
+      ['event_name', (order) => order.event_name],
+      ['event_date', (order) => order.event_date],
+      ['venue_name', (order) => order.venue_name],
+      ['tickets', (order) => (order.order_items || []).reduce((sum, item) => sum + (item.quantity || 0), 0)],
+      ['delivery_type', (order) => order.delivery_type],
+      ['tracking_number', (order) => order.tracking_number],
+      ['subtotal', (order) => order.subtotal_amount],
+      ['service_fee', (order) => order.service_fee_amount],
+      ['shipping', (order) => order.shipping_amount],
+      ['tax', (order) => order.tax_amount],
+      ['discount', (order) => order.discount_amount],
+      ['total', (order) => order.total_amount],
+      ['refunded', (order) => order.refunded_amount]
+    ];
+
+    const escape = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Stop spreadsheet apps from running customer-entered text as a formula
+      if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(([name]) => name).join(',')];
+    for (const order of orders) {
+      lines.push(columns.map(([, read]) => escape(read(order))).join(','));
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Get the internal notes on an order (oldest first)
+   * @param {string} orderId - Local order UUID
+   * @returns {Promise<Array>} order_notes rows
+   */
+  async getOrderNotes(orderId) {
+    const { data, error } = await supabaseService.adminClient
+      .from('order_notes')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching order notes:', error);
+      throw new Error(`Failed to fetch order notes: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Add an internal note to an order
+   * @param {string} orderId - Local order UUID
+   * @param {string} authorId - Admin user ID
+   * @param {string} note - Note text
+   * @returns {Promise<Object>} Stored note
+   */
+  async addOrderNote(orderId, authorId, note) {
+    const { data, error } = await supabaseService.adminClient
+      .from('order_notes')
+      .insert({ order_id: orderId, author_id: authorId, note })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error adding order note:', error);
+      throw new Error(`Failed to add order note: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the emails sent for an order (newest first)
+   * @param {string} orderId - Local order UUID
+   * @returns {Promise<Array>} email_log rows
+   */
+  async getOrderEmails(orderId) {
+    const { data, error } = await supabaseService.adminClient
+      .from('email_log')
+      .select('id, email_type, recipient, subject, status, error_message, metadata, created_at')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching order emails:', error);
+      throw new Error(`Failed to fetch order emails: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = new OrderService();
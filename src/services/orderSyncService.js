@@ -0,0 +1,140 @@
+const config = require('../config/config');
+const ticketEvolutionService = require('./ticketEvolutionService');
+const orderService = require('./orderService');
+const emailService = require('./emailService');
+
+/**
+ * Order Sync Service
+ *
+ * TEvo moves orders through pending, accepted, rejected, completed and
+ * cancelled after checkout. This service refreshes open orders from
+ * TEvo /orders/:id, records every state change in order_events and sends the
+ * delivery emails. Long-running servers poll on an interval; serverless
+ * deployments call the admin sync endpoint instead.
+ */
+class OrderSyncService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Apply a fetched TEvo order to the stored order
+   * @param {Object} storedOrder - Stored order row
+   * @param {Object} tevoOrder - Order from TEvo /orders/:id
+   * @param {Object} [options]
+   * @param {string} [options.source] - sync or admin
+   * @returns {Promise<Object>} { orderId, changed, event, notifications }
+   */
+  async applyTevoOrder(storedOrder, tevoOrder, { source = 'sync' } = {}) {
+    let event = null;
+
+    if (tevoOrder.state) {
+      event = await orderService.recordTransition(storedOrder, tevoOrder.state, {
+        source,
+        details: { tevo_order_id: String(tevoOrder.id || storedOrder.tevo_order_id) }
+      });
+    }
+
+    const notifications = await emailService.notifyDeliveryChanges(storedOrder, tevoOrder);
+
+    return {
+      orderId: storedOrder.id,
+      changed: Boolean(event),
+      event,
+      notifications
+    };
+  }
+
+  /**
+   * Refresh one stored order from TEvo
+   * @param {Object} storedOrder - Stored order row
+   * @param {Object} [options] - See applyTevoOrder
+   * @returns {Promise<Object>} { orderId, changed, event, notifications }
+   */
+  async syncOrder(storedOrder, options = {}) {
+    const tevoOrder = await ticketEvolutionService.getOrder(storedOrder.tevo_order_id);
+    return this.applyTevoOrder(storedOrder, tevoOrder, options);
+  }
+
+  /**
+   * Refresh the least recently synced open orders
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of orders to refresh
+   * @param {string} [options.source] - sync or admin
+   * @returns {Promise<Object>} { checked, updated, failed, skipped }
+   */
+  async syncOpenOrders({ limit = config.orderSync.batchSize, source = 'sync' } = {}) {
+    if (this.running) {
+      return { checked: 0, updated: 0, failed: 0, skipped: true };
+    }
+
+    this.running = true;
+    const summary = { checked: 0, updated: 0, failed: 0, skipped: false };
+
+    try {
+      const orders = await orderService.getOpenOrders(limit);
+
+      for (const storedOrder of orders) {
+        summary.checked++;
+
+        try {
+          const result = await this.syncOrder(storedOrder, { source });
+          if (result.changed) {
+            summary.updated++;
+          }
+        } catch (error) {
+          summary.failed++;
+          console.error(`❌ Failed to sync order ${storedOrder.order_number}:`, error.message);
+
+          // Move the order to the back of the queue so one bad order cannot block the rest
+          try {
+            await orderService.updateOrder(storedOrder.id, { last_synced_at: new Date().toISOString() });
+          } catch (updateError) {
+            console.error(`❌ Failed to mark order ${storedOrder.order_number} as synced:`, updateError.message);
+          }
+        }
+      }
+
+      if (summary.checked > 0) {
+        console.log(`🔁 Order sync: ${summary.checked} checked, ${summary.updated} updated, ${summary.failed} failed`);
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start polling open orders
+   */
+  start() {
+    if (this.timer || !config.orderSync.enabled) {
+      return;
+    }
+
+    const intervalMs = config.orderSync.intervalMinutes * 60 * 1000;
+    this.timer = setInterval(() => {
+      this.syncOpenOrders().catch((error) => {
+        console.error('❌ Order sync failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the poller
+    this.timer.unref();
+    console.log(`🔁 Order sync: every ${config.orderSync.intervalMinutes} minutes`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new OrderSyncService();
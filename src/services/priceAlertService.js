@@ -0,0 +1,514 @@
+const config = require('../config/config');
+const supabaseService = require('./supabaseService');
+const ticketEvolutionService = require('./ticketEvolutionService');
+const ticketGroupValidator = require('./ticketGroupValidator');
+const eventDetailService = require('./eventDetailService');
+const savedEventsService = require('./savedEventsService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const emailTemplates = require('./emailTemplates');
+const priceHistoryService = require('./priceHistoryService');
+const { isUuid } = require('../utils/uuid');
+const { normalizeSectionKey, getSectionKey } = require('../utils/sectionKey');
+
+// User-facing messages for price alert error codes
+const ALERT_ERRORS = {
+  INVALID_EVENT_ID: 'Valid event_id is required',
+  INVALID_SECTION: 'section must be at most 100 characters',
+  INVALID_MAX_PRICE: 'max_price must be a positive amount in dollars and cents',
+  INVALID_CHANNELS: 'channels must be a non-empty list of: email, in_app',
+  INVALID_ACTIVE: 'is_active must be true or false',
+  EVENT_NOT_FOUND: 'Event not found',
+  EVENT_PAST: 'This event has already taken place',
+  ALERT_EXISTS: 'You already have a price alert for this event and section',
+  ALERT_NOT_FOUND: 'Price alert not found'
+};
+
+const CHANNELS = ['email', 'in_app'];
+
+/**
+ * Price Alert Service
+ *
+ * Users watch an event, optionally narrowed to a section and a maximum price.
+ * A scheduled check re-reads the event's ticket groups and notifies the user
+ * (email and/or in-app) when tickets drop to their price or, without a price,
+ * when new inventory appears. Alerts respect a cooldown between notifications.
+ */
+class PriceAlertService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Build a structured price alert error
+   * @param {string} code - Price alert error code
+   * @returns {Object} { valid: false, code, message }
+   */
+  buildError(code) {
+    return { valid: false, code, message: ALERT_ERRORS[code] || 'Price alert request failed' };
+  }
+
+  /**
+   * Validate alert fields from the request body
+   * @param {Object} input - { event_id, section, max_price, channels, is_active }
+   * @param {Object} [options]
+   * @param {boolean} [options.partial] - Only validate fields that are present (updates)
+   * @returns {Object} { values } or { error }
+   */
+  parseAlert(input = {}, { partial = false } = {}) {
+    const values = {};
+
+    if (!partial) {
+      if (!input.event_id || isNaN(input.event_id)) {
+        return { error: this.buildError('INVALID_EVENT_ID') };
+      }
+      values.event_id = String(parseInt(input.event_id));
+    }
+
+    if (input.section !== undefined) {
+      const section = typeof input.section === 'string' ? input.section.trim() : input.section;
+      if (section !== null && section !== '' && (typeof section !== 'string' || section.length > 100)) {
+        return { error: this.buildError('INVALID_SECTION') };
+      }
+      values.section = section || null;
+    }
+
+    if (input.max_price !== undefined) {
+      if (input.max_price === null || input.max_price === '') {
+        values.max_price = null;
+      } else {
+        const price = Number(input.max_price);
+        if (!Number.isFinite(price) || price <= 0 || Math.abs(Math.round(price * 100) - price * 100) > 1e-6) {
+          return { error: this.buildError('INVALID_MAX_PRICE') };
+        }
+        values.max_price = price;
+      }
+    }
+
+    if (input.channels !== undefined) {
+      const channels = Array.isArray(input.channels) ? [...new Set(input.channels)] : [];
+      if (channels.length === 0 || channels.some((channel) => !CHANNELS.includes(channel))) {
+        return { error: this.buildError('INVALID_CHANNELS') };
+      }
+      values.channels = channels;
+    }
+
+    if (partial && input.is_active !== undefined) {
+      if (typeof input.is_active !== 'boolean') {
+        return { error: this.buildError('INVALID_ACTIVE') };
+      }
+      values.is_active = input.is_active;
+    }
+
+    return { values };
+  }
+
+  /**
+   * List a user's price alerts, soonest event first
+   * @param {string} userId - Supabase user ID
+   * @returns {Promise<Array>} price_alerts rows
+   */
+  async getAlerts(userId) {
+    const { data, error } = await supabaseService.adminClient
+      .from('price_alerts')
+      .select('*')
+      .eq('user_id', userId)
+      .order('event_date', { ascending: true, nullsFirst: false });
+
+    if (error) {
+      console.error('Error fetching price alerts:', error);
+      throw new Error(`Failed to fetch price alerts: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Create a price alert for the signed-in user
+   * @param {Object} user - { id, email }
+   * @param {Object} input - Request body
+   * @returns {Promise<Object>} { valid: true, alert } or a price alert error
+   */
+  async createAlert(user, input) {
+    const { values, error: inputError } = this.parseAlert(input);
+    if (inputError) {
+      return inputError;
+    }
+
+    let event;
+    try {
+      event = await ticketEvolutionService.getEvent(values.event_id);
+    } catch (error) {
+      if (error.message.toLowerCase().includes('not found') || error.message.includes('404')) {
+        return this.buildError('EVENT_NOT_FOUND');
+      }
+      throw error;
+    }
+
+    const { event_name, event_date, venue_name } = savedEventsService.buildEventSnapshot(event);
+    if (savedEventsService.isPast({ event_date })) {
+      return this.buildError('EVENT_PAST');
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('price_alerts')
+      .insert({
+        user_id: user.id,
+        notify_email: user.email || null,
+        event_name,
+        event_date,
+        venue_name,
+        ...values
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return this.buildError('ALERT_EXISTS');
+      }
+      console.error('Error creating price alert:', error);
+      throw new Error(`Failed to create price alert: ${error.message}`);
+    }
+
+    return { valid: true, alert: data };
+  }
+
+  /**
+   * Update one of a user's price alerts
+   * @param {string} userId - Supabase user ID
+   * @param {string} alertId - Price alert UUID
+   * @param {Object} input - Request body (section, max_price, channels, is_active)
+   * @returns {Promise<Object>} { valid: true, alert } or a price alert error
+   */
+  async updateAlert(userId, alertId, input) {
+    if (!isUuid(alertId)) {
+      return this.buildError('ALERT_NOT_FOUND');
+    }
+
+    const { values, error: inputError } = this.parseAlert(input, { partial: true });
+    if (inputError) {
+      return inputError;
+    }
+
+    // A changed target starts over: the next matching listing notifies again
+    if (values.section !== undefined || values.max_price !== undefined) {
+      Object.assign(values, { last_ticket_count: null, last_notified_price: null });
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('price_alerts')
+      .update(values)
+      .eq('id', alertId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return this.buildError('ALERT_EXISTS');
+      }
+      console.error('Error updating price alert:', error);
+      throw new Error(`Failed to update price alert: ${error.message}`);
+    }
+
+    return data ? { valid: true, alert: data } : this.buildError('ALERT_NOT_FOUND');
+  }
+
+  /**
+   * Delete one of a user's price alerts
+   * @param {string} userId - Supabase user ID
+   * @param {string} alertId - Price alert UUID
+   * @returns {Promise<boolean>} True if the alert existed
+   */
+  async deleteAlert(userId, alertId) {
+    if (!isUuid(alertId)) {
+      return false;
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('price_alerts')
+      .delete()
+      .eq('id', alertId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      console.error('Error deleting price alert:', error);
+      throw new Error(`Failed to delete price alert: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Available listings matching an alert's section and price
+   * @param {Object} alert - price_alerts row
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @returns {Object} { lowest_price, ticket_count, listing_count }
+   */
+  findMatches(alert, ticketGroups) {
+    const section = normalizeSectionKey(alert.section);
+    const maxPrice = alert.max_price !== null && alert.max_price !== undefined ? Number(alert.max_price) : null;
+    const match = { lowest_price: null, ticket_count: 0, listing_count: 0 };
+
+    for (const ticketGroup of ticketGroups) {
+      const available = ticketGroupValidator.getAvailableQuantity(ticketGroup) || 0;
+      const price = ticketGroupValidator.getRetailPrice(ticketGroup);
+
+      if (available <= 0) continue;
+      if (section && getSectionKey(ticketGroup) !== section) continue;
+      if (maxPrice !== null && (price === null || price > maxPrice)) continue;
+
+      match.listing_count += 1;
+      match.ticket_count += available;
+      if (price !== null && (match.lowest_price === null || price < match.lowest_price)) {
+        match.lowest_price = price;
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Decide whether an alert fires for the current ticket groups
+   * @param {Object} alert - price_alerts row
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @param {Date} [now]
+   * @returns {Object} { match, triggered, suppressed, updates }
+   */
+  evaluateAlert(alert, ticketGroups, now = new Date()) {
+    const match = this.findMatches(alert, ticketGroups);
+    const updates = {
+      last_checked_at: now.toISOString(),
+      last_lowest_price: match.lowest_price,
+      last_ticket_count: match.ticket_count
+    };
+
+    let fires;
+    if (alert.max_price !== null && alert.max_price !== undefined) {
+      // Price alerts fire when tickets reach the target, then again only for a lower price
+      const lastPrice = alert.last_notified_price !== null && alert.last_notified_price !== undefined
+        ? Number(alert.last_notified_price)
+        : null;
+      fires = match.listing_count > 0 && (lastPrice === null || match.lowest_price < lastPrice);
+
+      // Re-arm once nothing is at the target any more
+      if (match.listing_count === 0) {
+        updates.last_notified_price = null;
+      }
+    } else {
+      // Inventory alerts compare against the previous check (the first check sets the baseline)
+      fires = alert.last_ticket_count !== null && alert.last_ticket_count !== undefined
+        && match.ticket_count > alert.last_ticket_count;
+    }
+
+    const cooldownMs = config.priceAlerts.cooldownHours * 60 * 60 * 1000;
+    const coolingDown = Boolean(alert.last_notified_at) && now - new Date(alert.last_notified_at) < cooldownMs;
+
+    return {
+      match,
+      triggered: fires && !coolingDown,
+      suppressed: fires && coolingDown,
+      updates
+    };
+  }
+
+  /**
+   * Send a triggered alert over the alert's channels (never throws)
+   * @param {Object} alert - price_alerts row
+   * @param {Object} match - From findMatches
+   * @returns {Promise<Object>} { email, in_app } delivery status per channel
+   */
+  async notify(alert, match) {
+    const channels = alert.channels || CHANNELS;
+    const delivery = {};
+
+    if (channels.includes('in_app')) {
+      try {
+        const { title, message } = emailTemplates.describePriceAlert(alert, match);
+        await notificationService.createNotification({
+          userId: alert.user_id,
+          type: 'price_alert',
+          title,
+          body: message,
+          data: { alert_id: alert.id, event_id: alert.event_id, section: alert.section, ...match }
+        });
+        delivery.in_app = 'sent';
+      } catch (error) {
+        console.error(`❌ Failed to store price alert notification ${alert.id}:`, error.message);
+        delivery.in_app = 'failed';
+      }
+    }
+
+    if (channels.includes('email')) {
+      const result = await emailService.sendPriceAlert(alert, match);
+      delivery.email = result.status;
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Check one event's alerts against its current ticket groups
+   * @param {string} eventId - TEvo event ID
+   * @param {Array} alerts - Active price_alerts rows for the event
+   * @param {Object} summary - Run summary (updated in place)
+   */
+  async checkEventAlerts(eventId, alerts, summary) {
+    const now = new Date();
+
+    // Alerts for events that have taken place are switched off
+    if (alerts.every((alert) => savedEventsService.isPast(alert))) {
+      await this.updateAlerts(alerts, { is_active: false, last_checked_at: now.toISOString() });
+      summary.deactivated += alerts.length;
+      return;
+    }
+
+    let ticketGroups;
+    try {
+      ({ ticketGroups } = await eventDetailService.getAllTicketGroups(parseInt(eventId)));
+    } catch (error) {
+      console.error(`❌ Failed to check price alerts for event ${eventId}:`, error.message);
+      summary.failed += alerts.length;
+      // Move the alerts to the back of the queue so one bad event cannot block the rest
+      try {
+        await this.updateAlerts(alerts, { last_checked_at: now.toISOString() });
+      } catch (updateError) {
+        console.error(`❌ Failed to mark price alerts for event ${eventId} as checked:`, updateError.message);
+      }
+      return;
+    }
+
+    // Watched events get regular price snapshots even when nobody opens them
+    try {
+      await priceHistoryService.refreshSnapshot(eventId, ticketGroups);
+    } catch (error) {
+      console.error(`⚠️ Failed to record price snapshot for event ${eventId}:`, error.message);
+    }
+
+    for (const alert of alerts) {
+      try {
+        const { match, triggered, updates } = this.evaluateAlert(alert, ticketGroups, now);
+
+        if (triggered) {
+          Object.assign(updates, {
+            last_notified_at: now.toISOString(),
+            last_notified_price: match.lowest_price,
+            notification_count: (alert.notification_count || 0) + 1
+          });
+        }
+
+        // Claim the notification before sending so a failed update cannot repeat it
+        await this.updateAlerts([alert], updates);
+
+        if (triggered) {
+          await this.notify(alert, match);
+          summary.triggered++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to check price alert ${alert.id}:`, error.message);
+        summary.failed++;
+      }
+    }
+  }
+
+  /**
+   * Update price alert rows
+   */
+  async updateAlerts(alerts, updates) {
+    const { error } = await supabaseService.adminClient
+      .from('price_alerts')
+      .update(updates)
+      .in('id', alerts.map((alert) => alert.id));
+
+    if (error) {
+      throw new Error(`Failed to update price alerts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check the least recently checked active alerts
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of alerts to check
+   * @returns {Promise<Object>} { checked, triggered, deactivated, failed, skipped }
+   */
+  async checkAlerts({ limit = config.priceAlerts.batchSize } = {}) {
+    if (this.running) {
+      return { checked: 0, triggered: 0, deactivated: 0, failed: 0, skipped: true };
+    }
+
+    this.running = true;
+    const summary = { checked: 0, triggered: 0, deactivated: 0, failed: 0, skipped: false };
+
+    try {
+      const { data: alerts, error } = await supabaseService.adminClient
+        .from('price_alerts')
+        .select('*')
+        .eq('is_active', true)
+        .order('last_checked_at', { ascending: true, nullsFirst: true })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(`Failed to fetch price alerts: ${error.message}`);
+      }
+
+      // Ticket groups are fetched once per event
+      const byEvent = new Map();
+      for (const alert of alerts || []) {
+        byEvent.set(alert.event_id, [...(byEvent.get(alert.event_id) || []), alert]);
+      }
+
+      for (const [eventId, eventAlerts] of byEvent) {
+        summary.checked += eventAlerts.length;
+        try {
+          await this.checkEventAlerts(eventId, eventAlerts, summary);
+        } catch (error) {
+          console.error(`❌ Failed to check price alerts for event ${eventId}:`, error.message);
+          summary.failed += eventAlerts.length;
+        }
+      }
+
+      if (summary.checked > 0) {
+        console.log(`🔔 Price alerts: ${summary.checked} checked, ${summary.triggered} triggered, ${summary.failed} failed`);
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start checking alerts on an interval
+   */
+  start() {
+    if (this.timer || !config.priceAlerts.enabled) {
+      return;
+    }
+
+    const intervalMs = config.priceAlerts.intervalMinutes * 60 * 1000;
+    this.timer = setInterval(() => {
+      this.checkAlerts().catch((error) => {
+        console.error('❌ Price alert check failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the checker
+    this.timer.unref();
+    console.log(`🔔 Price alerts: every ${config.priceAlerts.intervalMinutes} minutes`);
+  }
+
+  /**
+   * Stop checking
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new PriceAlertService();
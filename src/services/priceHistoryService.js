@@ -0,0 +1,437 @@
+const config = require('../config/config');
+const supabaseService = require('./supabaseService');
+const eventDetailService = require('./eventDetailService');
+const seatmapService = require('./seatmapService');
+const ticketGroupValidator = require('./ticketGroupValidator');
+const { normalizeSectionKey, getSectionKey } = require('../utils/sectionKey');
+
+// Deal score weights: distance from the section median, then from the listing's own history
+const SECTION_WEIGHT = 0.7;
+const HISTORY_WEIGHT = 0.3;
+
+// Lowest score for each deal rating, best first
+const DEAL_RATINGS = [
+  { rating: 'great', minScore: 80 },
+  { rating: 'good', minScore: 60 },
+  { rating: 'fair', minScore: 40 },
+  { rating: 'poor', minScore: 0 }
+];
+
+// Rows read per history request (newest kept when an event has more)
+const MAX_HISTORY_ROWS = 5000;
+
+/**
+ * Price History Service
+ *
+ * Stores periodic price snapshots per ticket group and per section, scores each
+ * listing against its section median and its own price history ("great deal"
+ * badges), and serves the history for charts.
+ */
+class PriceHistoryService {
+  constructor() {
+    // Snapshots being recorded, by event, so concurrent requests don't write twice
+    this.recording = new Map();
+  }
+
+  /**
+   * Price stats per seatmap section
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @returns {Array} Sections with min, median and max price, listings and quantity
+   */
+  summarizeSections(ticketGroups) {
+    const prices = new Map();
+    for (const ticketGroup of ticketGroups) {
+      const price = ticketGroupValidator.getRetailPrice(ticketGroup);
+      const key = getSectionKey(ticketGroup);
+      if (price === null || !key || !(ticketGroupValidator.getAvailableQuantity(ticketGroup) > 0)) continue;
+      prices.set(key, [...(prices.get(key) || []), price]);
+    }
+
+    return seatmapService.aggregateSections(ticketGroups).map((section) => ({
+      key: section.key,
+      name: section.name,
+      min_price: section.min_price,
+      median_price: eventDetailService.median((prices.get(section.key) || []).sort((a, b) => a - b)),
+      max_price: section.max_price,
+      listings: section.listings,
+      total_quantity: section.total_quantity
+    }));
+  }
+
+  /**
+   * Latest section snapshot of an event
+   * @param {string|number} eventId - TEvo event ID
+   * @returns {Promise<Object|null>} { capturedAt, sections } or null if none
+   */
+  async getLatestSnapshot(eventId) {
+    const { data, error } = await supabaseService.adminClient
+      .from('section_price_snapshots')
+      .select('*')
+      .eq('event_id', String(eventId))
+      .order('captured_at', { ascending: false })
+      .limit(1000);
+
+    if (error) {
+      console.error('Error fetching section price snapshot:', error);
+      throw new Error(`Failed to fetch price snapshot: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    // Every row of a snapshot shares its captured_at
+    const capturedAt = data[0].captured_at;
+    return {
+      capturedAt,
+      sections: data
+        .filter((row) => row.captured_at === capturedAt)
+        .map((row) => ({
+          key: row.section,
+          name: row.section_name,
+          min_price: row.min_price === null ? null : parseFloat(row.min_price),
+          median_price: row.median_price === null ? null : parseFloat(row.median_price),
+          max_price: row.max_price === null ? null : parseFloat(row.max_price),
+          listings: row.listings,
+          total_quantity: row.total_quantity
+        }))
+    };
+  }
+
+  /**
+   * Whether an event is due for a new snapshot
+   * @param {Object|null} snapshot - From getLatestSnapshot
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  isSnapshotDue(snapshot, now = new Date()) {
+    if (!snapshot) {
+      return true;
+    }
+    const intervalMs = config.priceHistory.snapshotIntervalMinutes * 60 * 1000;
+    return now.getTime() - new Date(snapshot.capturedAt).getTime() >= intervalMs;
+  }
+
+  /**
+   * Store a snapshot of an event's ticket groups and sections
+   * @param {string|number} eventId - TEvo event ID
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @param {Array} sections - From summarizeSections
+   * @param {Date} [capturedAt]
+   */
+  async recordSnapshot(eventId, ticketGroups, sections, capturedAt = new Date()) {
+    const timestamp = capturedAt.toISOString();
+
+    const groupRows = ticketGroups
+      .filter((ticketGroup) => ticketGroup.id !== undefined && ticketGroup.id !== null)
+      .map((ticketGroup) => ({
+        event_id: String(eventId),
+        ticket_group_id: String(ticketGroup.id),
+        section: getSectionKey(ticketGroup),
+        price: ticketGroupValidator.getRetailPrice(ticketGroup),
+        quantity: ticketGroupValidator.getAvailableQuantity(ticketGroup),
+        captured_at: timestamp
+      }))
+      .filter((row) => row.price !== null && row.quantity > 0);
+
+    const sectionRows = sections.map((section) => ({
+      event_id: String(eventId),
+      section: section.key,
+      section_name: section.name,
+      min_price: section.min_price,
+      median_price: section.median_price,
+      max_price: section.max_price,
+      listings: section.listings,
+      total_quantity: section.total_quantity,
+      captured_at: timestamp
+    }));
+
+    if (groupRows.length > 0) {
+      const { error } = await supabaseService.adminClient.from('ticket_group_price_snapshots').insert(groupRows);
+      if (error) {
+        console.error('Error recording ticket group price snapshot:', error);
+        throw new Error(`Failed to record price snapshot: ${error.message}`);
+      }
+    }
+
+    // Sections last: the latest section snapshot marks the event as captured
+    if (sectionRows.length > 0) {
+      const { error } = await supabaseService.adminClient.from('section_price_snapshots').insert(sectionRows);
+      if (error) {
+        console.error('Error recording section price snapshot:', error);
+        throw new Error(`Failed to record price snapshot: ${error.message}`);
+      }
+    }
+
+    console.log(`💾 Recorded price snapshot for event ${eventId}: ${groupRows.length} ticket groups, ${sectionRows.length} sections`);
+  }
+
+  /**
+   * Current section stats of an event, taking a new snapshot when one is due
+   * @param {string|number} eventId - TEvo event ID
+   * @param {Array|null} [ticketGroups] - All of the event's ticket groups, if already fetched
+   * @returns {Promise<Array>} Sections from summarizeSections
+   */
+  async refreshSnapshot(eventId, ticketGroups = null) {
+    const latest = await this.getLatestSnapshot(eventId);
+    if (!this.isSnapshotDue(latest)) {
+      return ticketGroups ? this.summarizeSections(ticketGroups) : latest.sections;
+    }
+
+    return this.takeSnapshot(eventId, ticketGroups);
+  }
+
+  /**
+   * Record a snapshot of an event now, sharing one recording between callers
+   * @param {string|number} eventId - TEvo event ID
+   * @param {Array|null} [ticketGroups] - All of the event's ticket groups, if already fetched
+   * @returns {Promise<Array>} Sections from summarizeSections
+   */
+  async takeSnapshot(eventId, ticketGroups = null) {
+    const key = String(eventId);
+    if (this.recording.has(key)) {
+      return this.recording.get(key);
+    }
+
+    const pending = (async () => {
+      const groups = ticketGroups || (await eventDetailService.getAllTicketGroups(parseInt(eventId))).ticketGroups;
+      const sections = this.summarizeSections(groups);
+      await this.recordSnapshot(eventId, groups, sections);
+      return sections;
+    })();
+
+    this.recording.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      this.recording.delete(key);
+    }
+  }
+
+  /**
+   * Recorded prices of ticket groups since a date
+   * @param {string|number} eventId - TEvo event ID
+   * @param {Array} ticketGroupIds - TEvo ticket group IDs
+   * @param {Date} since
+   * @returns {Promise<Map>} Ticket group ID -> prices
+   */
+  async getListingPrices(eventId, ticketGroupIds, since) {
+    const prices = new Map();
+    if (ticketGroupIds.length === 0) {
+      return prices;
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('ticket_group_price_snapshots')
+      .select('ticket_group_id, price')
+      .eq('event_id', String(eventId))
+      .in('ticket_group_id', ticketGroupIds.map(String))
+      .gte('captured_at', since.toISOString())
+      .order('captured_at', { ascending: false })
+      .limit(MAX_HISTORY_ROWS);
+
+    if (error) {
+      console.error('Error fetching ticket group price history:', error);
+      throw new Error(`Failed to fetch price history: ${error.message}`);
+    }
+
+    for (const row of data || []) {
+      prices.set(row.ticket_group_id, [...(prices.get(row.ticket_group_id) || []), parseFloat(row.price)]);
+    }
+    return prices;
+  }
+
+  /**
+   * Deal score from 0 (overpriced) to 100 (far below market). A listing at its
+   * section median scores 50; each percent below the median adds a point. With
+   * history, the same scale against the listing's average price is blended in.
+   * @param {number|null} price - Listing price
+   * @param {number|null} sectionMedian - Median price of the listing's section
+   * @param {Array} [history] - The listing's recorded prices
+   * @returns {number|null} Score, or null when the price or median is unknown
+   */
+  scoreDeal(price, sectionMedian, history = []) {
+    if (price === null || !(sectionMedian > 0)) {
+      return null;
+    }
+
+    const scale = (reference) => Math.min(100, Math.max(0, 50 + ((reference - price) / reference) * 100));
+    const sectionScore = scale(sectionMedian);
+
+    const average = history.length > 0 ? history.reduce((sum, value) => sum + value, 0) / history.length : null;
+    const score = average > 0
+      ? sectionScore * SECTION_WEIGHT + scale(average) * HISTORY_WEIGHT
+      : sectionScore;
+
+    return Math.round(score);
+  }
+
+  /**
+   * Deal rating for a score
+   * @param {number|null} score - From scoreDeal
+   * @returns {string|null} great, good, fair or poor
+   */
+  rateDeal(score) {
+    if (score === null) {
+      return null;
+    }
+    return DEAL_RATINGS.find((rating) => score >= rating.minScore).rating;
+  }
+
+  /**
+   * Add deal_score and deal_rating to ticket groups from the latest stored
+   * snapshot. A due snapshot is recorded in the background, so listings never
+   * wait on it. Scores are best effort: when history can't be read (or nothing
+   * has been recorded yet) the groups are returned with null scores.
+   * @param {string|number} eventId - TEvo event ID
+   * @param {Array} ticketGroups - Ticket groups to score
+   * @param {Array|null} [allTicketGroups] - All of the event's ticket groups, if already fetched
+   * @returns {Promise<Array>} Ticket groups with deal fields
+   */
+  async addDealScores(eventId, ticketGroups, allTicketGroups = null) {
+    let medians;
+    let history;
+    try {
+      const latest = await this.getLatestSnapshot(eventId);
+      if (this.isSnapshotDue(latest)) {
+        this.takeSnapshot(eventId, allTicketGroups).catch((error) => {
+          console.error(`⚠️ Failed to record price snapshot for event ${eventId}:`, error.message);
+        });
+      }
+      medians = new Map((latest?.sections || []).map((section) => [section.key, section.median_price]));
+
+      const since = new Date(Date.now() - config.priceHistory.defaultDays * 24 * 60 * 60 * 1000);
+      history = await this.getListingPrices(eventId, ticketGroups.map((ticketGroup) => ticketGroup.id), since);
+    } catch (error) {
+      console.error(`⚠️ Failed to score deals for event ${eventId}:`, error.message);
+      return ticketGroups.map((ticketGroup) => ({ ...ticketGroup, deal_score: null, deal_rating: null }));
+    }
+
+    return ticketGroups.map((ticketGroup) => {
+      const score = this.scoreDeal(
+        ticketGroupValidator.getRetailPrice(ticketGroup),
+        medians.get(getSectionKey(ticketGroup)) ?? null,
+        history.get(String(ticketGroup.id))
+      );
+      return { ...ticketGroup, deal_score: score, deal_rating: this.rateDeal(score) };
+    });
+  }
+
+  /**
+   * Validate price history options from the request query
+   * @param {Object} query - Request query
+   * @returns {Object} { options } or { error }
+   */
+  parseHistoryQuery(query = {}) {
+    const errors = [];
+    const options = { days: config.priceHistory.defaultDays };
+
+    if (query.days !== undefined) {
+      const days = Number(query.days);
+      if (!Number.isInteger(days) || days < 1 || days > config.priceHistory.maxDays) {
+        errors.push(`days must be a whole number from 1 to ${config.priceHistory.maxDays}`);
+      } else {
+        options.days = days;
+      }
+    }
+
+    if (query.section !== undefined) {
+      const section = normalizeSectionKey(query.section);
+      if (!section || section.length > 100) {
+        errors.push('section must be a section name');
+      } else {
+        options.section = section;
+      }
+    }
+
+    if (query.ticket_group_id !== undefined) {
+      if (!/^\d+$/.test(String(query.ticket_group_id))) {
+        errors.push('ticket_group_id must be a positive integer');
+      } else {
+        options.ticketGroupId = String(query.ticket_group_id);
+      }
+    }
+
+    return errors.length > 0 ? { error: errors.join('; ') } : { options };
+  }
+
+  /**
+   * Price history of an event's sections, or of one ticket group
+   * @param {string|number} eventId - TEvo event ID
+   * @param {Object} options - From parseHistoryQuery
+   * @returns {Promise<Object>} { eventId, days, sections } or { eventId, days, ticketGroupId, points }
+   */
+  async getPriceHistory(eventId, { days, section, ticketGroupId }) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    if (ticketGroupId) {
+      const { data, error } = await supabaseService.adminClient
+        .from('ticket_group_price_snapshots')
+        .select('captured_at, price, quantity')
+        .eq('event_id', String(eventId))
+        .eq('ticket_group_id', ticketGroupId)
+        .gte('captured_at', since)
+        .order('captured_at', { ascending: false })
+        .limit(MAX_HISTORY_ROWS);
+
+      if (error) {
+        console.error('Error fetching ticket group price history:', error);
+        throw new Error(`Failed to fetch price history: ${error.message}`);
+      }
+
+      return {
+        eventId,
+        days,
+        ticketGroupId,
+        // Rows come newest first so the limit keeps recent history; charts want oldest first
+        points: [...(data || [])].reverse().map((row) => ({
+          captured_at: row.captured_at,
+          price: parseFloat(row.price),
+          quantity: row.quantity
+        }))
+      };
+    }
+
+    let query = supabaseService.adminClient
+      .from('section_price_snapshots')
+      .select('*')
+      .eq('event_id', String(eventId))
+      .gte('captured_at', since)
+      .order('captured_at', { ascending: false })
+      .limit(MAX_HISTORY_ROWS);
+
+    if (section) {
+      query = query.eq('section', section);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching section price history:', error);
+      throw new Error(`Failed to fetch price history: ${error.message}`);
+    }
+
+    const sections = new Map();
+    // Rows come newest first so the limit keeps recent history; charts want oldest first
+    for (const row of [...(data || [])].reverse()) {
+      const series = sections.get(row.section) || { section: row.section, name: row.section_name, points: [] };
+      series.points.push({
+        captured_at: row.captured_at,
+        min_price: row.min_price === null ? null : parseFloat(row.min_price),
+        median_price: row.median_price === null ? null : parseFloat(row.median_price),
+        max_price: row.max_price === null ? null : parseFloat(row.max_price),
+        listings: row.listings,
+        total_quantity: row.total_quantity
+      });
+      sections.set(row.section, series);
+    }
+
+    return {
+      eventId,
+      days,
+      sections: Array.from(sections.values()).sort((a, b) => a.section.localeCompare(b.section, undefined, { numeric: true }))
+    };
+  }
+}
+
+module.exports = new PriceHistoryService();
@@ -0,0 +1,154 @@
+const supabaseService = require('./supabaseService');
+
+// project_config keys holding the checkout pricing rules
+const PRICING_KEYS = {
+  percent: 'pricing_service_fee_percent',
+  perTicket: 'pricing_service_fee_per_ticket',
+  perOrder: 'pricing_service_fee_per_order',
+  min: 'pricing_service_fee_min',
+  max: 'pricing_service_fee_max',
+  categoryMarkups: 'pricing_category_markups',
+  eventMarkups: 'pricing_event_markups'
+};
+
+const DEFAULT_CONFIG = {
+  percent: 0,
+  perTicket: 0,
+  perOrder: 0,
+  min: null,
+  max: null,
+  categoryMarkups: {},
+  eventMarkups: {}
+};
+
+/**
+ * Pricing Service
+ *
+ * Computes checkout service fees from the pricing rules in project_config.
+ * TEvo requires the item price to match the listing, so markups are charged
+ * as part of the service fee rather than by changing the ticket price.
+ */
+class PricingService {
+  constructor() {
+    this.cacheTimeout = 60 * 1000;
+    this.cachedConfig = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Load pricing rules (cached briefly to avoid a query per quote)
+   * @returns {Promise<Object>} Normalized pricing config
+   */
+  async getPricingConfig() {
+    if (this.cachedConfig && Date.now() - this.cachedAt < this.cacheTimeout) {
+      return this.cachedConfig;
+    }
+
+    try {
+      const { data, error } = await supabaseService.adminClient
+        .from('project_config')
+        .select('config_key, config_value')
+        .in('config_key', Object.values(PRICING_KEYS));
+
+      if (error) {
+        throw error;
+      }
+
+      this.cachedConfig = this.normalizeConfig(data || []);
+      this.cachedAt = Date.now();
+      return this.cachedConfig;
+    } catch (error) {
+      // Fall back to the last known rules so a config outage doesn't block checkout
+      console.error('❌ Failed to load pricing config:', error.message);
+      return this.cachedConfig || { ...DEFAULT_CONFIG };
+    }
+  }
+
+  /**
+   * Forget cached pricing rules (call after pricing config changes)
+   */
+  clearCache() {
+    this.cachedConfig = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Convert project_config rows into a pricing config object
+   * @param {Array} rows - Rows with config_key and config_value
+   * @returns {Object} Pricing config with defaults for missing keys
+   */
+  normalizeConfig(rows) {
+    const values = {};
+    rows.forEach((row) => {
+      values[row.config_key] = row.config_value;
+    });
+
+    const toAmount = (value, fallback) => {
+      const amount = parseFloat(typeof value === 'string' ? value.replace(/"/g, '') : value);
+      return isNaN(amount) || amount < 0 ? fallback : amount;
+    };
+    const toMarkups = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+
+    return {
+      percent: toAmount(values[PRICING_KEYS.percent], DEFAULT_CONFIG.percent),
+      perTicket: toAmount(values[PRICING_KEYS.perTicket], DEFAULT_CONFIG.perTicket),
+      perOrder: toAmount(values[PRICING_KEYS.perOrder], DEFAULT_CONFIG.perOrder),
+      min: toAmount(values[PRICING_KEYS.min], DEFAULT_CONFIG.min),
+      max: toAmount(values[PRICING_KEYS.max], DEFAULT_CONFIG.max),
+      categoryMarkups: toMarkups(values[PRICING_KEYS.categoryMarkups]),
+      eventMarkups: toMarkups(values[PRICING_KEYS.eventMarkups])
+    };
+  }
+
+  /**
+   * Markup percentage for a ticket group (event markups win over category markups)
+   * @param {Object} config - Pricing config
+   * @param {Object} ticketGroup - TEvo ticket group with its event
+   * @returns {number} Markup percentage
+   */
+  getMarkupPercent(config, ticketGroup) {
+    const event = ticketGroup?.event || {};
+    const eventId = event.id || ticketGroup?.event_id;
+
+    if (eventId && config.eventMarkups[eventId] !== undefined) {
+      return parseFloat(config.eventMarkups[eventId]) || 0;
+    }
+
+    const categoryIds = [event.category?.id, event.category?.parent?.id].filter(Boolean);
+    const categoryId = categoryIds.find((id) => config.categoryMarkups[id] !== undefined);
+
+    return categoryId ? parseFloat(config.categoryMarkups[categoryId]) || 0 : 0;
+  }
+
+  /**
+   * Service fee for one ticket group in an order
+   * @param {Object} config - Pricing config
+   * @param {Object} input - Fee input
+   * @param {Object} input.ticketGroup - TEvo ticket group
+   * @param {number} input.quantity - Ticket quantity
+   * @param {number} input.price - Retail price per ticket
+   * @param {boolean} [input.includeOrderFee=true] - Add the flat per-order fee
+   * @returns {number} Service fee rounded to cents
+   */
+  calculateServiceFee(config, { ticketGroup, quantity, price, includeOrderFee = true }) {
+    const ticketQuantity = parseInt(quantity) || 0;
+    const subtotal = ticketQuantity * (parseFloat(price) || 0);
+    const percent = config.percent + this.getMarkupPercent(config, ticketGroup);
+
+    let fee = subtotal * percent / 100 + ticketQuantity * config.perTicket;
+    if (includeOrderFee) {
+      fee += config.perOrder;
+    }
+
+    if (config.min !== null) {
+      fee = Math.max(fee, config.min);
+    }
+    if (config.max !== null) {
+      fee = Math.min(fee, config.max);
+    }
+
+    return Math.round(fee * 100) / 100;
+  }
+}
+
+module.exports = new PricingService();
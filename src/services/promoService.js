@@ -0,0 +1,326 @@
+const supabaseService = require('./supabaseService');
+
+// Customer-facing messages for promo error codes (also raised by redeem_promo_code)
+const PROMO_ERRORS = {
+  PROMO_NOT_FOUND: 'Promo code not found',
+  PROMO_INACTIVE: 'This promo code is no longer active',
+  PROMO_NOT_STARTED: 'This promo code is not active yet',
+  PROMO_EXPIRED: 'This promo code has expired',
+  PROMO_USAGE_LIMIT_REACHED: 'This promo code has reached its usage limit',
+  PROMO_USER_LIMIT_REACHED: 'You have already used this promo code the maximum number of times',
+  PROMO_NOT_APPLICABLE: 'This promo code does not apply to the selected tickets'
+};
+
+/**
+ * Promo Service
+ *
+ * Validates admin-managed promo codes against a checkout and redeems them.
+ * Redemption goes through redeem_promo_code so usage limits hold under
+ * concurrent checkouts; a redemption is released if its order fails.
+ */
+class PromoService {
+  /**
+   * Normalize a promo code for lookup
+   * @param {string} code - Code as entered by the customer
+   * @returns {string} Trimmed uppercase code
+   */
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Build a structured promo error
+   * @param {string} code - Promo error code
+   * @returns {Object} { valid: false, code, message }
+   */
+  buildError(code) {
+    return { valid: false, code, message: PROMO_ERRORS[code] || 'Invalid promo code' };
+  }
+
+  /**
+   * Get a promo code by its code
+   * @param {string} code - Promo code
+   * @returns {Promise<Object|null>} Promo code row or null
+   */
+  async getPromoByCode(code) {
+    const { data, error } = await supabaseService.adminClient
+      .from('promo_codes')
+      .select('*')
+      .eq('code', this.normalizeCode(code))
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch promo code: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Count how many times a user has redeemed a promo code
+   * @param {string} promoCodeId - Promo code ID
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Redemption count
+   */
+  async getUserRedemptionCount(promoCodeId, userId) {
+    const { count, error } = await supabaseService.adminClient
+      .from('promo_code_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('promo_code_id', promoCodeId)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to count promo redemptions: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Check the active flag, validity window and overall usage limit
+   * @param {Object} promo - Promo code row
+   * @param {Date} [now] - Current time
+   * @returns {Object|null} Structured error or null when usable
+   */
+  getAvailabilityError(promo, now = new Date()) {
+    if (!promo.is_active) {
+      return this.buildError('PROMO_INACTIVE');
+    }
+    if (promo.starts_at && new Date(promo.starts_at) > now) {
+      return this.buildError('PROMO_NOT_STARTED');
+    }
+    if (promo.ends_at && new Date(promo.ends_at) <= now) {
+      return this.buildError('PROMO_EXPIRED');
+    }
+    if (promo.max_uses && promo.uses_count >= promo.max_uses) {
+      return this.buildError('PROMO_USAGE_LIMIT_REACHED');
+    }
+    return null;
+  }
+
+  /**
+   * Whether a ticket group matches the promo's category and event restrictions
+   * @param {Object} promo - Promo code row
+   * @param {Object} ticketGroup - TEvo ticket group with its event
+   * @returns {boolean} True if the promo applies
+   */
+  isTicketGroupEligible(promo, ticketGroup) {
+    const eventIds = (promo.event_ids || []).map(String);
+    const categoryIds = (promo.category_ids || []).map(String);
+
+    if (eventIds.length === 0 && categoryIds.length === 0) {
+      return true;
+    }
+
+    const event = ticketGroup?.event || {};
+    const eventId = event.id || ticketGroup?.event_id;
+    if (eventId && eventIds.includes(String(eventId))) {
+      return true;
+    }
+
+    return [event.category?.id, event.category?.parent?.id]
+      .filter(Boolean)
+      .some((id) => categoryIds.includes(String(id)));
+  }
+
+  /**
+   * Discount for a set of items, split across the eligible items
+   * Discounts only apply to ticket subtotals, never to fees, shipping or tax.
+   * @param {Object} promo - Promo code row
+   * @param {Array} items - [{ ticketGroup, quantity, price }]
+   * @returns {Object} { discount, itemDiscounts } with one amount per item
+   */
+  calculateDiscount(promo, items) {
+    const subtotals = items.map((item) => (
+      this.isTicketGroupEligible(promo, item.ticketGroup)
+        ? (parseInt(item.quantity) || 0) * (parseFloat(item.price) || 0)
+        : 0
+    ));
+    const eligibleSubtotal = subtotals.reduce((sum, amount) => sum + amount, 0);
+    const value = parseFloat(promo.discount_value) || 0;
+
+    const rawDiscount = promo.discount_type === 'percent'
+      ? eligibleSubtotal * value / 100
+      : value;
+    const discount = Math.round(Math.min(rawDiscount, eligibleSubtotal) * 100) / 100;
+
+    // Allocate proportionally; the last eligible item absorbs rounding
+    const lastEligibleIndex = subtotals.map((amount) => amount > 0).lastIndexOf(true);
+    let allocated = 0;
+    const itemDiscounts = subtotals.map((amount, index) => {
+      if (amount === 0 || discount === 0) {
+        return 0;
+      }
+      if (index === lastEligibleIndex) {
+        return Math.round((discount - allocated) * 100) / 100;
+      }
+      const share = Math.round(discount * amount / eligibleSubtotal * 100) / 100;
+      allocated += share;
+      return share;
+    });
+
+    return { discount, itemDiscounts };
+  }
+
+  /**
+   * Validate a promo code for a user's checkout
+   * @param {string} code - Promo code
+   * @param {string} userId - User ID
+   * @param {Array} items - [{ ticketGroup, quantity, price }]
+   * @returns {Promise<Object>} { valid: true, promo, discount, itemDiscounts } or a structured error
+   */
+  async validatePromo(code, userId, items) {
+    const promo = await this.getPromoByCode(code);
+    if (!promo) {
+      return this.buildError('PROMO_NOT_FOUND');
+    }
+
+    const availabilityError = this.getAvailabilityError(promo);
+    if (availabilityError) {
+      return availabilityError;
+    }
+
+    if (promo.max_uses_per_user && userId) {
+      const userUses = await this.getUserRedemptionCount(promo.id, userId);
+      if (userUses >= promo.max_uses_per_user) {
+        return this.buildError('PROMO_USER_LIMIT_REACHED');
+      }
+    }
+
+    const { discount, itemDiscounts } = this.calculateDiscount(promo, items);
+    if (discount <= 0) {
+      return this.buildError('PROMO_NOT_APPLICABLE');
+    }
+
+    return { valid: true, promo, discount, itemDiscounts };
+  }
+
+  /**
+   * Atomically redeem a promo code
+   * @param {Object} promo - Promo code row
+   * @param {string} userId - User ID
+   * @param {number} discount - Discount granted
+   * @returns {Promise<Object>} { valid: true, redemption } or a structured error
+   */
+  async redeem(promo, userId, discount) {
+    const { data, error } = await supabaseService.adminClient.rpc('redeem_promo_code', {
+      promo_code: promo.code,
+      redeeming_user_id: userId,
+      discount
+    });
+
+    if (error) {
+      const code = Object.keys(PROMO_ERRORS).find((key) => error.message?.includes(key));
+      if (code) {
+        return this.buildError(code);
+      }
+      throw new Error(`Failed to redeem promo code ${promo.code}: ${error.message}`);
+    }
+
+    console.log(`✅ Promo code ${promo.code} redeemed (${discount})`);
+    return { valid: true, redemption: data };
+  }
+
+  /**
+   * Release a redemption whose order could not be placed
+   * @param {string} redemptionId - Redemption ID
+   */
+  async releaseRedemption(redemptionId) {
+    const { error } = await supabaseService.adminClient.rpc('release_promo_redemption', {
+      redemption_id: redemptionId
+    });
+
+    if (error) {
+      console.error(`❌ Failed to release promo redemption ${redemptionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Link a redemption to the orders it paid for
+   * @param {string} redemptionId - Redemption ID
+   * @param {Object} details - { orderIds, tevoOrderIds, discount }
+   */
+  async recordRedemptionOrders(redemptionId, { orderIds = [], tevoOrderIds = [], discount }) {
+    const { error } = await supabaseService.adminClient
+      .from('promo_code_redemptions')
+      .update({
+        order_ids: orderIds.filter(Boolean),
+        tevo_order_ids: tevoOrderIds.filter(Boolean).map(String),
+        discount_amount: discount
+      })
+      .eq('id', redemptionId);
+
+    if (error) {
+      console.error(`❌ Failed to link promo redemption ${redemptionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Build a promo_codes row from admin input
+   * @param {Object} input - Request body
+   * @param {Object} [options] - { partial: true } for updates
+   * @returns {Object} { record } or { error } with a message
+   */
+  buildPromoRecord(input, { partial = false } = {}) {
+    const record = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (has('code') || !partial) {
+      record.code = this.normalizeCode(input.code);
+      if (!/^[A-Z0-9_-]{3,32}$/.test(record.code)) {
+        return { error: 'code must be 3-32 letters, numbers, dashes or underscores' };
+      }
+    }
+
+    if (has('discount_type') || !partial) {
+      if (!['percent', 'fixed'].includes(input.discount_type)) {
+        return { error: 'discount_type must be percent or fixed' };
+      }
+      record.discount_type = input.discount_type;
+    }
+
+    if (has('discount_value') || !partial) {
+      const value = parseFloat(input.discount_value);
+      if (!(value > 0)) {
+        return { error: 'discount_value must be greater than 0' };
+      }
+      if ((record.discount_type || input.discount_type) === 'percent' && value > 100) {
+        return { error: 'Percentage discounts cannot exceed 100' };
+      }
+      record.discount_value = value;
+    }
+
+    ['max_uses', 'max_uses_per_user'].forEach((key) => {
+      if (has(key)) {
+        record[key] = input[key] === null ? null : parseInt(input[key]) || null;
+      }
+    });
+
+    ['starts_at', 'ends_at'].forEach((key) => {
+      if (has(key)) {
+        record[key] = input[key] || null;
+      }
+    });
+
+    ['category_ids', 'event_ids'].forEach((key) => {
+      if (has(key)) {
+        record[key] = Array.isArray(input[key]) ? input[key].map(String) : [];
+      }
+    });
+
+    if (has('description')) {
+      record.description = input.description;
+    }
+    if (has('is_active')) {
+      record.is_active = Boolean(input.is_active);
+    }
+
+    if (record.starts_at && record.ends_at && new Date(record.ends_at) <= new Date(record.starts_at)) {
+      return { error: 'ends_at must be after starts_at' };
+    }
+
+    return { record };
+  }
+}
+
+module.exports = new PromoService();
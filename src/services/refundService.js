@@ -0,0 +1,264 @@
+const supabaseService = require('./supabaseService');
+const ticketEvolutionService = require('./ticketEvolutionService');
+const emailService = require('./emailService');
+const { isUuid } = require('../utils/uuid');
+
+// Admin-facing messages for refund error codes (also raised by request_order_adjustment)
+const REFUND_ERRORS = {
+  ORDER_NOT_FOUND: 'Order not found',
+  INVALID_REASON: 'A reason of at most 1000 characters is required',
+  INVALID_AMOUNT: 'Refund amount must be a positive amount in dollars and cents',
+  ADJUSTMENT_IN_PROGRESS: 'Another cancellation or refund for this order is still being processed',
+  ORDER_ALREADY_CANCELLED: 'This order has already been cancelled',
+  ORDER_NOT_CANCELLABLE: 'Completed orders cannot be cancelled; issue a refund instead',
+  ORDER_NOT_REFUNDABLE: 'This order has no payment left to refund',
+  REFUND_EXCEEDS_BALANCE: 'Refund amount is more than the amount left to refund',
+  TEVO_REQUEST_FAILED: 'Ticket Evolution rejected the request',
+  ADJUSTMENT_NOT_FOUND: 'No pending cancellation or refund with this ID on the order',
+  INVALID_RECONCILE_STATUS: "status must be 'completed' or 'failed'"
+};
+
+/**
+ * Refund Service
+ *
+ * Cancels and refunds orders through the TEvo order APIs. Every request is
+ * reserved in order_adjustments first (the audit trail), so two admins cannot
+ * refund the same balance twice; it is completed or marked failed depending on
+ * TEvo's answer, and the customer is emailed once it goes through. An adjustment
+ * TEvo accepted but that could not be completed is left 'requested' and flagged
+ * for an admin to settle with reconcileAdjustment.
+ */
+class RefundService {
+  /**
+   * Build a structured refund error
+   * @param {string} code - Refund error code
+   * @param {string} [message] - Overrides the default message
+   * @returns {Object} { valid: false, code, message }
+   */
+  buildError(code, message) {
+    return { valid: false, code, message: message || REFUND_ERRORS[code] || 'Refund request failed' };
+  }
+
+  /**
+   * Validate the admin's reason and optional amount
+   * @param {Object} input - { reason, amount }
+   * @returns {Object} { reason, amount } or { error }
+   */
+  parseRequest({ reason, amount } = {}) {
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (!trimmedReason || trimmedReason.length > 1000) {
+      return { error: this.buildError('INVALID_REASON') };
+    }
+
+    if (amount === undefined || amount === null || amount === '') {
+      return { reason: trimmedReason, amount: null };
+    }
+
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0 || Math.abs(Math.round(value * 100) - value * 100) > 1e-6) {
+      return { error: this.buildError('INVALID_AMOUNT') };
+    }
+
+    return { reason: trimmedReason, amount: value };
+  }
+
+  /**
+   * Reserve an adjustment in the audit trail
+   * @returns {Promise<Object>} { valid: true, adjustment } or a refund error
+   */
+  async requestAdjustment(order, action, { amount, reason, userId }) {
+    const { data, error } = await supabaseService.adminClient.rpc('request_order_adjustment', {
+      order_uuid: order.id,
+      adjustment_action: action,
+      adjustment_amount: amount,
+      adjustment_reason: reason,
+      requesting_user_id: userId
+    });
+
+    if (error) {
+      const code = Object.keys(REFUND_ERRORS).find((key) => error.message?.includes(key));
+      if (code) {
+        return this.buildError(code);
+      }
+      throw new Error(`Failed to record ${action} for order ${order.order_number}: ${error.message}`);
+    }
+
+    return { valid: true, adjustment: data };
+  }
+
+  /**
+   * Record that TEvo rejected an adjustment
+   */
+  async failAdjustment(adjustmentId, message) {
+    const { error } = await supabaseService.adminClient
+      .from('order_adjustments')
+      .update({ status: 'failed', error_message: message })
+      .eq('id', adjustmentId);
+
+    if (error) {
+      console.error(`❌ Failed to mark order adjustment ${adjustmentId} as failed:`, error.message);
+    }
+  }
+
+  /**
+   * Keep TEvo's answer on an adjustment that could not be completed, so it can be
+   * completed later without asking TEvo again
+   */
+  async flagForReconciliation(adjustmentId, tevoResponse, message) {
+    const { error } = await supabaseService.adminClient
+      .from('order_adjustments')
+      .update({ tevo_response: tevoResponse || {}, error_message: `Needs reconciliation: ${message}` })
+      .eq('id', adjustmentId);
+
+    if (error) {
+      console.error(`❌ Failed to flag order adjustment ${adjustmentId} for reconciliation:`, error.message);
+    }
+  }
+
+  /**
+   * Apply an adjustment TEvo accepted to the stored order
+   */
+  async completeAdjustment(adjustmentId, tevoResponse) {
+    const { data, error } = await supabaseService.adminClient.rpc('complete_order_adjustment', {
+      adjustment_id: adjustmentId,
+      response: tevoResponse || {}
+    });
+
+    if (error) {
+      throw new Error(`Failed to complete order adjustment ${adjustmentId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Reserve, send to TEvo, complete and notify
+   * @param {Object} order - Stored order row
+   * @param {string} action - 'cancel' or 'refund'
+   * @param {Object} input - { reason, amount, userId }
+   * @returns {Promise<Object>} { valid: true, adjustment, email } or a refund error
+   */
+  async processAdjustment(order, action, { reason, amount, userId }) {
+    const request = await this.requestAdjustment(order, action, { amount, reason, userId });
+    if (!request.valid) {
+      return request;
+    }
+
+    let tevoResponse;
+    try {
+      tevoResponse = action === 'cancel'
+        ? await ticketEvolutionService.cancelOrder(order.tevo_order_id, { reason })
+        : await ticketEvolutionService.refundOrder(order.tevo_order_id, { amount: parseFloat(request.adjustment.amount), reason });
+    } catch (error) {
+      await this.failAdjustment(request.adjustment.id, error.message);
+      return this.buildError('TEVO_REQUEST_FAILED', `${REFUND_ERRORS.TEVO_REQUEST_FAILED}: ${error.message}`);
+    }
+
+    // TEvo has moved the money by now, so a failure here is not a failed request:
+    // the adjustment stays 'requested' (blocking further adjustments) until reconciled
+    let adjustment;
+    try {
+      adjustment = await this.completeAdjustment(request.adjustment.id, tevoResponse);
+    } catch (error) {
+      console.error(`❌ Order ${order.order_number} ${action} went through at TEvo but was not recorded; adjustment ${request.adjustment.id} needs reconciliation:`, error.message);
+      await this.flagForReconciliation(request.adjustment.id, tevoResponse, error.message);
+      return { valid: true, adjustment: request.adjustment, email: null, needs_reconciliation: true };
+    }
+    console.log(`✅ Order ${order.order_number} ${action === 'cancel' ? 'cancelled' : `refunded ${adjustment.amount}`}`);
+
+    const email = await emailService.sendOrderAdjustment(order.id, adjustment);
+
+    return { valid: true, adjustment, email };
+  }
+
+  /**
+   * Settle an adjustment left 'requested', once an admin has checked its outcome
+   * at TEvo: 'completed' applies it to the order and emails the customer,
+   * 'failed' only closes it. Either way the order accepts new adjustments again.
+   * @param {Object} order - Stored order row
+   * @param {string} adjustmentId - order_adjustments ID
+   * @param {Object} input - { status: 'completed' or 'failed', message }
+   * @returns {Promise<Object>} { valid: true, adjustment, email } or a refund error
+   */
+  async reconcileAdjustment(order, adjustmentId, { status, message }) {
+    if (!['completed', 'failed'].includes(status)) {
+      return this.buildError('INVALID_RECONCILE_STATUS');
+    }
+
+    if (!isUuid(adjustmentId)) {
+      return this.buildError('ADJUSTMENT_NOT_FOUND');
+    }
+
+    const { data: pending, error } = await supabaseService.adminClient
+      .from('order_adjustments')
+      .select('*')
+      .eq('id', adjustmentId)
+      .eq('order_id', order.id)
+      .eq('status', 'requested')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch order adjustment ${adjustmentId}: ${error.message}`);
+    }
+
+    if (!pending) {
+      return this.buildError('ADJUSTMENT_NOT_FOUND');
+    }
+
+    if (status === 'failed') {
+      const errorMessage = message || 'Marked failed during reconciliation';
+      await this.failAdjustment(adjustmentId, errorMessage);
+      console.log(`✅ Order ${order.order_number} adjustment ${adjustmentId} reconciled as failed`);
+      return { valid: true, adjustment: { ...pending, status: 'failed', error_message: errorMessage }, email: null };
+    }
+
+    const adjustment = await this.completeAdjustment(adjustmentId, pending.tevo_response);
+    console.log(`✅ Order ${order.order_number} adjustment ${adjustmentId} reconciled as completed`);
+
+    const email = await emailService.sendOrderAdjustment(order.id, adjustment);
+
+    return { valid: true, adjustment, email };
+  }
+
+  /**
+   * Cancel an order and refund whatever was paid and has not been refunded yet
+   * (nothing when the payment was never captured)
+   * @param {Object} order - Stored order row
+   * @param {Object} input - { reason, userId }
+   * @returns {Promise<Object>} { valid: true, adjustment, email } or a refund error
+   */
+  async cancelOrder(order, { reason, userId }) {
+    return this.processAdjustment(order, 'cancel', { reason, amount: null, userId });
+  }
+
+  /**
+   * Refund part or all of an order
+   * @param {Object} order - Stored order row
+   * @param {Object} input - { reason, amount (null for the full remaining balance), userId }
+   * @returns {Promise<Object>} { valid: true, adjustment, email } or a refund error
+   */
+  async refundOrder(order, { reason, amount, userId }) {
+    return this.processAdjustment(order, 'refund', { reason, amount, userId });
+  }
+
+  /**
+   * Get the cancellation and refund history of an order (oldest first)
+   * @param {string} orderId - Local order UUID
+   * @returns {Promise<Array>} order_adjustments rows
+   */
+  async getAdjustments(orderId) {
+    const { data, error } = await supabaseService.adminClient
+      .from('order_adjustments')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch order adjustments: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,216 @@
+const supabaseService = require('./supabaseService');
+const ticketEvolutionService = require('./ticketEvolutionService');
+const ticketGroupValidator = require('./ticketGroupValidator');
+
+// Saved events refreshed from TEvo at the same time
+const REFRESH_CONCURRENCY = 4;
+
+/**
+ * Saved Events Service
+ *
+ * Manages a user's saved (favorite) events in saved_events. Each row keeps a
+ * snapshot of the event taken from TEvo when it was saved, plus a price
+ * snapshot (lowest price and tickets available) the list can refresh.
+ */
+class SavedEventsService {
+  /**
+   * Snapshot the event details we show in the saved events list
+   * @param {Object} event - TEvo event
+   * @returns {Object} saved_events columns
+   */
+  buildEventSnapshot(event) {
+    const venue = event.venue || {};
+    const address = venue.address || {};
+
+    return {
+      event_name: event.name || 'Unknown Event',
+      event_date: event.occurs_at || null,
+      venue_name: venue.name || null,
+      venue_location: venue.location || [address.locality, address.region].filter(Boolean).join(', ') || null
+    };
+  }
+
+  /**
+   * Summarize the available ticket groups of an event
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @returns {Object} { lowest_price, tickets_available }
+   */
+  summarizeTicketGroups(ticketGroups) {
+    let lowestPrice = null;
+    let ticketsAvailable = 0;
+
+    for (const ticketGroup of ticketGroups) {
+      const available = ticketGroupValidator.getAvailableQuantity(ticketGroup) || 0;
+      const price = ticketGroupValidator.getRetailPrice(ticketGroup);
+      if (available <= 0) {
+        continue;
+      }
+
+      ticketsAvailable += available;
+      if (price !== null && (lowestPrice === null || price < lowestPrice)) {
+        lowestPrice = price;
+      }
+    }
+
+    return { lowest_price: lowestPrice, tickets_available: ticketsAvailable };
+  }
+
+  /**
+   * Fetch the current lowest price and availability of an event
+   * @param {string|number} eventId - TEvo event ID
+   * @returns {Promise<Object>} { lowest_price, tickets_available, price_checked_at }
+   */
+  async getPriceSnapshot(eventId) {
+    const { ticketGroups } = await ticketEvolutionService.getEventTicketGroupsLightweight(eventId);
+
+    return {
+      ...this.summarizeTicketGroups(ticketGroups),
+      price_checked_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Whether an event has already taken place
+   */
+  isPast(savedEvent) {
+    return Boolean(savedEvent.event_date) && new Date(savedEvent.event_date) < new Date();
+  }
+
+  /**
+   * List a user's saved events (soonest first, past events last)
+   * @param {string} userId - Supabase user ID
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Refresh the price snapshot of upcoming events
+   * @returns {Promise<Array>} saved_events rows with is_past
+   */
+  async getSavedEvents(userId, { refresh = false } = {}) {
+    const { data, error } = await supabaseService.adminClient
+      .from('saved_events')
+      .select('*')
+      .eq('user_id', userId)
+      .order('event_date', { ascending: true, nullsFirst: false });
+
+    if (error) {
+      console.error('Error fetching saved events:', error);
+      throw new Error(`Failed to fetch saved events: ${error.message}`);
+    }
+
+    let savedEvents = data || [];
+
+    if (refresh) {
+      savedEvents = await this.refreshSavedEvents(savedEvents);
+    }
+
+    return savedEvents
+      .map((savedEvent) => ({ ...savedEvent, is_past: this.isPast(savedEvent) }))
+      .sort((a, b) => Number(a.is_past) - Number(b.is_past));
+  }
+
+  /**
+   * Refresh the upcoming events of a list, REFRESH_CONCURRENCY TEvo lookups at a time
+   * @param {Array} savedEvents - saved_events rows
+   * @returns {Promise<Array>} Rows in the same order, upcoming ones refreshed
+   */
+  async refreshSavedEvents(savedEvents) {
+    const refreshed = [...savedEvents];
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < refreshed.length) {
+        const index = nextIndex++;
+        if (!this.isPast(refreshed[index])) {
+          refreshed[index] = await this.refreshSavedEvent(refreshed[index]);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(REFRESH_CONCURRENCY, refreshed.length) }, worker));
+    return refreshed;
+  }
+
+  /**
+   * Refresh the price snapshot of a saved event (keeps the old snapshot on failure)
+   * @param {Object} savedEvent - saved_events row
+   * @returns {Promise<Object>} Updated row
+   */
+  async refreshSavedEvent(savedEvent) {
+    try {
+      const snapshot = await this.getPriceSnapshot(savedEvent.event_id);
+
+      const { data, error } = await supabaseService.adminClient
+        .from('saved_events')
+        .update(snapshot)
+        .eq('id', savedEvent.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return data;
+    } catch (error) {
+      console.error(`⚠️ Failed to refresh saved event ${savedEvent.event_id}:`, error.message);
+      return savedEvent;
+    }
+  }
+
+  /**
+   * Save an event for a user, snapshotting it from TEvo
+   * @param {string} userId - Supabase user ID
+   * @param {string|number} eventId - TEvo event ID
+   * @returns {Promise<Object>} Stored saved_events row
+   */
+  async saveEvent(userId, eventId) {
+    const event = await ticketEvolutionService.getEvent(eventId);
+
+    let priceSnapshot = {};
+    try {
+      priceSnapshot = await this.getPriceSnapshot(eventId);
+    } catch (error) {
+      console.error(`⚠️ Failed to fetch prices for saved event ${eventId}:`, error.message);
+    }
+
+    const { data, error } = await supabaseService.adminClient
+      .from('saved_events')
+      .upsert({
+        user_id: userId,
+        event_id: String(eventId),
+        ...this.buildEventSnapshot(event),
+        ...priceSnapshot
+      }, { onConflict: 'user_id,event_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving event:', error);
+      throw new Error(`Failed to save event: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Remove a saved event
+   * @param {string} userId - Supabase user ID
+   * @param {string|number} eventId - TEvo event ID
+   * @returns {Promise<boolean>} True if the event was saved
+   */
+  async removeSavedEvent(userId, eventId) {
+    const { data, error } = await supabaseService.adminClient
+      .from('saved_events')
+      .delete()
+      .eq('user_id', userId)
+      .eq('event_id', String(eventId))
+      .select('id');
+
+    if (error) {
+      console.error('Error removing saved event:', error);
+      throw new Error(`Failed to remove saved event: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+  }
+}
+
+module.exports = new SavedEventsService();
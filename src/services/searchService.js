@@ -0,0 +1,157 @@
+const supabaseService = require('./supabaseService');
+const ticketEvolutionService = require('./ticketEvolutionService');
+
+// Search types and the search_history.search_type each one is logged as
+const SEARCH_TYPES = {
+  all: 'general',
+  events: 'event',
+  performers: 'artist',
+  venues: 'venue'
+};
+
+const RESOURCES = ['events', 'performers', 'venues'];
+
+/**
+ * Search Service
+ *
+ * Proxies TEvo's event, performer and venue text search, groups the results by
+ * type and keeps a per-user search history in search_history.
+ */
+class SearchService {
+  /**
+   * Validate search parameters
+   * @param {Object} query - Request query (q, type, page, limit)
+   * @param {Object} limits - { defaultLimit, maxLimit }
+   * @returns {Object} { q, type, page, limit } or { error }
+   */
+  parseSearch({ q, type = 'all', page, limit } = {}, { defaultLimit, maxLimit }) {
+    const text = typeof q === 'string' ? q.trim().replace(/\s+/g, ' ') : '';
+
+    if (text.length < 2 || text.length > 100) {
+      return { error: 'q must be between 2 and 100 characters' };
+    }
+
+    if (!SEARCH_TYPES[type]) {
+      return { error: `type must be one of: ${Object.keys(SEARCH_TYPES).join(', ')}` };
+    }
+
+    return {
+      q: text,
+      type,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(maxLimit, Math.max(1, parseInt(limit) || defaultLimit))
+    };
+  }
+
+  /**
+   * Search TEvo and group the results by type
+   * @param {Object} params - Output of parseSearch
+   * @returns {Promise<Object>} { results: { events, performers, venues }, total }
+   */
+  async search({ q, type, page, limit }) {
+    const resources = type === 'all' ? RESOURCES : [type];
+
+    const settled = await Promise.allSettled(
+      resources.map((resource) => ticketEvolutionService.search(resource, q, page, limit))
+    );
+
+    if (settled.every((outcome) => outcome.status === 'rejected')) {
+      throw settled[0].reason;
+    }
+
+    const results = {};
+    let total = 0;
+
+    resources.forEach((resource, index) => {
+      const outcome = settled[index];
+
+      if (outcome.status === 'rejected') {
+        console.error(`⚠️ ${resource} search failed:`, outcome.reason?.message);
+        results[resource] = { items: [], pagination: null, error: 'Search temporarily unavailable' };
+        return;
+      }
+
+      results[resource] = {
+        items: outcome.value[resource],
+        pagination: outcome.value.pagination
+      };
+      total += outcome.value.pagination.total_entries;
+    });
+
+    return { results, total };
+  }
+
+  /**
+   * Log a search to the user's history (never throws)
+   * @param {string} userId - Supabase user ID
+   * @param {Object} search - { q, type, resultsCount }
+   */
+  async recordSearch(userId, { q, type, resultsCount }) {
+    const { error } = await supabaseService.adminClient
+      .from('search_history')
+      .insert({
+        user_id: userId,
+        search_query: q,
+        search_type: SEARCH_TYPES[type],
+        results_count: resultsCount
+      });
+
+    if (error) {
+      console.error('❌ Failed to record search history:', error.message);
+    }
+  }
+
+  /**
+   * Get a user's recent searches, newest first, without repeated queries
+   * @param {string} userId - Supabase user ID
+   * @param {number} limit - Maximum number of searches
+   * @returns {Promise<Array>} search_history rows
+   */
+  async getHistory(userId, limit) {
+    const { data, error } = await supabaseService.adminClient
+      .from('search_history')
+      .select('id, search_query, search_type, results_count, searched_at')
+      .eq('user_id', userId)
+      .order('searched_at', { ascending: false })
+      // Over-fetch so repeated searches can be collapsed
+      .limit(limit * 5);
+
+    if (error) {
+      console.error('Error fetching search history:', error);
+      throw new Error(`Failed to fetch search history: ${error.message}`);
+    }
+
+    const seen = new Set();
+    return (data || [])
+      .filter((entry) => {
+        const key = `${entry.search_type}:${entry.search_query.toLowerCase()}`;
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Delete a user's search history
+   * @param {string} userId - Supabase user ID
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async clearHistory(userId) {
+    const { count, error } = await supabaseService.adminClient
+      .from('search_history')
+      .delete({ count: 'exact' })
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error clearing search history:', error);
+      throw new Error(`Failed to clear search history: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+}
+
+module.exports = new SearchService();
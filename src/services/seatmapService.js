@@ -0,0 +1,78 @@
+const eventDetailService = require('./eventDetailService');
+const ticketGroupFilterService = require('./ticketGroupFilterService');
+const ticketGroupValidator = require('./ticketGroupValidator');
+const { getSectionKey } = require('../utils/sectionKey');
+
+/**
+ * Seatmap Service
+ *
+ * Aggregates an event's ticket groups by section so the frontend can color the
+ * seatmap without downloading every listing.
+ */
+class SeatmapService {
+  /**
+   * Group ticket groups by seatmap section
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @returns {Array} Sections with price range, listing count, quantity and formats
+   */
+  aggregateSections(ticketGroups) {
+    const sections = new Map();
+
+    for (const ticketGroup of ticketGroups) {
+      const quantity = ticketGroupValidator.getAvailableQuantity(ticketGroup) || 0;
+      // TEvo's section mapping matches the map; fall back to the seller's section name
+      const name = ticketGroup.tevo_section_name || ticketGroup.section;
+      const key = getSectionKey(ticketGroup);
+      if (quantity <= 0 || !key) {
+        continue;
+      }
+
+      const price = ticketGroupValidator.getRetailPrice(ticketGroup);
+      const section = sections.get(key) || {
+        key,
+        name: String(name).trim(),
+        min_price: null,
+        max_price: null,
+        listings: 0,
+        total_quantity: 0,
+        formats: []
+      };
+
+      section.listings += 1;
+      section.total_quantity += quantity;
+      if (price !== null) {
+        section.min_price = section.min_price === null ? price : Math.min(section.min_price, price);
+        section.max_price = section.max_price === null ? price : Math.max(section.max_price, price);
+      }
+
+      const format = ticketGroupFilterService.getFormat(ticketGroup);
+      if (!section.formats.includes(format)) {
+        section.formats.push(format);
+      }
+
+      sections.set(key, section);
+    }
+
+    return Array.from(sections.values())
+      .map((section) => ({ ...section, formats: section.formats.sort() }))
+      .sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+  }
+
+  /**
+   * Get an event's seatmap sections
+   * @param {number} eventId - TEvo event ID
+   * @returns {Promise<Object>} { eventId, configurationId, sections, complete }
+   */
+  async getEventSections(eventId) {
+    const { ticketGroups, configurationId, complete } = await eventDetailService.getAllTicketGroups(eventId);
+
+    return {
+      eventId,
+      configurationId,
+      sections: this.aggregateSections(ticketGroups),
+      complete
+    };
+  }
+}
+
+module.exports = new SeatmapService();
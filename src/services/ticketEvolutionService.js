@@ -2,6 +2,10 @@ const axios = require('axios');
 const config = require('../config/config');
 const coordinateResolver = require('./coordinateResolver');
 const tevoSignature = require('./tevoSignatureService');
+const cacheService = require('./cacheService');
+
+// Largest per_page TEvo accepts; bigger requests are merged from several pages
+const TEVO_MAX_PER_PAGE = 100;
 
 class TicketEvolutionService {
   constructor() {
@@ -10,16 +14,12 @@ class TicketEvolutionService {
     this.environment = config.ticketEvolution.environment;
     this.timeout = config.ticketEvolution.timeout;
 
-    // Development cache to reduce API calls
-    this.requestCache = new Map();
-    this.cacheTimeout = process.env.NODE_ENV === 'development' ? 30000 : 0; // 30 seconds in dev
-
     if (!this.apiToken) {
       throw new Error('TICKET_EVOLUTION_API_TOKEN is required. Please set the environment variable.');
     }
 
     console.log(`🎫 TicketEvolution: ${this.environment.toUpperCase()} mode initialized`);
-    console.log(`💾 Request caching: ${this.cacheTimeout > 0 ? `Enabled (${this.cacheTimeout}ms)` : 'Disabled'}`);
+    console.log(`💾 Request caching: ${cacheService.describe()}`);
 
     // Create axios instance with default configuration
     this.client = axios.create({
@@ -150,49 +150,24 @@ class TicketEvolutionService {
     return normalized;
   }
 
-  getCachedResponse(cacheKey) {
-    if (this.cacheTimeout === 0) return null;
-
-    const cached = this.requestCache.get(cacheKey);
-    if (!cached) return null;
-
-    if (Date.now() - cached.timestamp > this.cacheTimeout) {
-      this.requestCache.delete(cacheKey);
-      return null;
-    }
+  // Read a cached response; namespace picks the TTL (see config.cache.ttlSeconds)
+  async getCachedResponse(namespace, cacheKey) {
+    const cached = await cacheService.get(namespace, cacheKey);
+    if (cached === undefined) return null;
 
     console.log(`💾 Cache hit for: ${cacheKey}`);
-    return cached.data;
+    return cached;
   }
 
-  setCachedResponse(cacheKey, data) {
-    if (this.cacheTimeout === 0) return;
-
-    this.requestCache.set(cacheKey, {
-      data,
-      timestamp: Date.now()
-    });
-
+  async setCachedResponse(namespace, cacheKey, data) {
+    await cacheService.set(namespace, cacheKey, data);
     console.log(`💾 Cached response for: ${cacheKey}`);
   }
 
   // Clear cache for debugging or when cache issues occur
-  clearCache(pattern = null) {
-    if (pattern) {
-      // Clear cache entries matching a pattern
-      const keysToDelete = [];
-      for (const key of this.requestCache.keys()) {
-        if (key.includes(pattern)) {
-          keysToDelete.push(key);
-        }
-      }
-      keysToDelete.forEach(key => this.requestCache.delete(key));
-      console.log(`🧹 Cleared ${keysToDelete.length} cache entries matching pattern: ${pattern}`);
-    } else {
-      // Clear all cache
-      this.requestCache.clear();
-      console.log(`🧹 Cleared all cache entries`);
-    }
+  async clearCache(pattern = null) {
+    await cacheService.clear(pattern);
+    console.log(pattern ? `🧹 Cleared cache entries matching pattern: ${pattern}` : `🧹 Cleared all cache entries`);
   }
 
   // Error handler - logs actual TicketEvolution API error messages
@@ -242,12 +217,63 @@ class TicketEvolutionService {
     }
   }
 
+  // Pagination metadata based on the page size TEvo actually used
+  buildPagination(data, page, limit) {
+    const currentPage = parseInt(data.current_page) || page;
+    const perPage = parseInt(data.per_page) || Math.min(limit, TEVO_MAX_PER_PAGE);
+    const totalEntries = parseInt(data.total_entries) || 0;
+    const totalPages = Math.ceil(totalEntries / perPage);
+
+    return {
+      current_page: currentPage,
+      per_page: perPage,
+      total_entries: totalEntries,
+      total_pages: totalPages,
+      has_next: currentPage < totalPages,
+      has_prev: currentPage > 1
+    };
+  }
+
+  // Fetch one page of `limit` items from a TEvo list endpoint. Limits above
+  // TEvo's per_page cap are served by fetching and merging consecutive pages.
+  async fetchPages(path, key, params, page, limit) {
+    if (limit <= TEVO_MAX_PER_PAGE) {
+      const response = await this.client.get(path, { params: { ...params, page, per_page: limit } });
+      return {
+        items: response.data[key] || [],
+        pagination: this.buildPagination(response.data, page, limit)
+      };
+    }
+
+    const offset = (page - 1) * limit;
+    const firstPage = Math.floor(offset / TEVO_MAX_PER_PAGE) + 1;
+    const lastPage = Math.floor((offset + limit - 1) / TEVO_MAX_PER_PAGE) + 1;
+
+    const first = await this.client.get(path, { params: { ...params, page: firstPage, per_page: TEVO_MAX_PER_PAGE } });
+    const totalEntries = parseInt(first.data.total_entries) || 0;
+    const availablePages = Math.ceil(totalEntries / TEVO_MAX_PER_PAGE);
+
+    const rest = await Promise.all(
+      Array.from({ length: Math.max(0, Math.min(lastPage, availablePages) - firstPage) }, (_, index) => (
+        this.client.get(path, { params: { ...params, page: firstPage + index + 1, per_page: TEVO_MAX_PER_PAGE } })
+      ))
+    );
+
+    const items = [first, ...rest].flatMap((response) => response.data[key] || []);
+    const start = offset - (firstPage - 1) * TEVO_MAX_PER_PAGE;
+
+    return {
+      items: items.slice(start, start + limit),
+      pagination: this.buildPagination({ current_page: page, per_page: limit, total_entries: totalEntries }, page, limit)
+    };
+  }
+
   // Get events with filtering and pagination
   async getEvents(filters = {}, page = 1, limit = 20, requestId = 'unknown') {
     try {
-      // Check cache in development mode first
+      // Check cache first
       const cacheKey = this.getCacheKey('events', { filters, page, limit });
-      const cachedResponse = this.getCachedResponse(cacheKey);
+      const cachedResponse = await this.getCachedResponse('events', cacheKey);
       if (cachedResponse) {
         return cachedResponse;
       }
@@ -262,11 +288,21 @@ class TicketEvolutionService {
 
       // Build TEvo API parameters using the coordinate resolver
       const baseParams = {
-        page,
-        per_page: Math.min(limit, 100),
-        category_id: filters.category_id
+        category_id: filters.category_id,
+        performer_id: filters.performer_id,
+        venue_id: filters.venue_id,
+        'occurs_at.gte': filters['occurs_at.gte'],
+        'occurs_at.lte': filters['occurs_at.lte'],
+        order_by: filters.order_by,
+        min_and_max_price: filters.min_and_max_price,
+        q: filters.q
       };
 
+      // Available tickets only unless the caller opts out
+      if (filters.only_with_available_tickets !== undefined) {
+        baseParams.only_with_available_tickets = filters.only_with_available_tickets;
+      }
+
       // Use coordinate resolver to build location parameters
       const radiusMiles = filters.within || 50; // Default 50 miles if within is specified
       const apiParams = coordinateResolver.buildTEvoParams(coordinates, radiusMiles, baseParams);
@@ -287,16 +323,13 @@ class TicketEvolutionService {
         ip: apiParams.ip ? '[REDACTED]' : undefined
       });
 
-      const response = await this.client.get('/events', { params: apiParams });
+      // Text queries go through TEvo's event search
+      const path = filters.q ? '/events/search' : '/events';
+      const { items, pagination } = await this.fetchPages(path, 'events', apiParams, page, limit);
 
       const result = {
-        events: response.data.events || [],
-        pagination: {
-          current_page: response.data.current_page || page,
-          per_page: response.data.per_page || limit,
-          total_entries: response.data.total_entries || 0,
-          total_pages: Math.ceil((response.data.total_entries || 0) / limit),
-        },
+        events: items,
+        pagination,
         locationContext: coordinates ? {
           source: coordinates.source,
           accuracy: coordinates.accuracy,
@@ -305,8 +338,8 @@ class TicketEvolutionService {
         } : null
       };
 
-      // Cache the response in development mode
-      this.setCachedResponse(cacheKey, result);
+      // Cache the response
+      await this.setCachedResponse('events', cacheKey, result);
 
       return result;
     } catch (error) {
@@ -333,17 +366,11 @@ class TicketEvolutionService {
   async getEventTickets(eventId, page = 1, limit = 20) {
 
     try {
-      const params = { page, per_page: Math.min(limit, 100) };
-      const response = await this.client.get(`/events/${eventId}/tickets`, { params });
+      const { items, pagination } = await this.fetchPages(`/events/${eventId}/tickets`, 'tickets', {}, page, limit);
 
       return {
-        tickets: response.data.tickets || [],
-        pagination: {
-          current_page: response.data.current_page || page,
-          per_page: response.data.per_page || limit,
-          total_entries: response.data.total_entries || 0,
-          total_pages: Math.ceil((response.data.total_entries || 0) / limit),
-        },
+        tickets: items,
+        pagination
       };
     } catch (error) {
       console.error('❌ getEventTickets error:', error.message);
@@ -356,7 +383,7 @@ class TicketEvolutionService {
     try {
       // Check cache first
       const cacheKey = this.getCacheKey(`ticket-groups-${eventId}`, { page, limit });
-      const cachedResponse = this.getCachedResponse(cacheKey);
+      const cachedResponse = await this.getCachedResponse('ticket-groups', cacheKey);
       if (cachedResponse) {
         return cachedResponse;
       }
@@ -386,16 +413,11 @@ class TicketEvolutionService {
       const result = {
         ticketGroups: response.data.ticket_groups || [],
         configurationId: response.data.configuration_id || response.data.configuration?.id || response.data.venue_configuration?.id || null,
-        pagination: {
-          current_page: response.data.current_page || page,
-          per_page: response.data.per_page || limit,
-          total_entries: response.data.total_entries || 0,
-          total_pages: Math.ceil((response.data.total_entries || 0) / limit),
-        },
+        pagination: this.buildPagination(response.data, page, limit),
       };
 
       // Cache the response
-      this.setCachedResponse(cacheKey, result);
+      await this.setCachedResponse('ticket-groups', cacheKey, result);
       
       console.log(`✅ Retrieved ${result.ticketGroups.length} ticket groups for event ${eventId}`);
       return result;
@@ -410,7 +432,7 @@ class TicketEvolutionService {
     try {
       // Check cache first
       const cacheKey = this.getCacheKey(`seatmap-${eventId}`, {});
-      const cachedResponse = this.getCachedResponse(cacheKey);
+      const cachedResponse = await this.getCachedResponse('seatmap', cacheKey);
       if (cachedResponse) {
         return cachedResponse;
       }
@@ -485,13 +507,8 @@ class TicketEvolutionService {
         }
       };
 
-      // Cache the response for longer since venue configuration doesn't change often
-      if (this.cacheTimeout > 0) {
-        this.requestCache.set(cacheKey, {
-          data: result,
-          timestamp: Date.now()
-        });
-      }
+      // Cached for longer since venue configuration doesn't change often
+      await this.setCachedResponse('seatmap', cacheKey, result);
 
       console.log(`✅ Retrieved seatmap data for event ${eventId}: venue ${result.venueId}, config ${result.configurationId}`);
       return result;
@@ -510,9 +527,9 @@ class TicketEvolutionService {
         order_by: 'name' // Sort alphabetically
       };
 
-      // Check cache in development mode
+      // Check cache first
       const cacheKey = this.getCacheKey('categories', { page, limit });
-      const cachedResponse = this.getCachedResponse(cacheKey);
+      const cachedResponse = await this.getCachedResponse('categories', cacheKey);
       if (cachedResponse) {
         return cachedResponse;
       }
@@ -525,16 +542,11 @@ class TicketEvolutionService {
 
       const result = {
         categories,
-        pagination: {
-          current_page: response.data.current_page || page,
-          per_page: response.data.per_page || limit,
-          total_entries: response.data.total_entries || 0,
-          total_pages: Math.ceil((response.data.total_entries || 0) / limit),
-        }
+        pagination: this.buildPagination(response.data, page, limit)
       };
 
-      // Cache the response in development mode
-      this.setCachedResponse(cacheKey, result);
+      // Cache the response
+      await this.setCachedResponse('categories', cacheKey, result);
 
       return result;
     } catch (error) {
@@ -545,20 +557,15 @@ class TicketEvolutionService {
     }
   }
 
-  // Get performers
-  async getPerformers(page = 1, limit = 20) {
+  // Get performers (filters are passed through as TEvo query params)
+  async getPerformers(page = 1, limit = 20, filters = {}) {
     try {
-      const params = { page, per_page: Math.min(limit, 100) };
+      const params = { ...filters, page, per_page: Math.min(limit, 100) };
       const response = await this.client.get('/performers', { params });
 
       return {
         performers: response.data.performers || [],
-        pagination: {
-          current_page: response.data.current_page || page,
-          per_page: response.data.per_page || limit,
-          total_entries: response.data.total_entries || 0,
-          total_pages: Math.ceil((response.data.total_entries || 0) / limit),
-        },
+        pagination: this.buildPagination(response.data, page, limit),
       };
     } catch (error) {
       console.error('❌ getPerformers error:', error.message);
@@ -566,20 +573,15 @@ class TicketEvolutionService {
     }
   }
 
-  // Get venues
-  async getVenues(page = 1, limit = 20) {
+  // Get venues (filters are passed through as TEvo query params)
+  async getVenues(page = 1, limit = 20, filters = {}) {
     try {
-      const params = { page, per_page: Math.min(limit, 100) };
+      const params = { ...filters, page, per_page: Math.min(limit, 100) };
       const response = await this.client.get('/venues', { params });
 
       return {
         venues: response.data.venues || [],
-        pagination: {
-          current_page: response.data.current_page || page,
-          per_page: response.data.per_page || limit,
-          total_entries: response.data.total_entries || 0,
-          total_pages: Math.ceil((response.data.total_entries || 0) / limit),
-        },
+        pagination: this.buildPagination(response.data, page, limit),
       };
     } catch (error) {
       console.error('❌ getVenues error:', error.message);
@@ -587,16 +589,64 @@ class TicketEvolutionService {
     }
   }
 
+  // Get single performer by ID
+  async getPerformer(performerId) {
+    try {
+      const response = await this.client.get(`/performers/${performerId}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ getPerformer error:', error.message);
+      throw error;
+    }
+  }
+
+  // Get single venue by ID
+  async getVenue(venueId) {
+    try {
+      const response = await this.client.get(`/venues/${venueId}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ getVenue error:', error.message);
+      throw error;
+    }
+  }
+
+  // Text search for events, performers or venues (/events/search, /performers/search, /venues/search)
+  async search(resource, query, page = 1, limit = 20) {
+    try {
+      const params = { q: query, page, per_page: Math.min(limit, 100) };
+
+      const cacheKey = this.getCacheKey(`${resource}-search`, params);
+      const cachedResponse = await this.getCachedResponse('search', cacheKey);
+      if (cachedResponse) {
+        return cachedResponse;
+      }
+
+      const response = await this.client.get(`/${resource}/search`, { params });
+
+      const result = {
+        [resource]: response.data[resource] || [],
+        pagination: this.buildPagination(response.data, page, limit),
+      };
+
+      await this.setCachedResponse('search', cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ search ${resource} error:`, error.message);
+      throw error;
+    }
+  }
+
   // Get a single ticket group by ID (for availability/price checks)
-  async getTicketGroup(ticketGroupId) {
+  async getTicketGroup(ticketGroupId, { skipCache = false } = {}) {
     try {
       if (!ticketGroupId) {
         throw new Error('ticketGroupId is required');
       }
 
-      // Try cache first in development to reduce API calls
+      // Try cache first to reduce API calls (checkout passes skipCache for live data)
       const cacheKey = this.getCacheKey(`ticket-group-${ticketGroupId}`, {});
-      const cached = this.getCachedResponse(cacheKey);
+      const cached = skipCache ? null : await this.getCachedResponse('ticket-group', cacheKey);
       if (cached) {
         return cached;
       }
@@ -608,7 +658,7 @@ class TicketEvolutionService {
         throw new Error('Ticket group not found');
       }
 
-      this.setCachedResponse(cacheKey, ticketGroup);
+      await this.setCachedResponse('ticket-group', cacheKey, ticketGroup);
       return ticketGroup;
     } catch (error) {
       console.error('❌ getTicketGroup error:', error.message);
@@ -620,7 +670,7 @@ class TicketEvolutionService {
   async getEventTicketGroupsLightweight(eventId) {
     try {
       const cacheKey = this.getCacheKey(`ticket-groups-light-${eventId}`, {});
-      const cachedResponse = this.getCachedResponse(cacheKey);
+      const cachedResponse = await this.getCachedResponse('ticket-groups', cacheKey);
       if (cachedResponse) {
         return cachedResponse;
       }
@@ -640,7 +690,7 @@ class TicketEvolutionService {
         total: response.data.total_entries || 0
       };
 
-      this.setCachedResponse(cacheKey, result);
+      await this.setCachedResponse('ticket-groups', cacheKey, result);
       console.log(`✅ Retrieved ${result.ticketGroups.length} ticket groups for checkout`);
       return result;
     } catch (error) {
@@ -704,16 +754,16 @@ class TicketEvolutionService {
 
   /**
    * Create tax quote for order
+   * A cart is quoted as a whole by passing items ([{ ticket_group_id, quantity, price }])
+   * instead of a single ticket group, so its order carries one tax signature.
    * @param {Object} params - Tax quote parameters
    * @returns {Promise<Object>} Tax quote response
    */
-  async createTaxQuote({ ticket_group_id, quantity, retail }) {
+  async createTaxQuote({ ticket_group_id, quantity, items, retail }) {
     try {
-      const payload = {
-        ticket_group_id,
-        quantity,
-        retail
-      };
+      const payload = items
+        ? { items, retail }
+        : { ticket_group_id, quantity, retail };
       const response = await this.client.post('/tax_quotes', payload);
       return response.data;
     } catch (error) {
@@ -766,6 +816,7 @@ class TicketEvolutionService {
     created_by_ip_address,
     session_id,
     shipment,   // { type, email_address_id|attributes, phone_number_id|attributes, items: [{ ticket_group_id, quantity, price }] }
+    shipments,  // several shipments in one order (a cart with mixed delivery types); replaces shipment
     totals,     // { service_fee, shipping, discount, tax, tax_signature }
     payment     // { payment_method_nonce }
   }) {
@@ -782,7 +833,7 @@ class TicketEvolutionService {
           discount: totals.discount ?? 0,
           tax: totals.tax ?? 0,
           tax_signature: totals.tax_signature,
-          shipped_items: [shipment],
+          shipped_items: shipments || [shipment],
           payments: [{
             type: 'credit_card',
             method: 'BraintreeCard',
@@ -799,6 +850,94 @@ class TicketEvolutionService {
     }
   }
 
+  /**
+   * Get an order by ID (never cached - order state changes on the TEvo side)
+   * @param {number|string} orderId - TEvo order ID
+   * @returns {Promise<Object>} Order
+   */
+  async getOrder(orderId) {
+    try {
+      const response = await this.client.get(`/orders/${orderId}`);
+      return response.data.order || response.data;
+    } catch (error) {
+      console.error('❌ getOrder error:', error.message);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Cancel an order
+   * @param {number|string} orderId - TEvo order ID
+   * @param {Object} params - { reason }
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelOrder(orderId, { reason }) {
+    try {
+      const response = await this.client.put(`/orders/${orderId}/cancel`, {
+        cancellation_reason: reason
+      });
+      return response.data.order || response.data;
+    } catch (error) {
+      console.error('❌ cancelOrder error:', error.message);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Refund part or all of an order's payment
+   * @param {number|string} orderId - TEvo order ID
+   * @param {Object} params - { amount, reason }
+   * @returns {Promise<Object>} Refund
+   */
+  async refundOrder(orderId, { amount, reason }) {
+    try {
+      const response = await this.client.post(`/orders/${orderId}/refunds`, {
+        amount,
+        reason
+      });
+      return response.data.refund || response.data;
+    } catch (error) {
+      console.error('❌ refundOrder error:', error.message);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Place a hold on a ticket group quantity
+   * @param {Object} params - Hold parameters
+   * @returns {Promise<Object>} Ticket hold
+   */
+  async createTicketHold({ ticket_group_id, quantity, expire_at, notes }) {
+    try {
+      const payload = {
+        ticket_group_id,
+        quantity,
+        expire_at,
+        notes
+      };
+      const response = await this.client.post('/ticket_holds', payload);
+      return response.data.ticket_hold || response.data;
+    } catch (error) {
+      console.error('❌ createTicketHold error:', error.message);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Release a ticket hold
+   * @param {number|string} holdId - TEvo ticket hold ID
+   * @returns {Promise<Object>} Release response
+   */
+  async releaseTicketHold(holdId) {
+    try {
+      const response = await this.client.delete(`/ticket_holds/${holdId}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ releaseTicketHold error:', error.message);
+      throw this.handleError(error);
+    }
+  }
+
   // Health check
   async healthCheck() {
     try {
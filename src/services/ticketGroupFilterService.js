@@ -0,0 +1,212 @@
+const ticketEvolutionService = require('./ticketEvolutionService');
+const ticketGroupValidator = require('./ticketGroupValidator');
+const catalogService = require('./catalogService');
+const eventDetailService = require('./eventDetailService');
+const { normalizeSectionKey, getSectionKey } = require('../utils/sectionKey');
+
+// Delivery format filter values and the delivery type each TEvo format maps to
+const FORMATS = {
+  eticket: 'Eticket',
+  tm_mobile: 'TMMobile',
+  physical: 'FedEx'
+};
+
+const SORT_OPTIONS = ['price', 'price_desc', 'value'];
+
+/**
+ * Ticket Group Filter Service
+ *
+ * Server-side filters and sorting for an event's ticket groups (section, row,
+ * price range, delivery format, instant delivery and "can buy exactly N"), so
+ * the seatmap sidebar doesn't have to do it in the browser.
+ */
+class TicketGroupFilterService {
+  /**
+   * Validate ticket group filters from the request query
+   * @param {Object} query - Request query
+   * @returns {Object} { filters, sort, active } or { error }
+   */
+  parseFilters(query = {}) {
+    const errors = [];
+    const filters = {};
+
+    // Section and row accept a comma-separated list; sections use the seatmap key
+    for (const key of ['section', 'row']) {
+      if (query[key] !== undefined && query[key] !== '') {
+        const values = String(query[key])
+          .split(',')
+          .map((value) => (key === 'section' ? normalizeSectionKey(value) : value.trim().toLowerCase()))
+          .filter(Boolean);
+        if (values.length === 0 || values.some((value) => value.length > 100)) {
+          errors.push(`${key} must be a comma-separated list of names`);
+        } else {
+          filters[key] = values;
+        }
+      }
+    }
+
+    for (const key of ['min_price', 'max_price']) {
+      if (query[key] !== undefined) {
+        const price = Number(query[key]);
+        if (query[key] === '' || !Number.isFinite(price) || price < 0) {
+          errors.push(`${key} must be a non-negative number`);
+        } else {
+          filters[key] = price;
+        }
+      }
+    }
+
+    if (filters.min_price !== undefined && filters.max_price !== undefined && filters.min_price > filters.max_price) {
+      errors.push('min_price must not be greater than max_price');
+    }
+
+    if (query.format !== undefined) {
+      const formats = String(query.format).split(',').map((format) => format.trim().toLowerCase());
+      if (formats.some((format) => !FORMATS[format])) {
+        errors.push(`format must be one or more of: ${Object.keys(FORMATS).join(', ')}`);
+      } else {
+        filters.format = formats;
+      }
+    }
+
+    if (query.instant_delivery !== undefined) {
+      const instant = catalogService.parseBoolean(query.instant_delivery);
+      if (instant === undefined) {
+        errors.push('instant_delivery must be true or false');
+      } else {
+        filters.instant_delivery = instant;
+      }
+    }
+
+    if (query.quantity !== undefined) {
+      const quantity = Number(query.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        errors.push('quantity must be a positive integer');
+      } else {
+        filters.quantity = quantity;
+      }
+    }
+
+    if (query.sort !== undefined && !SORT_OPTIONS.includes(query.sort)) {
+      errors.push(`sort must be one of: ${SORT_OPTIONS.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return { error: errors.join('; ') };
+    }
+
+    const sort = query.sort || null;
+    return { filters, sort, active: Object.keys(filters).length > 0 || sort !== null };
+  }
+
+  /**
+   * Delivery format of a ticket group as a filter value
+   * @param {Object} ticketGroup - TEvo ticket group
+   * @returns {string} eticket, tm_mobile or physical
+   */
+  getFormat(ticketGroup) {
+    const deliveryType = ticketEvolutionService.mapDeliveryTypeFromFormat(ticketGroup.format);
+    return Object.keys(FORMATS).find((format) => FORMATS[format] === deliveryType);
+  }
+
+  /**
+   * Whether a ticket group passes the filters
+   * @param {Object} ticketGroup - TEvo ticket group
+   * @param {Object} filters - From parseFilters
+   * @returns {boolean}
+   */
+  matches(ticketGroup, filters) {
+    const price = ticketGroupValidator.getRetailPrice(ticketGroup);
+
+    if (filters.section && !filters.section.includes(getSectionKey(ticketGroup))) {
+      return false;
+    }
+    if (filters.row && !filters.row.includes(String(ticketGroup.row || '').trim().toLowerCase())) {
+      return false;
+    }
+    if (filters.min_price !== undefined && (price === null || price < filters.min_price)) {
+      return false;
+    }
+    if (filters.max_price !== undefined && (price === null || price > filters.max_price)) {
+      return false;
+    }
+    if (filters.format && !filters.format.includes(this.getFormat(ticketGroup))) {
+      return false;
+    }
+    if (filters.instant_delivery !== undefined && Boolean(ticketGroup.instant_delivery) !== filters.instant_delivery) {
+      return false;
+    }
+    if (filters.quantity !== undefined && !ticketGroupValidator.canBuyQuantity(ticketGroup, filters.quantity)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Value score of each ticket group: its section's median price over its own
+   * price, so a listing at half the going rate for its section scores 2
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @returns {Map} Ticket group -> score (missing when the price is unknown)
+   */
+  scoreValue(ticketGroups) {
+    const pricesBySection = new Map();
+    for (const ticketGroup of ticketGroups) {
+      const price = ticketGroupValidator.getRetailPrice(ticketGroup);
+      if (price === null || price <= 0) continue;
+      const section = getSectionKey(ticketGroup);
+      pricesBySection.set(section, [...(pricesBySection.get(section) || []), price]);
+    }
+
+    const medians = new Map();
+    for (const [section, prices] of pricesBySection) {
+      medians.set(section, eventDetailService.median(prices.sort((a, b) => a - b)));
+    }
+
+    const scores = new Map();
+    for (const ticketGroup of ticketGroups) {
+      const price = ticketGroupValidator.getRetailPrice(ticketGroup);
+      const median = medians.get(getSectionKey(ticketGroup));
+      if (price !== null && price > 0 && median) {
+        scores.set(ticketGroup, Math.round((median / price) * 100) / 100);
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Filter and sort an event's ticket groups
+   * @param {Array} ticketGroups - TEvo ticket groups
+   * @param {Object} filters - From parseFilters
+   * @param {string|null} sort - price, price_desc or value
+   * @returns {Array} Matching ticket groups (with value_score when sorted by value)
+   */
+  apply(ticketGroups, filters, sort) {
+    let result = ticketGroups.filter((ticketGroup) => this.matches(ticketGroup, filters));
+
+    if (sort === 'value') {
+      // Score against all listings so a filter doesn't change what "typical" means
+      const scores = this.scoreValue(ticketGroups);
+      result = result
+        .map((ticketGroup) => ({ ...ticketGroup, value_score: scores.get(ticketGroup) ?? null }))
+        .sort((a, b) => (
+          (b.value_score ?? -1) - (a.value_score ?? -1)
+          || (ticketGroupValidator.getRetailPrice(a) ?? Infinity) - (ticketGroupValidator.getRetailPrice(b) ?? Infinity)
+        ));
+    } else if (sort === 'price' || sort === 'price_desc') {
+      const direction = sort === 'price' ? 1 : -1;
+      // Unpriced listings go last either way
+      result = [...result].sort((a, b) => {
+        const priceA = ticketGroupValidator.getRetailPrice(a);
+        const priceB = ticketGroupValidator.getRetailPrice(b);
+        if (priceA === null || priceB === null) {
+          return (priceA === null) - (priceB === null);
+        }
+        return direction * (priceA - priceB);
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new TicketGroupFilterService();
@@ -0,0 +1,125 @@
+/**
+ * Ticket Group Validator
+ *
+ * Checks a customer's selection against the live TEvo ticket group before an
+ * order is placed, so price and availability problems surface as structured
+ * errors instead of a late TEvo 422.
+ */
+class TicketGroupValidator {
+  /**
+   * Current retail price per ticket
+   * @param {Object} ticketGroup - TEvo ticket group
+   * @returns {number|null} Retail price or null if unknown
+   */
+  getRetailPrice(ticketGroup) {
+    const price = parseFloat(ticketGroup?.retail_price ?? ticketGroup?.price);
+    return isNaN(price) ? null : price;
+  }
+
+  /**
+   * Quantity still available for purchase
+   * @param {Object} ticketGroup - TEvo ticket group
+   * @returns {number|null} Available quantity or null if unknown
+   */
+  getAvailableQuantity(ticketGroup) {
+    const quantity = parseInt(ticketGroup?.available_quantity ?? ticketGroup?.quantity);
+    return isNaN(quantity) ? null : quantity;
+  }
+
+  /**
+   * Allowed purchase quantities for a ticket group
+   * @param {Object} ticketGroup - TEvo ticket group
+   * @returns {number[]} Sorted splits (empty when any quantity is allowed)
+   */
+  getSplits(ticketGroup) {
+    if (!Array.isArray(ticketGroup?.splits)) {
+      return [];
+    }
+
+    return ticketGroup.splits
+      .map((split) => parseInt(split))
+      .filter((split) => split > 0)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Whether exactly `quantity` tickets can be bought from a ticket group
+   * @param {Object} ticketGroup - TEvo ticket group
+   * @param {number} quantity - Requested quantity
+   * @returns {boolean} True if the quantity is available and an allowed split
+   */
+  canBuyQuantity(ticketGroup, quantity) {
+    const requested = parseInt(quantity);
+    if (!(requested > 0)) {
+      return false;
+    }
+
+    const available = this.getAvailableQuantity(ticketGroup);
+    if (available !== null && requested > available) {
+      return false;
+    }
+
+    const splits = this.getSplits(ticketGroup);
+    return splits.length === 0 || splits.includes(requested);
+  }
+
+  /**
+   * Validate a selection against the live ticket group
+   * @param {Object} ticketGroup - Freshly fetched TEvo ticket group
+   * @param {Object} selection - Customer selection
+   * @param {number} selection.quantity - Requested quantity
+   * @param {number} selection.retailUnitPrice - Price per ticket shown to the customer
+   * @param {number} [selection.heldQuantity=0] - Quantity reserved by other customers' holds
+   * @param {number} [selection.ownHeldQuantity=0] - Quantity of the buyer's own TEvo hold,
+   *   which TEvo has already taken out of available_quantity
+   * @returns {Object|null} Structured error ({ code, message, ... }) or null when valid
+   */
+  validateSelection(ticketGroup, { quantity, retailUnitPrice, heldQuantity = 0, ownHeldQuantity = 0 }) {
+    // Number() rather than parseInt so fractions like 2.5 are rejected, not truncated
+    const requested = Number(quantity);
+    if (!(Number.isInteger(requested) && requested > 0)) {
+      return {
+        code: 'INVALID_QUANTITY',
+        message: 'Quantity must be a positive whole number.',
+        requestedQuantity: quantity
+      };
+    }
+
+    const tevoAvailable = this.getAvailableQuantity(ticketGroup);
+    const available = tevoAvailable === null ? null : Math.max(tevoAvailable + ownHeldQuantity - heldQuantity, 0);
+
+    if (available !== null && requested > available) {
+      return {
+        code: 'NOT_ENOUGH_TICKETS',
+        message: 'Ticket availability has changed. Please select tickets again.',
+        requestedQuantity: requested,
+        availableQuantity: available
+      };
+    }
+
+    const splits = this.getSplits(ticketGroup);
+    if (splits.length > 0 && !splits.includes(requested)) {
+      return {
+        code: 'INVALID_SPLIT',
+        message: `These tickets can only be purchased in quantities of ${splits.join(', ')}.`,
+        requestedQuantity: requested,
+        allowedSplits: splits
+      };
+    }
+
+    const currentPrice = this.getRetailPrice(ticketGroup);
+    const requestedPrice = parseFloat(retailUnitPrice);
+    if (currentPrice !== null && Math.abs(currentPrice - requestedPrice) >= 0.01) {
+      return {
+        code: 'PRICE_CHANGED',
+        message: 'Ticket price has changed. Please review the new price and try again.',
+        requestedPrice,
+        currentPrice
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new TicketGroupValidator();
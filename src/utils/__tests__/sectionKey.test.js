@@ -0,0 +1,16 @@
+const { normalizeSectionKey, getSectionKey } = require('../sectionKey');
+
+describe('sectionKey', () => {
+  test('normalizeSectionKey should match seatmap section identifiers', () => {
+    expect(normalizeSectionKey(' Section 101 ')).toBe('101');
+    expect(normalizeSectionKey('Sec. 204')).toBe('204');
+    expect(normalizeSectionKey('Floor  A')).toBe('floor a');
+    expect(normalizeSectionKey('  ')).toBeNull();
+    expect(normalizeSectionKey(null)).toBeNull();
+  });
+
+  test('getSectionKey should prefer the TEvo section name', () => {
+    expect(getSectionKey({ tevo_section_name: 'Section 101', section: 'Lower 101' })).toBe('101');
+    expect(getSectionKey({ section: 'Floor A' })).toBe('floor a');
+  });
+});
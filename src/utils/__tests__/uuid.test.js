@@ -0,0 +1,15 @@
+const { isUuid } = require('../uuid');
+
+describe('isUuid', () => {
+  test('should accept UUIDs in either case', () => {
+    expect(isUuid('3f2b6c1e-9a4d-4e7b-8c21-5d0f6a7b8c9d')).toBe(true);
+    expect(isUuid('3F2B6C1E-9A4D-4E7B-8C21-5D0F6A7B8C9D')).toBe(true);
+  });
+
+  test('should reject anything else', () => {
+    expect(isUuid('not-a-uuid')).toBe(false);
+    expect(isUuid('3f2b6c1e-9a4d-4e7b-8c21-5d0f6a7b8c9d; drop')).toBe(false);
+    expect(isUuid('')).toBe(false);
+    expect(isUuid(undefined)).toBe(false);
+  });
+});
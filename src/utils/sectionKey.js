@@ -0,0 +1,29 @@
+/**
+ * Normalize a section name to the seatmap's section identifier
+ * ("Section 101 " and "101" both become "101", "Floor  A" becomes "floor a")
+ * @param {string} section - Section name from TEvo
+ * @returns {string|null} Section key, or null when the name is empty
+ */
+function normalizeSectionKey(section) {
+  const key = String(section ?? '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(section|sect|sec)\.?\s+/, '');
+
+  return key || null;
+}
+
+/**
+ * Seatmap section key of a ticket group
+ * @param {Object} ticketGroup - TEvo ticket group
+ * @returns {string|null} Section key
+ */
+function getSectionKey(ticketGroup) {
+  return normalizeSectionKey(ticketGroup.tevo_section_name || ticketGroup.section);
+}
+
+module.exports = {
+  normalizeSectionKey,
+  getSectionKey
+};
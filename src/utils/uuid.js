@@ -0,0 +1,15 @@
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check that an ID from a request is a UUID before sending it to Postgres,
+ * so malformed IDs are rejected instead of failing the query
+ * @param {string} value - ID from the request
+ * @returns {boolean} True if the value is a UUID
+ */
+function isUuid(value) {
+  return UUID_PATTERN.test(value || '');
+}
+
+module.exports = {
+  isUuid
+};